@@ -11,7 +11,9 @@ export default [
         process: "readonly",
         console: "readonly",
         setTimeout: "readonly",
+        clearTimeout: "readonly",
         URL: "readonly",
+        Buffer: "readonly",
       },
     },
     rules: {
@@ -1,5 +1,5 @@
 import { readFileSync, existsSync } from "fs";
-import { join } from "path";
+import { join, resolve } from "path";
 import { execSync } from "child_process";
 
 /**
@@ -67,3 +67,52 @@ export function detectProjectId() {
 
   return null;
 }
+
+/**
+ * Locate the project's firestore.indexes.json: MCP_FIRESTORE_INDEXES_FILE if
+ * set, else the file named by `firestore.indexes` in the nearest firebase.json,
+ * else a firestore.indexes.json next to it, searching up from `startDir` the
+ * same way detectProjectId finds firebase.json.
+ *
+ * @param {string} [startDir=process.cwd()]
+ * @returns {string|null} The file path, or null when none is found.
+ */
+export function findIndexesFile(startDir = process.cwd()) {
+  if (process.env.MCP_FIRESTORE_INDEXES_FILE)
+    return process.env.MCP_FIRESTORE_INDEXES_FILE;
+
+  let currentDir = startDir;
+  for (let i = 0; i < 10; i++) {
+    const firebaseJsonPath = join(currentDir, "firebase.json");
+    if (existsSync(firebaseJsonPath)) {
+      try {
+        const firebaseConfig = JSON.parse(readFileSync(firebaseJsonPath, "utf8"));
+        if (firebaseConfig.firestore?.indexes) {
+          return join(currentDir, firebaseConfig.firestore.indexes);
+        }
+      } catch (e) {
+        // Invalid firebase.json
+      }
+    }
+
+    const indexesPath = join(currentDir, "firestore.indexes.json");
+    if (existsSync(indexesPath)) return indexesPath;
+
+    const parentDir = join(currentDir, "..");
+    if (parentDir === currentDir) break;
+    currentDir = parentDir;
+  }
+
+  return null;
+}
+
+/**
+ * The directory export_collection writes into: MCP_FIRESTORE_EXPORT_DIR if
+ * set, else the working directory. Output paths resolve against it and may
+ * not leave it.
+ *
+ * @returns {string} An absolute path.
+ */
+export function exportDirectory() {
+  return resolve(process.env.MCP_FIRESTORE_EXPORT_DIR || process.cwd());
+}
@@ -5,3 +5,13 @@ export const TARGETS = {
   EMULATOR: "emulator",
   PRODUCTION: "production",
 };
+
+/**
+ * Maximum number of writes Firestore accepts in a single WriteBatch or transaction.
+ */
+export const MAX_WRITES_PER_BATCH = 500;
+
+/**
+ * Field path Firestore uses for the document id in orderBy and cursors.
+ */
+export const DOCUMENT_ID_FIELD = "__name__";
@@ -0,0 +1,131 @@
+import { createHash } from "crypto";
+
+/**
+ * Anonymization rules for seed_emulator, applied to document data in its
+ * typed JSON encoding before it is written.
+ *
+ * A rule is `{ field, action, as?, collection? }`:
+ *   field      - dotted path ("email", "profile.phone"); "[]" after a segment
+ *                applies the rule to each array element ("contacts[].email")
+ *   action     - "hash": salted SHA-256 (emails keep an email shape)
+ *                "fake": a realistic fake value of kind `as`
+ *                "drop": remove the field (or the array elements)
+ *   as         - fake kind: "name" (default), "email" or "phone"
+ *   collection - only apply in collections with this id (e.g. "users")
+ *
+ * Hashes and fakes are derived from the salted original value, so the same
+ * input always maps to the same output within a seed.
+ */
+
+export const ANONYMIZE_ACTIONS = ["hash", "fake", "drop"];
+export const FAKE_KINDS = ["name", "email", "phone"];
+
+const FIRST_NAMES = ["Alex", "Blake", "Casey", "Dana", "Eden", "Jordan", "Riley"];
+const LAST_NAMES = ["Adams", "Baker", "Clark", "Diaz", "Evans", "Patel", "Silva"];
+
+const EMAIL = /^[^\s@]+@[^\s@]+$/;
+
+/** Marks a value to remove. */
+const DROP = Symbol("drop");
+
+/**
+ * Validate anonymization rules.
+ *
+ * @param {unknown} rules
+ * @returns {object[]} The rules (an empty list when omitted).
+ * @throws {Error} Naming the first malformed rule.
+ */
+export function validateRules(rules = []) {
+  if (!Array.isArray(rules)) throw new Error("Invalid anonymize: expected an array.");
+  rules.forEach((rule, i) => {
+    const where = `anonymize[${i}]`;
+    if (rule === null || typeof rule !== "object") {
+      throw new Error(`Invalid ${where}: expected an object.`);
+    }
+    if (
+      typeof rule.field !== "string" ||
+      rule.field.split(".").some(s => !s || s === "[]")
+    ) {
+      throw new Error(`Invalid ${where}.field: expected a dotted field path.`);
+    }
+    if (!ANONYMIZE_ACTIONS.includes(rule.action)) {
+      throw new Error(
+        `Invalid ${where}.action: expected one of ${ANONYMIZE_ACTIONS.join(", ")}.`,
+      );
+    }
+    if (rule.as !== undefined && !FAKE_KINDS.includes(rule.as)) {
+      throw new Error(`Invalid ${where}.as: expected one of ${FAKE_KINDS.join(", ")}.`);
+    }
+  });
+  return rules;
+}
+
+function digest(value, salt) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return createHash("sha256").update(`${salt}\u0000${text}`).digest();
+}
+
+function fakeValue(kind, bytes) {
+  const hex = bytes.toString("hex");
+  switch (kind) {
+    case "email":
+      return `user-${hex.slice(0, 10)}@example.com`;
+    case "phone":
+      return `+1555${String(bytes.readUInt32BE(0) % 10_000_000).padStart(7, "0")}`;
+    default:
+      return `${FIRST_NAMES[bytes[0] % FIRST_NAMES.length]} ${LAST_NAMES[bytes[1] % LAST_NAMES.length]}`;
+  }
+}
+
+function transform(value, rule, salt) {
+  if (rule.action === "drop") return DROP;
+  const bytes = digest(value, salt);
+  if (rule.action === "fake") return fakeValue(rule.as ?? "name", bytes);
+  const hex = bytes.toString("hex");
+  return typeof value === "string" && EMAIL.test(value)
+    ? `${hex.slice(0, 16)}@example.com`
+    : hex.slice(0, 32);
+}
+
+/** Apply `fn` at `segments` beneath `node` (mutating it); returns the values changed. */
+function applyAt(node, segments, fn) {
+  if (node === null || typeof node !== "object" || Array.isArray(node)) return 0;
+  const [segment, ...rest] = segments;
+  const each = segment.endsWith("[]");
+  const key = each ? segment.slice(0, -2) : segment;
+  if (!Object.hasOwn(node, key) || node[key] === null) return 0;
+
+  if (!each) {
+    if (rest.length > 0) return applyAt(node[key], rest, fn);
+    const next = fn(node[key]);
+    if (next === DROP) delete node[key];
+    else node[key] = next;
+    return 1;
+  }
+
+  if (!Array.isArray(node[key])) return 0;
+  if (rest.length > 0) {
+    return node[key].reduce((n, item) => n + applyAt(item, rest, fn), 0);
+  }
+  const count = node[key].length;
+  node[key] = node[key].map(fn).filter(v => v !== DROP);
+  return count;
+}
+
+/**
+ * Anonymize encoded document data.
+ *
+ * @param {object} data - Encoded document data (left untouched).
+ * @param {object[]} rules - Validated rules.
+ * @param {{ collectionId: string, salt: string }} options
+ * @returns {{ data: object, applied: number[] }} The new data, and the number
+ *   of values each rule changed.
+ */
+export function anonymize(data, rules, { collectionId, salt }) {
+  const copy = JSON.parse(JSON.stringify(data));
+  const applied = rules.map(rule => {
+    if (rule.collection !== undefined && rule.collection !== collectionId) return 0;
+    return applyAt(copy, rule.field.split("."), value => transform(value, rule, salt));
+  });
+  return { data: copy, applied };
+}
@@ -0,0 +1,167 @@
+import {
+  COLLECTION_PROPERTY,
+  CONFIRM_PROPERTY,
+  FILTER_PROPERTY,
+  WHERE_CLAUSES_PROPERTY,
+} from "./schema.js";
+import { applyConditions } from "./filters.js";
+import { validateCollectionPath } from "./validate.js";
+
+/**
+ * Shared flow of delete_by_query and update_by_query: select the documents
+ * matching where clauses / a filter tree, preview them on a dry run, otherwise
+ * apply one BulkWriter write per document under a hard document cap.
+ *
+ * applyBulkWrites is also the BulkWriter loop of every other tool writing
+ * many documents (copy, import, seed).
+ */
+
+/** Default and largest `maxDocuments`. */
+export const DEFAULT_MAX_DOCUMENTS = 500;
+export const MAX_DOCUMENTS_LIMIT = 10_000;
+
+/** Matching ids listed in a dry run. */
+export const SAMPLE_SIZE = 10;
+
+/** Paths / failures listed in a response before it is cut short. */
+export const MAX_REPORTED = 20;
+
+/** Documents written between progress notifications. */
+export const PROGRESS_INTERVAL = 500;
+
+/** Input properties common to both tools. */
+export const BULK_QUERY_PROPERTIES = {
+  collection: COLLECTION_PROPERTY,
+  where: WHERE_CLAUSES_PROPERTY,
+  filter: FILTER_PROPERTY,
+  maxDocuments: {
+    type: "number",
+    default: DEFAULT_MAX_DOCUMENTS,
+    description: `Refuse to write anything if more documents than this match (max ${MAX_DOCUMENTS_LIMIT})`,
+  },
+  dryRun: {
+    type: "boolean",
+    default: false,
+    description: "Only report the matching count and sample ids",
+  },
+  confirm: CONFIRM_PROPERTY,
+};
+
+/**
+ * Validate the common args and build the matching query.
+ *
+ * @returns {{ query: object, summary: string, maxDocuments: number }}
+ * @throws {Error} When no conditions are given: a bulk write never targets a
+ *   whole collection by accident.
+ */
+export function prepareBulkQuery(args, db) {
+  validateCollectionPath(args.collection);
+  const maxDocuments = args.maxDocuments ?? DEFAULT_MAX_DOCUMENTS;
+  if (
+    !Number.isInteger(maxDocuments) ||
+    maxDocuments < 1 ||
+    maxDocuments > MAX_DOCUMENTS_LIMIT
+  ) {
+    throw new Error(
+      `Invalid maxDocuments: expected an integer from 1 to ${MAX_DOCUMENTS_LIMIT}.`,
+    );
+  }
+  const { query, summary } = applyConditions(db.collection(args.collection), args, db);
+  if (!summary) {
+    throw new Error(
+      "Provide 'where' clauses or a 'filter' tree selecting the documents to change.",
+    );
+  }
+  return { query, summary, maxDocuments };
+}
+
+/** Dry-run result: how many documents match and the first few ids. */
+export async function previewMatches(query, maxDocuments) {
+  const matching = (await query.count().get()).data().count;
+  const sample = await query.select().limit(SAMPLE_SIZE).get();
+  return {
+    dryRun: true,
+    matching,
+    sampleIds: sample.docs.map(doc => doc.id),
+    ...(matching > maxDocuments && {
+      message: `${matching} documents match, more than maxDocuments (${maxDocuments}); a real run would refuse.`,
+    }),
+  };
+}
+
+/**
+ * References of every matching document (read without their fields).
+ *
+ * @throws {Error} When more than `maxDocuments` match; nothing is written.
+ */
+export async function collectMatches(query, maxDocuments) {
+  const { docs } = await query
+    .select()
+    .limit(maxDocuments + 1)
+    .get();
+  if (docs.length > maxDocuments) {
+    throw new Error(
+      `More than ${maxDocuments} documents match. Nothing was written. Narrow the query or raise maxDocuments (max ${MAX_DOCUMENTS_LIMIT}).`,
+    );
+  }
+  return docs.map(doc => doc.ref);
+}
+
+/**
+ * Queue `write(writer, item)` for every item on a BulkWriter (which batches
+ * the writes) and tally the outcome per document.
+ *
+ * @param {object} db
+ * @param {object[]} items - Document references, or objects with the `ref`
+ *   they write.
+ * @param {(writer: object, item: object) => Promise} write
+ * @param {{ reportProgress?: Function, verb: string,
+ *   isSkipped?: (error: Error) => boolean }} options - A rejected write for
+ *   which `isSkipped` is true counts as skipped, not failed.
+ * @returns {Promise<{ written: object[], skipped: number, failures: object[] }>}
+ *   The written items and every failure `{ index, path, error }`, in item order.
+ */
+export async function applyBulkWrites(
+  db,
+  items,
+  write,
+  { reportProgress, verb, isSkipped },
+) {
+  const writer = db.bulkWriter();
+  const written = [];
+  const failures = [];
+  let skipped = 0;
+  let settled = 0;
+
+  const results = items.map((item, index) =>
+    write(writer, item)
+      .then(
+        () => written.push(item),
+        error => {
+          if (isSkipped?.(error)) skipped++;
+          else
+            failures.push({ index, path: (item.ref ?? item).path, error: error.message });
+        },
+      )
+      .then(() => {
+        settled++;
+        if (settled % PROGRESS_INTERVAL === 0) {
+          return reportProgress?.(settled, items.length, `${verb} ${settled} documents`);
+        }
+      }),
+  );
+  await writer.close();
+  await Promise.all(results);
+  await reportProgress?.(settled, items.length, `${verb} ${settled} documents`);
+
+  failures.sort((a, b) => a.index - b.index);
+  return { written, skipped, failures };
+}
+
+/** The `failed` count of a response, with the first MAX_REPORTED `failures`. */
+export function summarizeFailures(failures) {
+  return {
+    failed: failures.length,
+    ...(failures.length > 0 && { failures: failures.slice(0, MAX_REPORTED) }),
+  };
+}
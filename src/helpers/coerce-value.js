@@ -1,3 +1,5 @@
+import { TYPE_KEY, decodeValue } from "./typed-values.js";
+
 /**
  * Coerce string values to appropriate Firestore types.
  * Handles: numbers, booleans, null, arrays, and JSON objects.
@@ -28,3 +30,101 @@ export function coerceValue(value) {
 
   return value;
 }
+
+/**
+ * Coerce a CSV cell. Like coerceValue, plus JSON strings (`"02134"`) and
+ * exponent numbers (`1e-7`), which is how export_collection writes strings
+ * that would otherwise read back as another type, and large or tiny numbers.
+ */
+export function coerceCsvCell(cell) {
+  if (cell.startsWith('"')) {
+    try {
+      const parsed = JSON.parse(cell);
+      if (typeof parsed === "string") return parsed;
+    } catch {
+      // Not a JSON string: a plain cell that starts with a quote
+    }
+  }
+  if (/^-?\d+(\.\d+)?e[+-]?\d+$/i.test(cell)) return Number(cell);
+  return coerceValue(cell);
+}
+
+/** Types accepted by explicit `{ type, value }` where-clause values. */
+export const WHERE_VALUE_TYPES = [
+  "string",
+  "number",
+  "boolean",
+  "null",
+  "timestamp",
+  "reference",
+  "geopoint",
+  "array",
+];
+
+/** An object made only of `type` and `value` keys is an explicit typed value. */
+function isTypedValue(value) {
+  if (value === null || typeof value !== "object" || Array.isArray(value)) return false;
+  const keys = Object.keys(value);
+  return keys.includes("type") && keys.every(k => k === "type" || k === "value");
+}
+
+function resolveTyped({ type, value }, db) {
+  const invalid = expected =>
+    new Error(
+      `Invalid ${type} where value ${JSON.stringify(value)}: expected ${expected}.`,
+    );
+
+  switch (type) {
+    case "string":
+      if (!["string", "number", "boolean"].includes(typeof value)) {
+        throw invalid("a string");
+      }
+      return String(value);
+    case "number": {
+      const number =
+        typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      if (typeof number !== "number" || Number.isNaN(number)) throw invalid("a number");
+      return number;
+    }
+    case "boolean":
+      if (value === true || value === "true") return true;
+      if (value === false || value === "false") return false;
+      throw invalid("true or false");
+    case "null":
+      return null;
+    case "timestamp":
+      return decodeValue({ [TYPE_KEY]: "timestamp", value }, db);
+    case "reference":
+      if (typeof value !== "string") throw invalid("a document path");
+      return decodeValue({ [TYPE_KEY]: "reference", path: value }, db);
+    case "geopoint":
+      if (typeof value?.lat !== "number" || typeof value?.lng !== "number") {
+        throw invalid("{ lat, lng }");
+      }
+      return decodeValue({ [TYPE_KEY]: "geopoint", lat: value.lat, lng: value.lng }, db);
+    case "array":
+      if (!Array.isArray(value)) throw invalid("an array");
+      return value.map(item => (isTypedValue(item) ? resolveTyped(item, db) : item));
+    default:
+      throw new Error(
+        `Unknown where value type "${type}": expected one of ${WHERE_VALUE_TYPES.join(", ")}.`,
+      );
+  }
+}
+
+/**
+ * Resolve a where-clause value from tool args.
+ *
+ * An object `{ type, value }` is converted exactly as its type says (array
+ * items may themselves be typed); anything else goes through coerceValue, so
+ * only bare strings are guessed at. E.g. `{ "type": "string", "value": "02134" }`
+ * stays a string, `{ "type": "timestamp", "value": "2024-01-01T00:00:00Z" }`
+ * becomes a Timestamp.
+ *
+ * @param {unknown} value
+ * @param {object} db - Firestore instance, used to build DocumentReferences.
+ * @throws {Error} On an unknown type or a value that does not fit its type.
+ */
+export function resolveWhereValue(value, db) {
+  return isTypedValue(value) ? resolveTyped(value, db) : coerceValue(value);
+}
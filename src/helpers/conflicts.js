@@ -0,0 +1,72 @@
+import { applyBulkWrites } from "./bulk-mutation.js";
+
+/**
+ * Handling of documents that already exist at a write's destination, shared
+ * by import_documents, copy_documents and seed_emulator.
+ */
+
+/** What to do when a destination document already exists. */
+export const CONFLICT_POLICIES = ["fail", "skip", "overwrite", "merge"];
+
+/** gRPC status Firestore uses when create() hits an existing document. */
+const ALREADY_EXISTS = 6;
+
+/** Documents checked per getAll when looking for existing documents. */
+const EXISTS_CHUNK_SIZE = 100;
+
+/**
+ * Validate a `conflict` argument, defaulting to "fail".
+ *
+ * @throws {Error} When it is not one of CONFLICT_POLICIES.
+ */
+export function resolveConflictPolicy(conflict = "fail") {
+  if (!CONFLICT_POLICIES.includes(conflict)) {
+    throw new Error(`Invalid conflict: expected one of ${CONFLICT_POLICIES.join(", ")}.`);
+  }
+  return conflict;
+}
+
+/** Paths of the given document references that already exist. */
+export async function findExisting(refs, db) {
+  const existing = new Set();
+  for (let i = 0; i < refs.length; i += EXISTS_CHUNK_SIZE) {
+    const snapshots = await db.getAll(...refs.slice(i, i + EXISTS_CHUNK_SIZE));
+    for (const snapshot of snapshots) {
+      if (snapshot.exists) existing.add(snapshot.ref.path);
+    }
+  }
+  return existing;
+}
+
+/**
+ * Queue one write on a BulkWriter per the conflict policy: overwrite sets,
+ * merge sets with merge, and fail / skip create (rejecting with
+ * ALREADY_EXISTS when the document exists).
+ */
+function queueWrite(writer, ref, data, conflict) {
+  switch (conflict) {
+    case "overwrite":
+      return writer.set(ref, data);
+    case "merge":
+      return writer.set(ref, data, { merge: true });
+    default:
+      return writer.create(ref, data);
+  }
+}
+
+/**
+ * Write every `{ ref, data }` through a BulkWriter per the conflict policy
+ * (see applyBulkWrites); with "skip", existing documents count as skipped.
+ */
+export function writeWithConflictPolicy(db, writes, conflict, { reportProgress, verb }) {
+  return applyBulkWrites(
+    db,
+    writes,
+    (writer, { ref, data }) => queueWrite(writer, ref, data, conflict),
+    {
+      reportProgress,
+      verb,
+      isSkipped: error => conflict === "skip" && error.code === ALREADY_EXISTS,
+    },
+  );
+}
@@ -0,0 +1,134 @@
+import { FieldPath } from "firebase-admin/firestore";
+import { decodeValue, encodeValue } from "./typed-values.js";
+import { DOCUMENT_ID_FIELD } from "../constants.js";
+
+/**
+ * Opaque pagination cursors.
+ *
+ * A cursor token is base64url JSON holding the orderBy field values and the
+ * full path of a boundary document, plus the query shape it was issued for
+ * (collection, orderBy, filter summary). Unlike the legacy `startAfter` doc id,
+ * it does not re-read the document, so it stays valid if that document is
+ * deleted, and it can page backwards.
+ */
+
+/** Ways a cursor can bound a query. */
+export const CURSOR_MODES = ["startAfter", "startAt", "endBefore", "endAt"];
+
+/** Modes that page backwards, and so take the last N documents. */
+const BACKWARD_MODES = ["endBefore", "endAt"];
+
+const CURSOR_VERSION = 1;
+
+/** OrderBy fields whose values a cursor stores; the document id is its path. */
+function valueFields(orderBy) {
+  return orderBy.filter(o => o.field !== DOCUMENT_ID_FIELD);
+}
+
+/**
+ * Describe the parts of a query a cursor is bound to.
+ *
+ * @param {object} shape
+ * @param {string} shape.collection
+ * @param {{ field: string, direction: string }[]} shape.orderBy
+ * @param {string|null} [shape.filter] - Filter summary, if the query has one.
+ */
+export function cursorShape({ collection, orderBy, filter }) {
+  return {
+    collection,
+    orderBy: orderBy.map(o => `${o.field} ${o.direction}`),
+    filter: filter ?? null,
+  };
+}
+
+function describeShape(shape) {
+  const parts = [`collection "${shape.collection}"`];
+  parts.push(shape.orderBy.length ? `orderBy ${shape.orderBy.join(", ")}` : "no orderBy");
+  if (shape.filter) parts.push(`filter ${shape.filter}`);
+  return parts.join(", ");
+}
+
+/**
+ * Build a cursor token positioned at `snapshot`.
+ *
+ * @param {object} shape - From cursorShape.
+ * @param {object} snapshot - Boundary document snapshot.
+ * @param {{ field: string }[]} orderBy - The query's orderBy list.
+ * @param {string} mode - Default mode when the token is passed back.
+ */
+export function encodeCursor(shape, snapshot, orderBy, mode) {
+  const payload = {
+    v: CURSOR_VERSION,
+    m: mode,
+    q: shape,
+    values: valueFields(orderBy).map(o => encodeValue(snapshot.get(o.field))),
+    path: snapshot.ref.path,
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * Parse a cursor token and check it was issued for a query of this shape.
+ *
+ * @throws {Error} When the token is malformed or belongs to another query.
+ */
+export function decodeCursor(token, shape) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(token), "base64url").toString("utf8"));
+  } catch {
+    payload = null;
+  }
+  if (
+    payload?.v !== CURSOR_VERSION ||
+    !CURSOR_MODES.includes(payload.m) ||
+    !Array.isArray(payload.values) ||
+    typeof payload.path !== "string"
+  ) {
+    throw new Error(
+      "Invalid cursor: expected a nextCursor/prevCursor token returned by a previous query.",
+    );
+  }
+
+  if (JSON.stringify(payload.q) !== JSON.stringify(shape)) {
+    throw new Error(
+      `Cursor does not match this query: it was issued for ${describeShape(payload.q)}, but this query has ${describeShape(shape)}. Re-run the query without a cursor.`,
+    );
+  }
+  return payload;
+}
+
+/**
+ * Apply `cursor` / `cursorMode` / `limitToLast` from tool args to a query that
+ * already has its orderBy applied (applyOrderBy ends every ordering with the
+ * document id, so the cursor's path value pins an exact position). Without an
+ * orderBy the document id ordering is added here.
+ *
+ * @returns {{ query: object, limitToLast: boolean }}
+ * @throws {Error} On a bad token, shape mismatch or unknown cursorMode.
+ */
+export function applyCursor(query, db, args, orderBy, shape) {
+  if (!args.cursor && !args.limitToLast) return { query, limitToLast: false };
+
+  if (args.cursor && args.startAfter) {
+    throw new Error("Use either 'cursor' or the legacy 'startAfter', not both.");
+  }
+  if (args.cursorMode !== undefined && !CURSOR_MODES.includes(args.cursorMode)) {
+    throw new Error(`Invalid cursorMode: expected one of ${CURSOR_MODES.join(", ")}.`);
+  }
+
+  if (orderBy.length === 0) query = query.orderBy(FieldPath.documentId());
+
+  let mode = null;
+  if (args.cursor) {
+    const payload = decodeCursor(args.cursor, shape);
+    mode = args.cursorMode || payload.m;
+    const values = decodeValue(payload.values, db);
+    query = query[mode](...values, db.doc(payload.path));
+  }
+
+  return {
+    query,
+    limitToLast: args.limitToLast === true || BACKWARD_MODES.includes(mode),
+  };
+}
@@ -0,0 +1,68 @@
+import { TYPE_KEY } from "./typed-values.js";
+
+/**
+ * Field-level diff of two documents in their typed JSON encoding
+ * (encodeValue), for the diff tool.
+ *
+ * Maps are compared key by key and reported per dotted field path
+ * ("address.city"). Arrays and typed values (`{ "__type": ... }`) are compared
+ * as a whole: any difference replaces the entire value.
+ */
+
+function isMap(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(TYPE_KEY in value)
+  );
+}
+
+/** Deep equality of two encoded values. */
+export function sameEncoded(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== "object" || typeof b !== "object") {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every(k => Object.hasOwn(b, k) && sameEncoded(a[k], b[k]))
+  );
+}
+
+/**
+ * List the changes turning `before` into `after`, as
+ * `{ op: "add" | "remove" | "replace", field, from?, to? }`.
+ *
+ * @param {object} before - Encoded data of the base document.
+ * @param {object} after - Encoded data of the compared document.
+ * @param {{ ignore?: string[] }} [options] - Dotted field paths to leave out
+ *   (with everything beneath them).
+ * @returns {object[]}
+ */
+export function diffFields(before, after, { ignore = [] } = {}) {
+  const changes = [];
+
+  function visit(a, b, prefix) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const key of [...keys].sort()) {
+      const field = prefix ? `${prefix}.${key}` : key;
+      if (ignore.includes(field)) continue;
+
+      if (!Object.hasOwn(b, key)) {
+        changes.push({ op: "remove", field, from: a[key] });
+      } else if (!Object.hasOwn(a, key)) {
+        changes.push({ op: "add", field, to: b[key] });
+      } else if (isMap(a[key]) && isMap(b[key])) {
+        visit(a[key], b[key], field);
+      } else if (!sameEncoded(a[key], b[key])) {
+        changes.push({ op: "replace", field, from: a[key], to: b[key] });
+      }
+    }
+  }
+
+  visit(before ?? {}, after ?? {}, "");
+  return changes;
+}
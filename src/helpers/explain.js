@@ -0,0 +1,52 @@
+/**
+ * Query explain support: runs a query (or aggregation) with
+ * `explain({ analyze })` and reduces Firestore's ExplainMetrics to a concise
+ * shape for tool responses.
+ */
+
+function toNumber(value) {
+  return value === undefined || value === null ? undefined : Number(value);
+}
+
+/**
+ * Summarize ExplainMetrics.
+ *
+ * @param {object} metrics - `ExplainResults.metrics`.
+ * @returns {{ indexesUsed: object[], resultsReturned?: number,
+ *   documentsScanned?: number, indexEntriesScanned?: number,
+ *   readOperations?: number, executionTimeMs?: number }} Execution fields are
+ *   only present when the query was analyzed (run).
+ */
+export function summarizeExplain(metrics) {
+  const summary = { indexesUsed: metrics.planSummary?.indexesUsed ?? [] };
+  const stats = metrics.executionStats;
+  if (!stats) return summary;
+
+  const { seconds = 0, nanoseconds = 0 } = stats.executionDuration ?? {};
+  const debug = stats.debugStats ?? {};
+  const counters = {
+    resultsReturned: toNumber(stats.resultsReturned),
+    documentsScanned: toNumber(debug.documents_scanned),
+    indexEntriesScanned: toNumber(debug.index_entries_scanned),
+    readOperations: toNumber(stats.readOperations),
+    executionTimeMs: Math.round((seconds * 1e3 + nanoseconds / 1e6) * 1000) / 1000,
+  };
+  for (const [key, value] of Object.entries(counters)) {
+    if (value !== undefined && !Number.isNaN(value)) summary[key] = value;
+  }
+  return summary;
+}
+
+/**
+ * Get a query's snapshot, or with `explain` run it through
+ * `explain({ analyze: true })` to also get its plan and execution statistics.
+ *
+ * @param {object} query - A Query or AggregateQuery.
+ * @param {boolean} [explain=false]
+ * @returns {Promise<{ snapshot: object, explain?: object }>}
+ */
+export async function getWithExplain(query, explain = false) {
+  if (!explain) return { snapshot: await query.get() };
+  const results = await query.explain({ analyze: true });
+  return { snapshot: results.snapshot, explain: summarizeExplain(results.metrics) };
+}
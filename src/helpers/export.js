@@ -0,0 +1,153 @@
+import { createReadStream, createWriteStream } from "fs";
+import { rm } from "fs/promises";
+import { once } from "events";
+import { finished } from "stream/promises";
+import { createInterface } from "readline";
+import { TYPE_KEY } from "./typed-values.js";
+import { coerceCsvCell } from "./coerce-value.js";
+
+/**
+ * File writers for export_collection.
+ *
+ * Every record is `{ id, path, data }` with data already in the typed JSON
+ * encoding (encodeValue). NDJSON and JSON keep it as is; CSV has `__id` and
+ * `__path` columns, flattens maps into dot-separated columns and writes tagged
+ * values and arrays as JSON, so that import_documents reads it back with the
+ * same types (see csvValue).
+ */
+
+/** Supported export formats. */
+export const EXPORT_FORMATS = ["ndjson", "json", "csv"];
+
+/**
+ * Open a file stream whose errors surface from write/close instead of being
+ * emitted as unhandled 'error' events.
+ */
+function openStream(path) {
+  const stream = createWriteStream(path);
+  stream.on("error", () => {});
+  return stream;
+}
+
+/** Write a chunk, waiting for the stream to drain when its buffer is full. */
+async function write(stream, chunk) {
+  if (stream.errored) throw stream.errored;
+  if (!stream.write(chunk)) await once(stream, "drain");
+}
+
+async function close(stream) {
+  stream.end();
+  await finished(stream);
+}
+
+/**
+ * Flatten encoded document data into `{ "a.b": value }` cells for CSV.
+ * Tagged values (`__type`) and arrays are kept whole.
+ */
+export function flattenRecord(data, prefix = "", out = {}) {
+  for (const [key, value] of Object.entries(data ?? {})) {
+    const column = prefix ? `${prefix}.${key}` : key;
+    const isMap =
+      value !== null &&
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      !(TYPE_KEY in value) &&
+      Object.keys(value).length > 0;
+    if (isMap) flattenRecord(value, column, out);
+    else out[column] = value;
+  }
+  return out;
+}
+
+/**
+ * Render one CSV cell per RFC 4180. Strings are written raw, null and missing
+ * values as empty cells, everything else (tagged values, arrays) as JSON.
+ */
+export function csvCell(value) {
+  if (value === undefined || value === null) return "";
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A field value as a CSV cell that import reads back unchanged: strings that
+ * would be coerced to another type ("02134", "true") or are empty are written
+ * as JSON strings.
+ */
+export function csvValue(value) {
+  const ambiguous =
+    typeof value === "string" && (value === "" || coerceCsvCell(value) !== value);
+  return csvCell(ambiguous ? JSON.stringify(value) : value);
+}
+
+/**
+ * CSV columns are only known once every document has been seen, so rows are
+ * spooled to a temporary NDJSON file and rewritten under the final header.
+ */
+function csvWriter(path) {
+  const spoolPath = `${path}.rows`;
+  const spool = openStream(spoolPath);
+  const columns = new Set();
+
+  return {
+    async write(record) {
+      const row = { __id: record.id, __path: record.path, ...flattenRecord(record.data) };
+      for (const column of Object.keys(row)) columns.add(column);
+      await write(spool, `${JSON.stringify(row)}\n`);
+    },
+    async finish() {
+      await close(spool);
+      const header = [...columns];
+      const out = openStream(path);
+      try {
+        await write(out, `${header.map(csvCell).join(",")}\n`);
+        const lines = createInterface({ input: createReadStream(spoolPath) });
+        for await (const line of lines) {
+          if (!line) continue;
+          const row = JSON.parse(line);
+          await write(out, `${header.map(c => csvValue(row[c])).join(",")}\n`);
+        }
+      } finally {
+        await close(out);
+        await rm(spoolPath, { force: true });
+      }
+    },
+    async abort() {
+      spool.destroy();
+      await rm(spoolPath, { force: true });
+    },
+  };
+}
+
+function jsonWriter(path, format) {
+  const out = openStream(path);
+  let count = 0;
+
+  return {
+    async write(record) {
+      const line = JSON.stringify(record);
+      if (format === "ndjson") await write(out, `${line}\n`);
+      else await write(out, `${count === 0 ? "[\n" : ",\n"}${line}`);
+      count++;
+    },
+    async finish() {
+      if (format === "json") await write(out, count === 0 ? "[]\n" : "\n]\n");
+      await close(out);
+    },
+    async abort() {
+      out.destroy();
+    },
+  };
+}
+
+/**
+ * Open a streaming writer for `format` at `path`.
+ *
+ * @returns {{ write(record): Promise<void>, finish(): Promise<void>, abort(): Promise<void> }}
+ */
+export function createExportWriter(path, format) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Invalid format: expected one of ${EXPORT_FORMATS.join(", ")}.`);
+  }
+  return format === "csv" ? csvWriter(path) : jsonWriter(path, format);
+}
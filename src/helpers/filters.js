@@ -0,0 +1,198 @@
+import { Filter } from "firebase-admin/firestore";
+import { resolveWhereValue } from "./coerce-value.js";
+import {
+  WHERE_OPERATORS,
+  applyWhereClauses,
+  formatClauses,
+  formatCondition,
+} from "./query.js";
+
+/** Maximum disjunctions Firestore allows once a filter is in disjunctive normal form. */
+export const MAX_DISJUNCTIONS = 30;
+
+/** Maximum comparison values for `in` / `array-contains-any`. */
+export const MAX_IN_VALUES = 30;
+
+/** Maximum comparison values for `not-in`. */
+export const MAX_NOT_IN_VALUES = 10;
+
+const ARRAY_OPERATORS = ["in", "not-in", "array-contains-any"];
+
+/**
+ * Normalize a filter tree from tool args into
+ *   { type: "and" | "or", filters: [...] }  or  { field, operator, value }
+ * resolving leaf values the same way as where clauses.
+ *
+ * Composite nodes are `{ or: [...] }` / `{ and: [...] }`; leaves are
+ * `[field, operator, value]` tuples.
+ *
+ * @param {unknown} node
+ * @param {object} [db] - Firestore instance, needed for reference values.
+ * @param {string} [at="filter"] - Location used in error messages.
+ * @throws {Error} When the tree is malformed.
+ */
+export function normalizeFilter(node, db, at = "filter") {
+  if (Array.isArray(node)) {
+    const [field, operator, value] = node;
+    if (node.length !== 3 || typeof field !== "string" || field === "") {
+      throw new Error(`Invalid ${at}: clauses must be [field, operator, value].`);
+    }
+    if (!WHERE_OPERATORS.includes(operator)) {
+      throw new Error(`Invalid ${at}: unknown operator "${operator}".`);
+    }
+    return { field, operator, value: resolveWhereValue(value, db) };
+  }
+
+  if (node == null || typeof node !== "object") {
+    throw new Error(`Invalid ${at}: expected {or: [...]}, {and: [...]} or a clause.`);
+  }
+  const keys = Object.keys(node);
+  if (keys.length !== 1 || !["or", "and"].includes(keys[0])) {
+    throw new Error(`Invalid ${at}: composite nodes take exactly one "or" or "and" key.`);
+  }
+  const type = keys[0];
+  const children = node[type];
+  if (!Array.isArray(children) || children.length === 0) {
+    throw new Error(`Invalid ${at}.${type}: expected a non-empty array.`);
+  }
+  return {
+    type,
+    filters: children.map((child, i) =>
+      normalizeFilter(child, db, `${at}.${type}[${i}]`),
+    ),
+  };
+}
+
+/** Number of disjunctions a node expands to (`in` counts one per value). */
+function countDisjunctions(node) {
+  if (!node.type) {
+    return ["in", "array-contains-any"].includes(node.operator) ? node.value.length : 1;
+  }
+  const counts = node.filters.map(countDisjunctions);
+  return node.type === "or"
+    ? counts.reduce((a, b) => a + b, 0)
+    : counts.reduce((a, b) => a * b, 1);
+}
+
+/** Expand a node into its conjunctions (lists of leaves), without expanding `in`. */
+function conjunctions(node) {
+  if (!node.type) return [[node]];
+  const parts = node.filters.map(conjunctions);
+  if (node.type === "or") return parts.flat();
+  return parts.reduce(
+    (acc, part) => acc.flatMap(left => part.map(right => [...left, ...right])),
+    [[]],
+  );
+}
+
+function leaves(node) {
+  return node.type ? node.filters.flatMap(leaves) : [node];
+}
+
+function containsOr(node) {
+  return node.type === "or" || (node.type === "and" && node.filters.some(containsOr));
+}
+
+/**
+ * Check a normalized filter against Firestore's query limits so violations are
+ * reported before the query is sent:
+ * - at most MAX_DISJUNCTIONS disjunctions in disjunctive normal form
+ * - `in` / `array-contains-any` take 1..MAX_IN_VALUES values, `not-in` 1..MAX_NOT_IN_VALUES
+ * - `not-in` cannot be combined with `or`, `in`, `array-contains-any` or `!=`
+ * - at most one `array-contains` / `array-contains-any` per disjunction
+ *
+ * @param {object} tree - Output of normalizeFilter.
+ * @throws {Error} When a limit is exceeded.
+ */
+export function validateFilter(tree) {
+  const all = leaves(tree);
+
+  for (const { field, operator, value } of all) {
+    if (!ARRAY_OPERATORS.includes(operator)) continue;
+    const max = operator === "not-in" ? MAX_NOT_IN_VALUES : MAX_IN_VALUES;
+    if (!Array.isArray(value) || value.length === 0 || value.length > max) {
+      throw new Error(
+        `Invalid filter on "${field}": '${operator}' requires an array of 1 to ${max} values.`,
+      );
+    }
+  }
+
+  const disjunctions = countDisjunctions(tree);
+  if (disjunctions > MAX_DISJUNCTIONS) {
+    throw new Error(
+      `Filter expands to ${disjunctions} disjunctions; Firestore allows at most ${MAX_DISJUNCTIONS}. Reduce 'or' branches or 'in' values.`,
+    );
+  }
+
+  if (all.some(l => l.operator === "not-in")) {
+    const hasOr = containsOr(tree);
+    const conflict = all.find(l =>
+      ["in", "array-contains-any", "!="].includes(l.operator),
+    );
+    if (hasOr || conflict) {
+      throw new Error(
+        `'not-in' cannot be combined with ${hasOr ? "'or'" : `'${conflict.operator}'`} in the same query.`,
+      );
+    }
+  }
+
+  for (const conjunction of conjunctions(tree)) {
+    const arrayOps = conjunction.filter(l =>
+      ["array-contains", "array-contains-any"].includes(l.operator),
+    );
+    if (arrayOps.length > 1) {
+      throw new Error(
+        `At most one 'array-contains' or 'array-contains-any' is allowed per disjunction (found on ${arrayOps.map(l => `"${l.field}"`).join(", ")}).`,
+      );
+    }
+  }
+}
+
+/** Compile a normalized tree into a Firestore Filter. */
+export function compileFilter(node) {
+  if (!node.type) return Filter.where(node.field, node.operator, node.value);
+  const filters = node.filters.map(compileFilter);
+  return node.type === "or" ? Filter.or(...filters) : Filter.and(...filters);
+}
+
+/**
+ * Render a normalized tree as a readable summary for responses,
+ * e.g. `(status == "paid" OR status == "shipped") AND total > 100`.
+ */
+export function formatFilter(node, nested = false) {
+  if (!node.type) return formatCondition(node);
+  const text = node.filters
+    .map(child => formatFilter(child, true))
+    .join(node.type === "or" ? " OR " : " AND ");
+  return nested && node.filters.length > 1 ? `(${text})` : text;
+}
+
+/**
+ * Normalize, validate and apply a filter tree to a query, ANDed with any
+ * plain where clauses passed alongside it.
+ * Returns { query, tree } where tree is the normalized form for response building.
+ */
+export function applyFilter(query, filter, whereClauses, db) {
+  const combined = Array.isArray(whereClauses)
+    ? { and: [...whereClauses, filter] }
+    : filter;
+  const tree = normalizeFilter(combined, db);
+  validateFilter(tree);
+  return { query: query.where(compileFilter(tree)), tree };
+}
+
+/**
+ * Apply a tool's `filter` tree and/or `where` clauses, whichever were given.
+ * Returns { query, summary } where summary is null when no conditions apply.
+ */
+export function applyConditions(query, args, db) {
+  if (args.filter) {
+    const result = applyFilter(query, args.filter, args.where, db);
+    return { query: result.query, summary: formatFilter(result.tree) };
+  }
+  if (args.where && Array.isArray(args.where)) {
+    const result = applyWhereClauses(query, args.where, db);
+    return { query: result.query, summary: formatClauses(result.clauses) };
+  }
+  return { query, summary: null };
+}
@@ -0,0 +1,201 @@
+import { extname } from "path";
+import { coerceCsvCell } from "./coerce-value.js";
+import { EXPORT_FORMATS } from "./export.js";
+
+/**
+ * File readers for import_documents: the counterpart of export.js.
+ *
+ * Records come back as `{ id?, path?, data }`. Files written by
+ * export_collection round-trip: NDJSON/JSON records of the `{ id, path, data }`
+ * shape are taken as is, and CSV `__id` / `__path` columns map back to id and
+ * path, with dotted columns rebuilt into nested maps.
+ */
+
+/** Supported import formats (the export formats). */
+export const IMPORT_FORMATS = EXPORT_FORMATS;
+
+const EXTENSION_FORMATS = {
+  ".ndjson": "ndjson",
+  ".jsonl": "ndjson",
+  ".json": "json",
+  ".csv": "csv",
+};
+
+/**
+ * Resolve the file format: the explicit `format`, else the file extension.
+ *
+ * @throws {Error} When neither names a supported format.
+ */
+export function resolveImportFormat(path, format) {
+  const resolved = format ?? EXTENSION_FORMATS[extname(path).toLowerCase()];
+  if (!IMPORT_FORMATS.includes(resolved)) {
+    throw new Error(
+      `Invalid format${format ? ` "${format}"` : ` for "${path}"`}: expected one of ${IMPORT_FORMATS.join(", ")}.`,
+    );
+  }
+  return resolved;
+}
+
+/**
+ * Split CSV text into rows of cells per RFC 4180 (quoted cells may contain
+ * commas, doubled quotes and line breaks).
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw new Error("Invalid CSV: unterminated quoted cell.");
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.length > 1 || r[0] !== "");
+}
+
+/** Set `value` at a dot-separated path, creating intermediate maps. */
+function setPath(target, path, value) {
+  const keys = path.split(".");
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    if (node[key] === null || typeof node[key] !== "object") node[key] = {};
+    node = node[key];
+  }
+  node[keys.at(-1)] = value;
+}
+
+/**
+ * Turn CSV rows into plain objects keyed by header. Empty cells are omitted;
+ * others are auto-coerced (coerceCsvCell) unless `coerce` is false.
+ */
+function csvObjects(text, coerce) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  return rows.map((cells, i) => {
+    if (cells.length > header.length) {
+      throw new Error(
+        `Row ${i + 1}: has ${cells.length} cells but the header has ${header.length} columns.`,
+      );
+    }
+    const record = {};
+    header.forEach((column, c) => {
+      const cell = cells[c];
+      if (cell === undefined || cell === "") return;
+      setPath(record, column, coerce ? coerceCsvCell(cell) : cell);
+    });
+    return record;
+  });
+}
+
+/**
+ * Parse file text into raw records.
+ *
+ * @param {string} text
+ * @param {string} format - One of IMPORT_FORMATS.
+ * @param {{ coerce?: boolean }} [options] - CSV only: auto-coerce cells (default true).
+ * @returns {object[]}
+ * @throws {Error} With the offending line/row when the text does not parse.
+ */
+export function parseRecords(text, format, { coerce = true } = {}) {
+  if (format === "csv") return csvObjects(text, coerce);
+
+  if (format === "json") {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`, { cause: error });
+    }
+    if (!Array.isArray(parsed)) throw new Error("Invalid JSON: expected an array.");
+    return parsed;
+  }
+
+  const records = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (line.trim() === "") return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`Invalid NDJSON on line ${i + 1}: ${error.message}`, {
+        cause: error,
+      });
+    }
+  });
+  return records;
+}
+
+/**
+ * Split a raw record into `{ id, path, data }`.
+ *
+ * Records shaped like export output (`{ id?, path?, data: {...} }`) are taken
+ * as is. Otherwise the whole record is the document: its id comes from
+ * `idField` (default `__id`, then `id`), its path from `__path`, and both are
+ * removed from the data.
+ *
+ * @param {unknown} raw
+ * @param {number} index - Record position, used in error messages.
+ * @param {string} [idField]
+ * @throws {Error} When the record is not an object or has an invalid id.
+ */
+export function normalizeRecord(raw, index, idField) {
+  if (raw === null || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`Record ${index}: expected an object.`);
+  }
+
+  const keys = Object.keys(raw);
+  const exportShaped =
+    !idField &&
+    raw.data !== null &&
+    typeof raw.data === "object" &&
+    !Array.isArray(raw.data) &&
+    keys.every(k => ["id", "path", "data"].includes(k));
+
+  let id, path, data;
+  if (exportShaped) {
+    ({ id, path, data } = raw);
+  } else {
+    const field = idField ?? ["__id", "id"].find(k => k in raw);
+    data = { ...raw };
+    if (field !== undefined) {
+      id = data[field];
+      delete data[field];
+    }
+    path = data.__path;
+    delete data.__path;
+  }
+
+  if (id !== undefined && id !== null) {
+    if (!["string", "number"].includes(typeof id) || String(id).includes("/")) {
+      throw new Error(`Record ${index}: invalid document id ${JSON.stringify(id)}.`);
+    }
+    id = String(id);
+  }
+  return { id: id ?? undefined, path: path ?? undefined, data };
+}
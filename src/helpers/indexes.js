@@ -0,0 +1,307 @@
+import { readFileSync, statSync } from "fs";
+import { findIndexesFile } from "../config.js";
+import { DOCUMENT_ID_FIELD } from "../constants.js";
+
+/**
+ * Composite index hints for queries.
+ *
+ * Indexes are handled in the firestore.indexes.json entry format:
+ *   { collectionGroup, queryScope: "COLLECTION" | "COLLECTION_GROUP",
+ *     fields: [{ fieldPath, order: "ASCENDING" | "DESCENDING" }
+ *            | { fieldPath, arrayConfig: "CONTAINS" }] }
+ *
+ * A missing index is found two ways: by decoding the `create_composite` link
+ * in Firestore's FAILED_PRECONDITION error, or up front from the query shape
+ * (where / filter / orderBy), checked against the project's local
+ * firestore.indexes.json when there is one. The emulator does not enforce
+ * composite indexes, so the up-front check is what catches queries that
+ * would fail in production.
+ */
+
+/** gRPC status code of "The query requires an index" errors. */
+const FAILED_PRECONDITION = 9;
+
+const EQUALITY_OPERATORS = ["==", "in", "array-contains", "array-contains-any"];
+const ARRAY_OPERATORS = ["array-contains", "array-contains-any"];
+
+/** Index proto enums, by number. */
+const QUERY_SCOPES = { 1: "COLLECTION", 2: "COLLECTION_GROUP" };
+const ORDERS = { 1: "ASCENDING", 2: "DESCENDING" };
+
+/** Whether an error is Firestore's "The query requires an index". */
+export function isMissingIndexError(error) {
+  return (
+    (error?.code === FAILED_PRECONDITION || /FAILED_PRECONDITION/.test(error?.message)) &&
+    /requires an index/i.test(error.message)
+  );
+}
+
+function readVarint(bytes, pos) {
+  let value = 0;
+  for (let shift = 0; pos < bytes.length; shift += 7) {
+    const byte = bytes[pos++];
+    value += (byte & 0x7f) * 2 ** shift;
+    if ((byte & 0x80) === 0) return [value, pos];
+  }
+  throw new Error("Truncated varint.");
+}
+
+/** Decode the varint and length-delimited fields of a protobuf message. */
+function decodeFields(bytes) {
+  const fields = [];
+  let pos = 0;
+  while (pos < bytes.length) {
+    let key;
+    let value;
+    [key, pos] = readVarint(bytes, pos);
+    const wireType = key & 7;
+    if (wireType === 0) {
+      [value, pos] = readVarint(bytes, pos);
+    } else if (wireType === 2) {
+      let length;
+      [length, pos] = readVarint(bytes, pos);
+      value = bytes.subarray(pos, pos + length);
+      pos += length;
+    } else {
+      throw new Error(`Unsupported wire type ${wireType}.`);
+    }
+    fields.push([Math.floor(key / 8), value]);
+  }
+  return fields;
+}
+
+/** Drop Firestore's implicit trailing `__name__ ASCENDING`. */
+function trimDocumentId(fields) {
+  const last = fields.at(-1);
+  return last?.fieldPath === DOCUMENT_ID_FIELD && last.order === "ASCENDING"
+    ? fields.slice(0, -1)
+    : fields;
+}
+
+/**
+ * Decode the index from the `create_composite` console link in a
+ * missing-index error message.
+ *
+ * @param {string} message
+ * @returns {{ index: object, createUrl: string } | null} Null when the
+ *   message has no decodable link.
+ */
+export function indexFromErrorMessage(message) {
+  const url = message?.match(/https:\/\/\S+create_composite=([^&\s]+)/);
+  if (!url) return null;
+  try {
+    const bytes = Buffer.from(decodeURIComponent(url[1]), "base64");
+    let collectionGroup;
+    let queryScope = "COLLECTION";
+    const fields = [];
+    for (const [number, value] of decodeFields(bytes)) {
+      if (number === 1) {
+        collectionGroup = value.toString().match(/collectionGroups\/([^/]+)/)?.[1];
+      } else if (number === 2) {
+        queryScope = QUERY_SCOPES[value] ?? queryScope;
+      } else if (number === 3) {
+        const field = {};
+        for (const [n, v] of decodeFields(value)) {
+          if (n === 1) field.fieldPath = v.toString();
+          else if (n === 2) field.order = ORDERS[v];
+          else if (n === 3) field.arrayConfig = "CONTAINS";
+        }
+        if (field.fieldPath) fields.push(field);
+      }
+    }
+    if (!collectionGroup || fields.length === 0) return null;
+    return {
+      index: { collectionGroup, queryScope, fields: trimDocumentId(fields) },
+      createUrl: url[0],
+    };
+  } catch (error) {
+    console.error("Failed to decode index link:", error.message);
+    return null;
+  }
+}
+
+/**
+ * `[field, operator]` of every clause, or null when the filter has an OR.
+ * Malformed `where` input is skipped: callers may check before validating.
+ */
+function conjunctiveClauses(where, filter) {
+  const clauses = (Array.isArray(where) ? where : [])
+    .filter(Array.isArray)
+    .map(([field, operator]) => [field, operator]);
+  const visit = node => {
+    if (Array.isArray(node)) return clauses.push([node[0], node[1]]);
+    if (node?.or) return false;
+    return (node?.and ?? []).every(child => visit(child) !== false);
+  };
+  return filter === undefined || visit(filter) !== false ? clauses : null;
+}
+
+/**
+ * The composite index a query needs, from its shape.
+ *
+ * Single-field indexes serve equality-only queries (merged) and a range or
+ * ordering on one field without other filters; anything else needs a
+ * composite index: equality fields first, then the orderBy fields, then the
+ * remaining inequality fields. Queries with OR filters are not analyzed.
+ *
+ * @param {{ collectionGroup: string, queryScope?: string, where?: Array[],
+ *   filter?: object, orderBy?: { field: string, direction: string }[] }} spec
+ *   `orderBy` as returned by parseOrderBy.
+ * @returns {object|null} The index, or null when none is needed (or known).
+ */
+export function requiredIndex({
+  collectionGroup,
+  queryScope = "COLLECTION",
+  where,
+  filter,
+  orderBy = [],
+}) {
+  const clauses = conjunctiveClauses(where, filter);
+  if (!clauses) return null;
+
+  const equality = new Map();
+  const inequality = new Set();
+  for (const [field, operator] of clauses) {
+    if (field === DOCUMENT_ID_FIELD) continue;
+    if (EQUALITY_OPERATORS.includes(operator)) {
+      if (!equality.has(field)) {
+        equality.set(
+          field,
+          ARRAY_OPERATORS.includes(operator)
+            ? { fieldPath: field, arrayConfig: "CONTAINS" }
+            : { fieldPath: field, order: "ASCENDING" },
+        );
+      }
+    } else {
+      inequality.add(field);
+    }
+  }
+
+  // Ordering on a field constrained by equality is a no-op for Firestore.
+  const sorted = orderBy
+    .filter(o => o.field !== DOCUMENT_ID_FIELD && !equality.has(o.field))
+    .map(o => ({
+      fieldPath: o.field,
+      order: o.direction === "desc" ? "DESCENDING" : "ASCENDING",
+    }));
+  for (const field of inequality) {
+    if (!equality.has(field) && !sorted.some(s => s.fieldPath === field)) {
+      sorted.push({ fieldPath: field, order: "ASCENDING" });
+    }
+  }
+
+  if (sorted.length === 0 || (sorted.length === 1 && equality.size === 0)) return null;
+  return { collectionGroup, queryScope, fields: [...equality.values(), ...sorted] };
+}
+
+function sameIndex(a, b) {
+  const fieldsA = trimDocumentId(a.fields ?? []);
+  const fieldsB = trimDocumentId(b.fields ?? []);
+  return (
+    a.collectionGroup === b.collectionGroup &&
+    (a.queryScope ?? "COLLECTION") === (b.queryScope ?? "COLLECTION") &&
+    fieldsA.length === fieldsB.length &&
+    fieldsA.every(
+      (f, i) =>
+        f.fieldPath === fieldsB[i].fieldPath &&
+        f.order === fieldsB[i].order &&
+        f.arrayConfig === fieldsB[i].arrayConfig,
+    )
+  );
+}
+
+let located = null;
+let cached = null;
+
+/**
+ * findIndexesFile, resolved once per working directory and
+ * MCP_FIRESTORE_INDEXES_FILE value rather than on every query.
+ */
+function indexesFilePath() {
+  const key = `${process.cwd()}\0${process.env.MCP_FIRESTORE_INDEXES_FILE ?? ""}`;
+  if (located?.key !== key) located = { key, path: findIndexesFile() };
+  return located.path;
+}
+
+/**
+ * The indexes of the local firestore.indexes.json (see findIndexesFile),
+ * re-read when the file changes.
+ *
+ * @returns {{ path: string, indexes: object[] } | null} Null when there is
+ *   no file or it cannot be read.
+ */
+export function loadLocalIndexes() {
+  const path = indexesFilePath();
+  if (!path) return null;
+  try {
+    const { mtimeMs, size } = statSync(path);
+    const version = `${mtimeMs}:${size}`;
+    if (cached?.path !== path || cached.version !== version) {
+      const { indexes = [] } = JSON.parse(readFileSync(path, "utf8"));
+      cached = { path, version, indexes };
+    }
+    return { path, indexes: cached.indexes };
+  } catch (error) {
+    console.error(`Failed to read ${path}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * The `missingIndex` object of responses: the index, the exact entry to add
+ * to firestore.indexes.json, and whether the local file already has it.
+ */
+export function describeMissingIndex(
+  index,
+  { createUrl, local = loadLocalIndexes() } = {},
+) {
+  return {
+    ...index,
+    snippet: JSON.stringify(index, null, 2),
+    ...(createUrl && { createUrl }),
+    ...(local && {
+      indexesFile: local.path,
+      inIndexesFile: local.indexes.some(entry => sameIndex(entry, index)),
+    }),
+  };
+}
+
+/**
+ * Up-front check of a query against the local firestore.indexes.json.
+ *
+ * @param {object} spec - As for requiredIndex.
+ * @param {{ path: string, indexes: object[] } | null} [local]
+ * @returns {object|null} A `missingIndex` when the query needs a composite
+ *   index the file does not define; null otherwise, or when there is no file.
+ */
+export function checkLocalIndexes(spec, local = loadLocalIndexes()) {
+  if (!local) return null;
+  const index = requiredIndex(spec);
+  if (!index || local.indexes.some(entry => sameIndex(entry, index))) return null;
+  return {
+    ...describeMissingIndex(index, { local }),
+    message: `Not defined in ${local.path}: this query fails in production until the index is deployed.`,
+  };
+}
+
+/**
+ * Turn a missing-index error into one carrying a `missingIndex` (decoded from
+ * the error's link, else derived from `spec`). Other errors are returned as is.
+ *
+ * @param {Error} error
+ * @param {object} [spec] - As for requiredIndex.
+ * @returns {Error}
+ */
+export function withIndexHint(error, spec) {
+  if (error.missingIndex || !isMissingIndexError(error)) return error;
+  const decoded = indexFromErrorMessage(error.message);
+  const index = decoded?.index ?? (spec && requiredIndex(spec));
+  if (!index) return error;
+
+  const hinted = new Error(
+    `The query requires a composite index on ${index.collectionGroup} (${index.fields.map(f => f.fieldPath).join(", ")}). Add missingIndex.snippet to the "indexes" of firestore.indexes.json and deploy it with \`firebase deploy --only firestore:indexes\`${decoded ? ", or create it from missingIndex.createUrl" : ""}.`,
+    { cause: error },
+  );
+  hinted.missingIndex = describeMissingIndex(index, { createUrl: decoded?.createUrl });
+  return hinted;
+}
@@ -1,4 +1,10 @@
-import { coerceValue } from "./coerce-value.js";
+import { FieldPath } from "firebase-admin/firestore";
+import { resolveWhereValue } from "./coerce-value.js";
+import { encodeValue } from "./typed-values.js";
+import { shapeDocuments } from "./shape.js";
+import { encodeCursor } from "./cursor.js";
+import { getWithExplain } from "./explain.js";
+import { DOCUMENT_ID_FIELD } from "../constants.js";
 
 /**
  * Valid Firestore where operators.
@@ -13,29 +19,109 @@ export const WHERE_OPERATORS = [
   "array-contains",
   "in",
   "array-contains-any",
+  "not-in",
 ];
 
 /**
  * Apply where clauses to a Firestore query.
+ * Values are resolved with resolveWhereValue (explicit `{ type, value }` or
+ * coerced bare strings); `db` is needed for reference values.
  * Returns { query, clauses } where clauses is the parsed array for response building.
  */
-export function applyWhereClauses(query, whereClauses) {
+export function applyWhereClauses(query, whereClauses, db) {
   const clauses = [];
   for (const clause of whereClauses) {
     const [field, operator, value] = clause;
-    const coerced = coerceValue(value);
-    clauses.push({ field, operator, value: coerced });
-    query = query.where(field, operator, coerced);
+    const resolved = resolveWhereValue(value, db);
+    clauses.push({ field, operator, value: resolved });
+    query = query.where(field, operator, resolved);
   }
   return { query, clauses };
 }
 
+/**
+ * Render one resolved condition, e.g. `zip == "02134"` or
+ * `at > {"__type":"timestamp","value":"..."}` (special values tagged via encodeValue).
+ */
+export function formatCondition({ field, operator, value }) {
+  return `${field} ${operator} ${JSON.stringify(encodeValue(value))}`;
+}
+
+/**
+ * Render parsed where clauses as a readable summary for responses,
+ * e.g. `role == "admin" AND age > 35`.
+ */
+export function formatClauses(clauses) {
+  return clauses.map(formatCondition).join(" AND ");
+}
+
+/** Valid orderBy directions. */
+export const ORDER_DIRECTIONS = ["asc", "desc"];
+
+/**
+ * Resolve the orderBy args into a list of { field, direction }.
+ *
+ * `orderBy` is either a single field name (direction from `orderDirection`) or
+ * an array of { field, direction } for multi-field ordering. The document id
+ * (`__name__`) may only appear as the last entry.
+ *
+ * @throws {Error} When an entry is malformed, repeated or has an unknown direction.
+ */
+export function parseOrderBy(args) {
+  const { orderBy } = args;
+  if (orderBy === undefined || orderBy === null || orderBy === "") return [];
+
+  const entries =
+    typeof orderBy === "string"
+      ? [{ field: orderBy, direction: args.orderDirection }]
+      : orderBy;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(
+      "Invalid orderBy: expected a field name or a non-empty array of { field, direction }.",
+    );
+  }
+
+  const seen = new Set();
+  return entries.map((entry, i) => {
+    const at = typeof orderBy === "string" ? "orderBy" : `orderBy[${i}]`;
+    if (typeof entry?.field !== "string" || entry.field === "") {
+      throw new Error(`Invalid ${at}: expected { field, direction }.`);
+    }
+    const direction = entry.direction ?? "asc";
+    if (!ORDER_DIRECTIONS.includes(direction)) {
+      throw new Error(
+        `Invalid ${at}: direction must be one of ${ORDER_DIRECTIONS.join(", ")}.`,
+      );
+    }
+    if (seen.has(entry.field)) {
+      throw new Error(`Invalid ${at}: "${entry.field}" is already ordered on.`);
+    }
+    if (entry.field === DOCUMENT_ID_FIELD && i !== entries.length - 1) {
+      throw new Error(`Invalid ${at}: "${DOCUMENT_ID_FIELD}" must be the last ordering.`);
+    }
+    seen.add(entry.field);
+    return { field: entry.field, direction };
+  });
+}
+
 /**
  * Apply orderBy to a query if specified.
+ *
+ * The document id is appended as a final ordering (in the last field's
+ * direction) unless already present, so documents with equal values keep a
+ * stable order across pages and cursors can pin an exact position.
  */
 export function applyOrderBy(query, args) {
-  if (args.orderBy) {
-    query = query.orderBy(args.orderBy, args.orderDirection || "asc");
+  const orderBy = parseOrderBy(args);
+  for (const { field, direction } of orderBy) {
+    query = query.orderBy(
+      field === DOCUMENT_ID_FIELD ? FieldPath.documentId() : field,
+      direction,
+    );
+  }
+  const last = orderBy.at(-1);
+  if (last && last.field !== DOCUMENT_ID_FIELD) {
+    query = query.orderBy(FieldPath.documentId(), last.direction);
   }
   return query;
 }
@@ -47,28 +133,120 @@ export function applyOrderBy(query, args) {
  */
 export async function applyPagination(query, db, collection, startAfterId) {
   if (!startAfterId) return query;
-  const startDoc = await db.collection(collection).doc(startAfterId).get();
+  return startAfterDocument(query, db.collection(collection).doc(startAfterId));
+}
+
+/**
+ * Same as applyPagination, but the cursor is a full document path. Used by
+ * collection group queries, where a bare id is ambiguous across parents.
+ */
+export async function applyPathPagination(query, db, startAfterPath) {
+  if (!startAfterPath) return query;
+  return startAfterDocument(query, db.doc(startAfterPath));
+}
+
+async function startAfterDocument(query, ref) {
+  const startDoc = await ref.get();
   if (startDoc.exists) {
     query = query.startAfter(startDoc);
   }
   return query;
 }
 
+/**
+ * Restrict a collection group query to documents nested under a document path
+ * (e.g. "users/uid" for every matching subcollection below that user).
+ *
+ * Firestore orders __name__ segment by segment, so [prefix, prefix + "\u0000")
+ * covers exactly the prefix's subtree and excludes siblings like "users/uid2".
+ */
+export function applyPathPrefix(query, pathPrefix) {
+  if (!pathPrefix) return query;
+  return query
+    .where(FieldPath.documentId(), ">=", pathPrefix)
+    .where(FieldPath.documentId(), "<", `${pathPrefix}\u0000`);
+}
+
+/**
+ * Validate a `select` field list from tool args.
+ * Returns the list, or null when no projection was requested.
+ */
+export function parseSelect(select) {
+  if (select === undefined || select === null) return null;
+  if (
+    !Array.isArray(select) ||
+    select.length === 0 ||
+    select.some(f => typeof f !== "string" || f === "")
+  ) {
+    throw new Error("Invalid select: expected a non-empty array of field paths.");
+  }
+  return select;
+}
+
+/**
+ * Project a query to the given field paths via query.select, if requested.
+ * OrderBy fields are always kept so pagination cursors can read them.
+ */
+export function applySelect(query, select, orderBy = []) {
+  const fields = parseSelect(select);
+  if (!fields) return query;
+  const extra = orderBy
+    .map(o => o.field)
+    .filter(f => f !== DOCUMENT_ID_FIELD && !fields.includes(f));
+  return query.select(...fields, ...extra);
+}
+
 /**
  * Execute a query with limit and map results to plain objects.
- * Returns { docs, lastDocId } for response building.
+ * Special Firestore values are tagged via encodeValue.
+ * Returns { docs, lastDocId, truncated } for response building; with
+ * `withPath`, each doc also carries its full `path` and `lastDocPath` is
+ * returned. `shape` (tool args) applies the shapeDocuments size controls
+ * before the last cursor is picked, so paging resumes after what was returned.
+ * `cursor` ({ shape, orderBy }) adds opaque nextCursor / prevCursor tokens;
+ * `limitToLast` takes the last N matches instead of the first. `explain` runs
+ * the query with explain({ analyze: true }) and adds its summary as `explain`.
  */
-export async function executeQuery(query, limit) {
-  const snapshot = await query.limit(parseInt(limit, 10) || 10).get();
+export async function executeQuery(
+  query,
+  limit,
+  { withPath = false, shape, cursor, limitToLast = false, explain = false } = {},
+) {
+  const n = parseInt(limit, 10) || 10;
+  const { snapshot, explain: explained } = await getWithExplain(
+    limitToLast ? query.limitToLast(n) : query.limit(n),
+    explain,
+  );
 
-  const docs = snapshot.docs.map(doc => ({
+  const mapped = snapshot.docs.map(doc => ({
     id: doc.id,
-    data: doc.data(),
+    ...(withPath && { path: doc.ref.path }),
+    data: encodeValue(doc.data()),
   }));
+  const { docs, truncated } = shape
+    ? shapeDocuments(mapped, shape)
+    : { docs: mapped, truncated: null };
+
+  const last = docs.length > 0 ? docs[docs.length - 1] : null;
+  const lastDocId = last ? last.id : null;
+  const result = { docs, lastDocId, truncated };
 
-  const lastDocId = docs.length > 0 ? docs[docs.length - 1].id : null;
+  if (explained) result.explain = explained;
+  if (withPath) result.lastDocPath = last ? last.path : null;
+
+  if (cursor && docs.length > 0) {
+    const first = snapshot.docs[0];
+    const lastSnapshot = snapshot.docs[docs.length - 1];
+    result.nextCursor = encodeCursor(
+      cursor.shape,
+      lastSnapshot,
+      cursor.orderBy,
+      "startAfter",
+    );
+    result.prevCursor = encodeCursor(cursor.shape, first, cursor.orderBy, "endBefore");
+  }
 
-  return { docs, lastDocId };
+  return result;
 }
 
 /**
@@ -79,6 +257,6 @@ export function mapDocSnapshot(doc) {
   return {
     id: doc.id,
     exists: doc.exists,
-    data: doc.exists ? doc.data() : null,
+    data: doc.exists ? encodeValue(doc.data()) : null,
   };
 }
@@ -0,0 +1,216 @@
+import { TARGETS } from "../constants.js";
+import { mapDocSnapshot } from "./query.js";
+import { resolvePathKind } from "./validate.js";
+import { MAX_WATCHES } from "./watches.js";
+
+/**
+ * Firestore documents and collections as MCP resources, addressed as
+ * `firestore://{target}/{path}`: an even number of path segments names a
+ * document ("firestore://emulator/users/uid"), an odd number a collection
+ * ("firestore://production/users/uid/posts"). Segments are percent-encoded.
+ *
+ * Resource contents are JSON in the typed encoding (see typed-values.js).
+ */
+
+const SCHEME = "firestore:";
+
+export const RESOURCE_MIME_TYPE = "application/json";
+
+/** Documents returned when reading a collection resource. */
+export const COLLECTION_READ_LIMIT = 100;
+
+/** Subscriptions open at once, as for watches. */
+export const MAX_SUBSCRIPTIONS = MAX_WATCHES;
+
+// A URI template cannot tell documents from collections (segment parity), so
+// both share one template.
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "firestore://{target}/{+path}",
+    name: "Firestore document or collection",
+    description: `A document (even number of path segments, e.g. firestore://emulator/users/uid) returns its typed JSON data and subcollection ids. A collection (odd number, e.g. firestore://emulator/users or firestore://emulator/users/uid/posts) returns its first ${COLLECTION_READ_LIMIT} documents.`,
+    mimeType: RESOURCE_MIME_TYPE,
+  },
+];
+
+/** Build the resource URI of a path on a target. */
+export function resourceUri(target, path) {
+  return `${SCHEME}//${target}/${path.split("/").map(encodeURIComponent).join("/")}`;
+}
+
+/**
+ * Parse a `firestore://{target}/{path}` URI.
+ *
+ * @param {string} uri
+ * @returns {{ target: string, path: string, kind: "document" | "collection" }}
+ * @throws {Error} When the URI is not a valid Firestore resource URI.
+ */
+export function parseResourceUri(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch (error) {
+    throw new Error(`Invalid resource URI "${uri}".`, { cause: error });
+  }
+  if (url.protocol !== SCHEME) {
+    throw new Error(
+      `Invalid resource URI "${uri}": expected firestore://{target}/{path}.`,
+    );
+  }
+  const target = url.hostname;
+  if (!Object.values(TARGETS).includes(target)) {
+    throw new Error(
+      `Invalid resource URI "${uri}": unknown target "${target}". Expected one of ${Object.values(TARGETS).join(", ")}.`,
+    );
+  }
+  let path;
+  try {
+    path = url.pathname.slice(1).split("/").map(decodeURIComponent).join("/");
+  } catch (error) {
+    throw new Error(`Invalid resource URI "${uri}": bad percent-encoding.`, {
+      cause: error,
+    });
+  }
+  return { target, path, kind: resolvePathKind(path) };
+}
+
+/**
+ * List the top-level collections of every target as resources. A target that
+ * cannot be listed (e.g. the emulator is down) is logged and left out.
+ *
+ * @param {string[]} targets
+ * @param {(target: string) => { db: object }} getDb
+ * @returns {Promise<object[]>}
+ */
+export async function listResources(targets, getDb) {
+  const results = await Promise.allSettled(
+    targets.map(async target => {
+      const collections = await getDb(target).db.listCollections();
+      return collections.map(collection => ({
+        uri: resourceUri(target, collection.id),
+        name: `${collection.id} (${target})`,
+        description: `Collection "${collection.id}" on ${target}`,
+        mimeType: RESOURCE_MIME_TYPE,
+      }));
+    }),
+  );
+  return results.flatMap((result, i) => {
+    if (result.status === "fulfilled") return result.value;
+    console.error(`[${targets[i]}] Failed to list resources:`, result.reason.message);
+    return [];
+  });
+}
+
+/**
+ * Read a document or collection resource.
+ *
+ * @param {string} uri
+ * @param {(target: string) => { db: object }} getDb
+ * @returns {Promise<{ contents: object[] }>} A ReadResource result.
+ * @throws {Error} When the URI is invalid or the document does not exist.
+ */
+export async function readResource(uri, getDb) {
+  const { target, path, kind } = parseResourceUri(uri);
+  const { db } = getDb(target);
+
+  let body;
+  if (kind === "document") {
+    const ref = db.doc(path);
+    const [snapshot, collections] = await Promise.all([ref.get(), ref.listCollections()]);
+    if (!snapshot.exists && collections.length === 0) {
+      throw new Error(`Document not found: ${path} (${target}).`);
+    }
+    body = {
+      path,
+      ...mapDocSnapshot(snapshot),
+      collections: collections.map(collection => collection.id),
+    };
+  } else {
+    const { docs } = await db
+      .collection(path)
+      .limit(COLLECTION_READ_LIMIT + 1)
+      .get();
+    body = {
+      path,
+      count: Math.min(docs.length, COLLECTION_READ_LIMIT),
+      documents: docs.slice(0, COLLECTION_READ_LIMIT).map(mapDocSnapshot),
+      ...(docs.length > COLLECTION_READ_LIMIT && { truncated: true }),
+    };
+  }
+
+  return {
+    contents: [
+      {
+        uri,
+        mimeType: RESOURCE_MIME_TYPE,
+        text: JSON.stringify({ target, ...body }, null, 2),
+      },
+    ],
+  };
+}
+
+/**
+ * Snapshot listeners behind `resources/subscribe`. After the first snapshot,
+ * every change to a subscribed resource calls `notifyUpdated(uri)`, which
+ * sends `notifications/resources/updated`; the client then re-reads it.
+ *
+ * @param {(target: string) => { db: object }} getDb
+ * @param {(uri: string) => Promise<void>} notifyUpdated
+ */
+export function createResourceSubscriptions(getDb, notifyUpdated) {
+  const listeners = new Map();
+
+  /**
+   * Start listening on a resource. Subscribing twice to a URI is a no-op.
+   *
+   * @throws {Error} When the URI is invalid, its target is unavailable, or
+   *   MAX_SUBSCRIPTIONS are already open.
+   */
+  function subscribe(uri) {
+    if (listeners.has(uri)) return;
+    if (listeners.size >= MAX_SUBSCRIPTIONS) {
+      throw new Error(
+        `Too many resource subscriptions: ${MAX_SUBSCRIPTIONS} are open. Unsubscribe from one first.`,
+      );
+    }
+    const { target, path, kind } = parseResourceUri(uri);
+    const { db } = getDb(target);
+    const source =
+      kind === "document"
+        ? db.doc(path)
+        : db.collection(path).limit(COLLECTION_READ_LIMIT + 1);
+
+    let first = true;
+    const unsubscribe = source.onSnapshot(
+      () => {
+        if (first) {
+          first = false;
+          return;
+        }
+        Promise.resolve(notifyUpdated(uri)).catch(error =>
+          console.error("Failed to send resource update:", error.message),
+        );
+      },
+      error => {
+        console.error(`Resource subscription to ${uri} failed:`, error.message);
+        listeners.delete(uri);
+      },
+    );
+    listeners.set(uri, unsubscribe);
+  }
+
+  function unsubscribe(uri) {
+    listeners.get(uri)?.();
+    listeners.delete(uri);
+  }
+
+  /** Stop every listener; returns how many were open. */
+  function unsubscribeAll() {
+    const count = listeners.size;
+    for (const stop of listeners.values()) stop();
+    listeners.clear();
+    return count;
+  }
+
+  return { subscribe, unsubscribe, unsubscribeAll };
+}
@@ -1,3 +1,5 @@
+import { withIndexHint } from "./indexes.js";
+
 /**
  * Build a standard MCP tool response.
  */
@@ -22,10 +24,12 @@ function debugEnabled() {
 
 /**
  * Build an MCP error response. Includes the stack trace only when a debug
- * environment variable is set.
+ * environment variable is set. Missing-index errors get a structured
+ * `missingIndex` (see indexes.js).
  */
 export function buildErrorResponse(error) {
-  const payload = { error: error.message };
+  const { message, missingIndex } = withIndexHint(error);
+  const payload = { error: message, ...(missingIndex && { missingIndex }) };
   if (debugEnabled()) {
     payload.stack = error.stack;
   }
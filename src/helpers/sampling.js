@@ -0,0 +1,63 @@
+import { FieldPath } from "firebase-admin/firestore";
+
+/**
+ * Random document sampling shared by infer_schema and seed_emulator.
+ */
+
+/** Documents read from each random starting point. */
+const DOCS_PER_PROBE = 10;
+
+/** Characters of Firestore auto-generated ids, used for random starting points. */
+const AUTO_ID_ALPHABET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+
+function randomDocumentId() {
+  let id = "";
+  for (let i = 0; i < 20; i++) {
+    id += AUTO_ID_ALPHABET[Math.floor(Math.random() * AUTO_ID_ALPHABET.length)];
+  }
+  return id;
+}
+
+/**
+ * Read up to `size` distinct documents, starting at random points in the
+ * document id range and wrapping around to the start, so the sample is not
+ * biased towards the lowest ids.
+ *
+ * @param {object} collection - CollectionReference to sample.
+ * @param {number} size
+ * @returns {Promise<object[]>} Document snapshots.
+ */
+export async function sampleDocuments(collection, size) {
+  const byPath = new Map();
+  const probes = Math.ceil(size / DOCS_PER_PROBE) * 2;
+
+  for (let i = 0; i < probes && byPath.size < size; i++) {
+    const want = Math.min(DOCS_PER_PROBE, size - byPath.size);
+    const start = collection.doc(randomDocumentId());
+    const ordered = collection.orderBy(FieldPath.documentId());
+    let { docs } = await ordered
+      .where(FieldPath.documentId(), ">=", start)
+      .limit(want)
+      .get();
+    if (docs.length < want) {
+      const wrapped = await ordered.limit(want - docs.length).get();
+      docs = [...docs, ...wrapped.docs];
+    }
+    for (const doc of docs) byPath.set(doc.ref.path, doc);
+  }
+
+  // Probes can overlap; top up from the start of the id range if they did.
+  const ordered = collection.orderBy(FieldPath.documentId());
+  let last = null;
+  while (byPath.size < size) {
+    let page = ordered.limit(size);
+    if (last) page = page.startAfter(last);
+    const { docs } = await page.get();
+    if (docs.length === 0) break;
+    for (const doc of docs) {
+      if (byPath.size < size) byPath.set(doc.ref.path, doc);
+    }
+    last = docs[docs.length - 1];
+  }
+  return [...byPath.values()];
+}
@@ -0,0 +1,200 @@
+import { TYPE_KEY } from "./typed-values.js";
+
+/**
+ * Field statistics and schema generation for infer_schema.
+ *
+ * Documents are walked in their typed JSON encoding (encodeValue), so special
+ * values report their `__type` ("timestamp", "reference", ...) as their type.
+ * Nested maps are reported per dotted path ("address.city") and array elements
+ * under "[]" ("tags[]", "items[].sku").
+ */
+
+/** Longest example string kept before it is cut. */
+const MAX_EXAMPLE_LENGTH = 80;
+
+/** Type name of an encoded value. */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "object") return TYPE_KEY in value ? value[TYPE_KEY] : "map";
+  return typeof value;
+}
+
+function createNode() {
+  return { count: 0, types: {}, examples: [], children: null, items: null };
+}
+
+function addExample(node, value, maxExamples) {
+  if (node.examples.length >= maxExamples) return;
+  const example =
+    typeof value === "string" && value.length > MAX_EXAMPLE_LENGTH
+      ? `${value.slice(0, MAX_EXAMPLE_LENGTH)}…`
+      : value;
+  const key = JSON.stringify(example);
+  if (!node.examples.some(e => JSON.stringify(e) === key)) node.examples.push(example);
+}
+
+function observe(node, value, maxExamples) {
+  const type = typeOf(value);
+  node.count++;
+  node.types[type] = (node.types[type] || 0) + 1;
+
+  if (type === "map") {
+    node.children ??= {};
+    for (const [key, child] of Object.entries(value)) {
+      node.children[key] ??= createNode();
+      observe(node.children[key], child, maxExamples);
+    }
+  } else if (type === "array") {
+    node.items ??= createNode();
+    for (const item of value) observe(node.items, item, maxExamples);
+  } else {
+    addExample(node, value, maxExamples);
+  }
+}
+
+/**
+ * Collect per-field statistics over encoded document data.
+ *
+ * @param {object[]} documents - Encoded data of each sampled document.
+ * @param {{ maxExamples?: number }} [options]
+ * @returns {object} Root node (a map) for listFields / toJsonSchema / toTypeScript.
+ */
+export function collectFieldStats(documents, { maxExamples = 3 } = {}) {
+  const root = createNode();
+  for (const data of documents) observe(root, data ?? {}, maxExamples);
+  return root;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Flatten a stats tree into a list of fields:
+ * `{ path, types: { type: count }, presence, examples? }`. `presence` is the
+ * percentage of parent values (documents for top-level fields) holding the
+ * field; for array elements it is omitted.
+ */
+export function listFields(root) {
+  const fields = [];
+
+  function visit(node, path, parentCount, isItem) {
+    fields.push({
+      path,
+      types: node.types,
+      ...(!isItem && { presence: round((node.count / parentCount) * 100) }),
+      ...(node.examples.length > 0 && { examples: node.examples }),
+    });
+    visitChildren(node, path);
+  }
+
+  function visitChildren(node, path) {
+    const mapCount = node.types.map ?? 0;
+    for (const [key, child] of Object.entries(node.children ?? {})) {
+      visit(child, path ? `${path}.${key}` : key, mapCount, false);
+    }
+    if (node.items) visit(node.items, `${path}[]`, node.count, true);
+  }
+
+  visitChildren(root, "");
+  return fields;
+}
+
+/** JSON Schema for each observed type, in the server's typed encoding. */
+function typeSchema(type, node) {
+  switch (type) {
+    case "string":
+    case "number":
+    case "boolean":
+    case "null":
+      return { type };
+    case "map":
+      return objectSchema(node);
+    case "array":
+      return { type: "array", ...(node.items && { items: nodeSchema(node.items) }) };
+    default:
+      return {
+        type: "object",
+        properties: { [TYPE_KEY]: { const: type } },
+        required: [TYPE_KEY],
+      };
+  }
+}
+
+function nodeSchema(node) {
+  const schemas = Object.keys(node.types).map(type => typeSchema(type, node));
+  return schemas.length === 1 ? schemas[0] : { anyOf: schemas };
+}
+
+function objectSchema(node) {
+  const children = Object.entries(node.children ?? {});
+  const mapCount = node.types.map ?? node.count;
+  const required = children.filter(([, c]) => c.count === mapCount).map(([k]) => k);
+  return {
+    type: "object",
+    properties: Object.fromEntries(children.map(([k, c]) => [k, nodeSchema(c)])),
+    ...(required.length > 0 && { required }),
+  };
+}
+
+/**
+ * Build a JSON Schema (draft 2020-12) describing the sampled documents.
+ * Fields present in every sample are `required`.
+ */
+export function toJsonSchema(root, title) {
+  return {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    title,
+    ...objectSchema(root),
+  };
+}
+
+/** TypeScript type names for the Firestore special types. */
+const TS_TYPES = {
+  timestamp: "Timestamp",
+  geopoint: "GeoPoint",
+  reference: "DocumentReference",
+  bytes: "Uint8Array",
+  vector: "VectorValue",
+};
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+function tsType(node, indent) {
+  const types = Object.keys(node.types).map(type => {
+    switch (type) {
+      case "map":
+        return tsObject(node, indent);
+      case "array": {
+        if (!node.items) return "unknown[]";
+        const item = tsType(node.items, indent);
+        return item.includes(" | ") ? `(${item})[]` : `${item}[]`;
+      }
+      default:
+        return TS_TYPES[type] ?? type;
+    }
+  });
+  return types.join(" | ");
+}
+
+function tsObject(node, indent) {
+  const children = Object.entries(node.children ?? {});
+  if (children.length === 0) return "Record<string, unknown>";
+  const mapCount = node.types.map ?? node.count;
+  const pad = "  ".repeat(indent + 1);
+  const lines = children.map(([key, child]) => {
+    const name = IDENTIFIER.test(key) ? key : JSON.stringify(key);
+    const optional = child.count < mapCount ? "?" : "";
+    return `${pad}${name}${optional}: ${tsType(child, indent + 1)};`;
+  });
+  return `{\n${lines.join("\n")}\n${"  ".repeat(indent)}}`;
+}
+
+/**
+ * Render a TypeScript interface for the sampled documents. Special values use
+ * the firebase-admin class names; fields missing from some samples are optional.
+ */
+export function toTypeScript(root, name) {
+  return `interface ${name} ${tsObject(root, 0)}\n`;
+}
@@ -1,4 +1,7 @@
-import { WHERE_OPERATORS } from "./query.js";
+import { ORDER_DIRECTIONS, WHERE_OPERATORS } from "./query.js";
+import { WHERE_VALUE_TYPES } from "./coerce-value.js";
+import { WRITE_OPERATIONS } from "./writes.js";
+import { CURSOR_MODES } from "./cursor.js";
 
 /**
  * Shared schema fragments for tool definitions.
@@ -10,6 +13,9 @@ export const COLLECTION_PROPERTY = {
   description: "Collection path (e.g. 'users' or 'users/uid/posts' for subcollections)",
 };
 
+export const TYPED_VALUES_HINT =
+  'Special values use tagged objects: {"__type":"timestamp","value":"<ISO>"}, {"__type":"geopoint","lat":0,"lng":0}, {"__type":"reference","path":"col/doc"}, {"__type":"bytes","base64":"..."}, {"__type":"vector","values":[...]}, and sentinels {"__type":"serverTimestamp"}, {"__type":"increment","value":1}, {"__type":"arrayUnion","values":[...]}, {"__type":"arrayRemove","values":[...]}, {"__type":"delete"}.';
+
 export const CONFIRM_PROPERTY = {
   type: "boolean",
   default: false,
@@ -17,34 +23,155 @@ export const CONFIRM_PROPERTY = {
     "Required `true` to write to the production target. Ignored for the emulator target.",
 };
 
+export const EXPLAIN_PROPERTY = {
+  type: "boolean",
+  default: false,
+  description:
+    "Also return the query plan and execution statistics: indexes used, documents scanned vs returned, reads billed and execution time.",
+};
+
 export const PAGINATION_PROPERTIES = {
   limit: { type: "number", default: 10, description: "Maximum documents to return" },
-  orderBy: { type: "string", description: "Field to order by" },
+  orderBy: {
+    anyOf: [
+      { type: "string", description: "Field to order by" },
+      {
+        type: "array",
+        description: "Multi-field ordering, applied in sequence",
+        items: {
+          type: "object",
+          properties: {
+            field: { type: "string", description: "Field path ('__name__' for the id)" },
+            direction: { type: "string", enum: ORDER_DIRECTIONS, default: "asc" },
+          },
+          required: ["field"],
+        },
+      },
+    ],
+    description:
+      "Field to order by, or an array of { field, direction } (e.g. [{field:'status'}, {field:'createdAt', direction:'desc'}]). Ties are broken by document id.",
+  },
   orderDirection: {
     type: "string",
-    enum: ["asc", "desc"],
+    enum: ORDER_DIRECTIONS,
     default: "asc",
-    description: "Order direction",
+    description: "Order direction when `orderBy` is a single field name",
   },
   startAfter: {
     type: "string",
     description:
-      "Document ID to start after (for pagination). Use lastDocId from previous response.",
+      "Document ID to start after (legacy pagination). Use lastDocId from previous response; prefer `cursor`.",
+  },
+  cursor: {
+    type: "string",
+    description:
+      "Opaque pagination token: nextCursor (next page) or prevCursor (previous page) from a previous response with the same collection, orderBy and filter.",
+  },
+  cursorMode: {
+    type: "string",
+    enum: CURSOR_MODES,
+    description:
+      "Override how `cursor` bounds the query (default: startAfter for nextCursor, endBefore for prevCursor). endBefore/endAt return the documents just before the cursor.",
+  },
+  limitToLast: {
+    type: "boolean",
+    default: false,
+    description: "Return the last `limit` matching documents (in query order)",
+  },
+};
+
+export const FILTER_PROPERTY = {
+  type: "object",
+  description:
+    'Composite filter tree for OR / nested AND-OR conditions: {"or": [...]} or {"and": [...]}, whose children are nested {"or"}/{"and"} nodes or [field, operator, value] clauses (values as in `where`). Example: {"or": [["status", "==", "paid"], {"and": [["status", "==", "pending"], ["total", ">", "100"]]}]}. Combined with `where` using AND.',
+  properties: {
+    or: { type: "array", description: "Match when any child matches" },
+    and: { type: "array", description: "Match when every child matches" },
+  },
+};
+
+export const SELECT_PROPERTY = {
+  type: "array",
+  items: { type: "string" },
+  description:
+    "Field paths to return (e.g. ['name', 'address.city']). Other fields are not fetched.",
+};
+
+export const RESPONSE_SHAPE_PROPERTIES = {
+  maxBytes: {
+    type: "number",
+    description:
+      "Approximate byte budget for returned documents. Documents past it are omitted and counted in `truncated` (the first is always returned).",
+  },
+  maxDepth: {
+    type: "number",
+    description:
+      "Map/array nesting levels to expand (0 collapses every map/array field). Collapsed values become truncated markers.",
+  },
+  maxStringLength: {
+    type: "number",
+    description:
+      "Truncate longer strings to this many characters, with a truncated marker.",
   },
 };
 
+export const WHERE_VALUE_PROPERTY = {
+  anyOf: [
+    {
+      type: "string",
+      description:
+        "Auto-coerced: '42' becomes a number, 'true' a boolean, '[...]' an array",
+    },
+    {
+      type: "object",
+      properties: {
+        type: { type: "string", enum: WHERE_VALUE_TYPES },
+        value: {
+          description:
+            "string/number/boolean: the value; timestamp: ISO-8601 string; reference: document path; geopoint: { lat, lng }; array: items (each may be typed); null: omitted",
+        },
+      },
+      required: ["type"],
+    },
+  ],
+  description:
+    'Value to compare. Bare strings are auto-coerced; pass { "type", "value" } to set the type explicitly, e.g. { "type": "string", "value": "02134" } or { "type": "timestamp", "value": "2024-01-01T00:00:00Z" }.',
+};
+
 export const WHERE_CLAUSES_PROPERTY = {
   type: "array",
   description:
-    "Array of where clauses: [[field, operator, value], ...]. Values are auto-coerced to numbers, booleans, arrays, etc.",
+    "Array of where clauses: [[field, operator, value], ...]. Bare string values are auto-coerced to numbers, booleans, arrays, etc.; { type, value } objects are used as typed.",
   items: {
     type: "array",
     items: [
       { type: "string", description: "Field name" },
       { type: "string", enum: WHERE_OPERATORS, description: "Comparison operator" },
-      { type: "string", description: "Value to compare (auto-coerced)" },
+      WHERE_VALUE_PROPERTY,
     ],
     minItems: 3,
     maxItems: 3,
   },
 };
+
+export const WRITE_OPERATION_ITEM = {
+  type: "object",
+  properties: {
+    op: { type: "string", enum: WRITE_OPERATIONS, description: "Write type" },
+    collection: COLLECTION_PROPERTY,
+    docId: {
+      type: "string",
+      description: "Document ID (optional for create, required otherwise)",
+    },
+    data: {
+      type: "object",
+      description: `Document data for create/set/update. ${TYPED_VALUES_HINT}`,
+    },
+    merge: {
+      type: "boolean",
+      default: false,
+      description: "For set: merge into the existing document instead of replacing it",
+    },
+  },
+  required: ["op", "collection"],
+};
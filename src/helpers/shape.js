@@ -0,0 +1,125 @@
+import { TYPE_KEY } from "./typed-values.js";
+
+/**
+ * Response shaping for read tools: collapse deep maps/arrays, shorten long
+ * strings, and cap the total size of the returned documents, so wide
+ * documents don't flood the client's context.
+ *
+ * Anything cut is replaced by an explicit marker, never dropped silently:
+ *
+ *   { "__type": "truncated", "reason": "depth", "kind": "map", "size": 12 }
+ *   { "__type": "truncated", "reason": "string", "value": "first N chars…", "length": 5000 }
+ *
+ * Documents past the maxBytes budget are omitted and counted in the response's
+ * `truncated.omittedDocuments`.
+ */
+
+const SHAPE_OPTIONS = ["maxBytes", "maxDepth", "maxStringLength"];
+
+function readOptions(args) {
+  const options = {};
+  for (const key of SHAPE_OPTIONS) {
+    const value = args?.[key];
+    if (value === undefined || value === null) continue;
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Invalid ${key}: expected a non-negative integer.`);
+    }
+    options[key] = value;
+  }
+  return options;
+}
+
+function isContainer(value) {
+  if (Array.isArray(value)) return true;
+  return value !== null && typeof value === "object" && !(TYPE_KEY in value);
+}
+
+/**
+ * Shape one value. `depth` is the nesting level of `value` (document fields
+ * are level 1); `stats.fields` counts the markers emitted.
+ */
+function shapeValue(value, depth, options, stats) {
+  const { maxDepth, maxStringLength } = options;
+
+  if (typeof value === "string") {
+    if (maxStringLength === undefined || value.length <= maxStringLength) return value;
+    stats.fields++;
+    return {
+      [TYPE_KEY]: "truncated",
+      reason: "string",
+      value: value.slice(0, maxStringLength),
+      length: value.length,
+    };
+  }
+
+  if (!isContainer(value)) return value;
+
+  if (maxDepth !== undefined && depth > maxDepth) {
+    stats.fields++;
+    return {
+      [TYPE_KEY]: "truncated",
+      reason: "depth",
+      kind: Array.isArray(value) ? "array" : "map",
+      size: Array.isArray(value) ? value.length : Object.keys(value).length,
+    };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(v => shapeValue(v, depth + 1, options, stats));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([k, v]) => [k, shapeValue(v, depth + 1, options, stats)]),
+  );
+}
+
+/**
+ * Apply the shaping options from tool args to mapped documents
+ * (`{ id, data, ... }` as produced by executeQuery / mapDocSnapshot).
+ *
+ * The first document is always kept, even if it alone exceeds maxBytes.
+ *
+ * @param {object[]} docs
+ * @param {object} args - Tool args; reads maxBytes, maxDepth, maxStringLength.
+ * @returns {{ docs: object[], truncated: object|null }} truncated is null when
+ *   nothing was cut, else `{ fields?, omittedDocuments? }`.
+ * @throws {Error} When an option is not a non-negative integer.
+ */
+export function shapeDocuments(docs, args) {
+  const options = readOptions(args);
+
+  // Markers per document, so documents dropped by maxBytes are not counted.
+  const markers = [];
+  let shaped = docs.map(doc => {
+    const stats = { fields: 0 };
+    const result =
+      doc.data && typeof doc.data === "object"
+        ? { ...doc, data: shapeValue(doc.data, 0, options, stats) }
+        : doc;
+    markers.push(stats.fields);
+    return result;
+  });
+
+  let omittedDocuments = 0;
+  if (options.maxBytes !== undefined) {
+    let total = 0;
+    const kept = [];
+    for (const doc of shaped) {
+      total += Buffer.byteLength(JSON.stringify(doc));
+      if (kept.length > 0 && total > options.maxBytes) break;
+      kept.push(doc);
+    }
+    omittedDocuments = shaped.length - kept.length;
+    shaped = kept;
+  }
+  const fields = markers.slice(0, shaped.length).reduce((sum, n) => sum + n, 0);
+
+  const truncated =
+    fields > 0 || omittedDocuments > 0
+      ? {
+          ...(fields > 0 && { fields }),
+          ...(omittedDocuments > 0 && { omittedDocuments }),
+        }
+      : null;
+
+  return { docs: shaped, truncated };
+}
@@ -0,0 +1,39 @@
+/**
+ * Per-call context handed to tool handlers as their fourth argument.
+ *
+ * `reportProgress(progress, total?, message?)` sends an MCP
+ * `notifications/progress` for the request when the client asked for progress
+ * (by passing `_meta.progressToken`), and is a no-op otherwise. Notification
+ * failures are logged, never thrown, so they cannot abort the tool.
+ *
+ * Server-wide services are passed through as is:
+ * - `getDb(target)` resolves another target's `{ db, target }`, for tools that
+ *   work across targets (copy_documents).
+ * - `watches` is the registry of live listeners (watch_query and friends).
+ *
+ * @param {object} request - The CallTool request.
+ * @param {object} extra - The SDK's request handler extra (sendNotification, signal).
+ * @param {{ getDb?: Function, watches?: object }} [services]
+ */
+export function createToolContext(request, extra, services = {}) {
+  const progressToken = request.params._meta?.progressToken;
+
+  async function reportProgress(progress, total, message) {
+    if (progressToken === undefined) return;
+    try {
+      await extra.sendNotification({
+        method: "notifications/progress",
+        params: {
+          progressToken,
+          progress,
+          ...(total !== undefined && { total }),
+          ...(message && { message }),
+        },
+      });
+    } catch (error) {
+      console.error("Failed to send progress notification:", error.message);
+    }
+  }
+
+  return { ...services, reportProgress, signal: extra.signal };
+}
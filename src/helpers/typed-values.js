@@ -0,0 +1,214 @@
+import {
+  DocumentReference,
+  FieldValue,
+  GeoPoint,
+  Timestamp,
+} from "firebase-admin/firestore";
+
+/**
+ * Key that marks a tagged special value in tool responses and write inputs.
+ *
+ * Firestore types with no JSON equivalent are encoded as objects carrying this
+ * key, so clients can tell them apart from plain maps:
+ *
+ *   { "__type": "timestamp", "value": "2024-05-01T12:00:00.123456789Z" }
+ *   { "__type": "geopoint", "lat": 51.5, "lng": -0.12 }
+ *   { "__type": "reference", "path": "users/uid" }
+ *   { "__type": "bytes", "base64": "AAEC" }
+ *   { "__type": "vector", "values": [0.1, 0.2] }
+ *   { "__type": "number", "value": "NaN" }   // also "Infinity" / "-Infinity"
+ *   { "__type": "map", "value": { "__type": "..." } }
+ *
+ * The "map" form escapes a stored map that itself has a `__type` key, so it is
+ * not mistaken for a tagged value when written back.
+ */
+export const TYPE_KEY = "__type";
+
+/**
+ * Write-only sentinels accepted by decodeValue in addition to the types above:
+ *
+ *   { "__type": "serverTimestamp" }
+ *   { "__type": "increment", "value": 1 }
+ *   { "__type": "arrayUnion", "values": ["a", "b"] }
+ *   { "__type": "arrayRemove", "values": ["a"] }
+ *   { "__type": "delete" }
+ */
+export const SENTINEL_TYPES = [
+  "serverTimestamp",
+  "increment",
+  "arrayUnion",
+  "arrayRemove",
+  "delete",
+];
+
+/**
+ * Format a Timestamp as an ISO-8601 string with full nanosecond precision,
+ * so the encoding round-trips without losing sub-millisecond digits.
+ */
+function timestampToIso(ts) {
+  const whole = new Date(ts.seconds * 1000).toISOString();
+  const nanos = String(ts.nanoseconds).padStart(9, "0");
+  return whole.replace(/\.\d{3}Z$/, `.${nanos}Z`);
+}
+
+/** VectorValue is not exported by firebase-admin, so detect it structurally. */
+function isVectorValue(value) {
+  return (
+    value?.constructor?.name === "VectorValue" && typeof value.toArray === "function"
+  );
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== "object") return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Recursively encode Firestore data into JSON-safe tagged values.
+ * Plain maps and arrays are walked; primitives pass through unchanged.
+ *
+ * @param {unknown} value - Document data (or any nested field value).
+ * @returns {unknown} A structure that survives JSON.stringify losslessly.
+ */
+export function encodeValue(value) {
+  if (value === null || value === undefined) return value;
+
+  if (typeof value === "number") {
+    if (Number.isFinite(value)) return value;
+    return { [TYPE_KEY]: "number", value: String(value) };
+  }
+
+  if (typeof value !== "object") return value;
+
+  if (value instanceof Timestamp) {
+    return { [TYPE_KEY]: "timestamp", value: timestampToIso(value) };
+  }
+  if (value instanceof GeoPoint) {
+    return { [TYPE_KEY]: "geopoint", lat: value.latitude, lng: value.longitude };
+  }
+  if (value instanceof DocumentReference) {
+    return { [TYPE_KEY]: "reference", path: value.path };
+  }
+  if (value instanceof Uint8Array) {
+    return { [TYPE_KEY]: "bytes", base64: Buffer.from(value).toString("base64") };
+  }
+  if (isVectorValue(value)) {
+    return { [TYPE_KEY]: "vector", values: value.toArray() };
+  }
+
+  if (Array.isArray(value)) return value.map(encodeValue);
+
+  if (isPlainObject(value)) {
+    const map = Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, encodeValue(v)]),
+    );
+    return TYPE_KEY in value ? { [TYPE_KEY]: "map", value: map } : map;
+  }
+
+  return value;
+}
+
+/**
+ * Parse an ISO-8601 string into a Timestamp, keeping up to nine fractional
+ * digits so values produced by encodeValue round-trip exactly.
+ */
+function isoToTimestamp(iso) {
+  const match =
+    typeof iso === "string" && iso.match(/^(.*?)(?:\.(\d{1,9}))?(Z|[+-]\d{2}:\d{2})$/);
+  const millis = match ? Date.parse(`${match[1]}${match[3]}`) : NaN;
+  if (Number.isNaN(millis)) {
+    throw new Error(
+      `Invalid timestamp value ${JSON.stringify(iso)}: expected an ISO-8601 string.`,
+    );
+  }
+  const nanos = match[2] ? Number(match[2].padEnd(9, "0")) : 0;
+  return new Timestamp(Math.floor(millis / 1000), nanos);
+}
+
+function assertFiniteNumber(type, value) {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    throw new Error(`Invalid ${type} value: expected a finite number.`);
+  }
+}
+
+function assertArray(type, values) {
+  if (!Array.isArray(values)) {
+    throw new Error(`Invalid ${type} value: expected a "values" array.`);
+  }
+}
+
+/** Decode a single tagged object (one carrying TYPE_KEY). */
+function decodeTagged(value, db) {
+  const type = value[TYPE_KEY];
+  switch (type) {
+    case "timestamp":
+      return isoToTimestamp(value.value);
+    case "geopoint":
+      return new GeoPoint(value.lat, value.lng);
+    case "reference":
+      if (typeof value.path !== "string" || value.path === "") {
+        throw new Error('Invalid reference value: expected a non-empty "path".');
+      }
+      return db.doc(value.path);
+    case "bytes":
+      if (typeof value.base64 !== "string") {
+        throw new Error('Invalid bytes value: expected a "base64" string.');
+      }
+      return Buffer.from(value.base64, "base64");
+    case "vector":
+      assertArray(type, value.values);
+      return FieldValue.vector(value.values);
+    case "number":
+      if (!["NaN", "Infinity", "-Infinity"].includes(value.value)) {
+        throw new Error(
+          'Invalid number value: expected "NaN", "Infinity" or "-Infinity".',
+        );
+      }
+      return Number(value.value);
+    case "map":
+      if (!isPlainObject(value.value)) {
+        throw new Error('Invalid map value: expected a "value" object.');
+      }
+      return decodeMap(value.value, db);
+    case "serverTimestamp":
+      return FieldValue.serverTimestamp();
+    case "increment":
+      assertFiniteNumber(type, value.value);
+      return FieldValue.increment(value.value);
+    case "arrayUnion":
+      assertArray(type, value.values);
+      return FieldValue.arrayUnion(...value.values.map(v => decodeValue(v, db)));
+    case "arrayRemove":
+      assertArray(type, value.values);
+      return FieldValue.arrayRemove(...value.values.map(v => decodeValue(v, db)));
+    case "delete":
+      return FieldValue.delete();
+    default:
+      throw new Error(`Unknown ${TYPE_KEY} "${type}" in document data.`);
+  }
+}
+
+/**
+ * Recursively decode tagged JSON (the encodeValue format plus the write
+ * sentinels) into Firestore values ready for set/add/update.
+ *
+ * @param {unknown} value - Document data from tool arguments.
+ * @param {object} db - Firestore instance, used to build DocumentReferences.
+ * @returns {unknown} Data with tagged objects replaced by Firestore values.
+ * @throws {Error} On an unknown type tag or a malformed tagged value.
+ */
+export function decodeValue(value, db) {
+  if (Array.isArray(value)) return value.map(v => decodeValue(v, db));
+
+  if (isPlainObject(value)) {
+    return TYPE_KEY in value ? decodeTagged(value, db) : decodeMap(value, db);
+  }
+
+  return value;
+}
+
+/** Decode the fields of a map, whatever its keys. */
+function decodeMap(map, db) {
+  return Object.fromEntries(Object.entries(map).map(([k, v]) => [k, decodeValue(v, db)]));
+}
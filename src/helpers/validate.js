@@ -29,6 +29,89 @@ export function validateCollectionPath(path) {
   }
 }
 
+/**
+ * Validate a Firestore document path ("users/uid" or "users/uid/posts/pid").
+ * A document path has an even number of segments (collection/doc…).
+ *
+ * @param {string} path
+ * @throws {Error} When the path is missing, blank, or malformed.
+ */
+export function validateDocumentPath(path) {
+  if (typeof path !== "string" || path.trim() === "") {
+    throw new Error("Invalid document path: expected a non-empty string.");
+  }
+  if (path.startsWith("/") || path.endsWith("/")) {
+    throw new Error(`Invalid document path "${path}": no leading or trailing slashes.`);
+  }
+  const segments = path.split("/");
+  if (segments.some(s => s.trim() === "")) {
+    throw new Error(`Invalid document path "${path}": contains empty segments.`);
+  }
+  if (segments.length % 2 !== 0) {
+    throw new Error(
+      `Invalid document path "${path}": document paths must have an even number of segments (e.g. 'users/uid').`,
+    );
+  }
+}
+
+/**
+ * Classify a path by its segment count and validate it: an even number of
+ * segments names a document, an odd number a collection.
+ *
+ * @param {string} path
+ * @param {string} [name="path"] - Argument name used in errors.
+ * @returns {"document" | "collection"}
+ * @throws {Error} When the path is missing, blank, or malformed.
+ */
+export function resolvePathKind(path, name = "path") {
+  if (typeof path !== "string" || path.trim() === "") {
+    throw new Error(`Invalid ${name}: expected a document or collection path.`);
+  }
+  if (path.split("/").length % 2 === 0) {
+    validateDocumentPath(path);
+    return "document";
+  }
+  validateCollectionPath(path);
+  return "collection";
+}
+
+/**
+ * Validate a collection id for collection group queries: a single segment,
+ * not a path.
+ *
+ * @param {string} id
+ * @throws {Error} When the id is blank or contains a slash.
+ */
+export function validateCollectionId(id) {
+  if (typeof id !== "string" || id.trim() === "") {
+    throw new Error("Invalid collection id: expected a non-empty string.");
+  }
+  if (id.includes("/")) {
+    throw new Error(
+      `Invalid collection id "${id}": expected a single collection name (e.g. 'posts'), not a path.`,
+    );
+  }
+}
+
+/**
+ * Read an integer argument, falling back to a default when it is absent.
+ *
+ * @param {object} args
+ * @param {string} key
+ * @param {number} fallback
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ * @throws {Error} When the value is not an integer from `min` to `max`.
+ */
+export function readInteger(args, key, fallback, min, max) {
+  const value = args[key] ?? fallback;
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`Invalid ${key}: expected an integer from ${min} to ${max}.`);
+  }
+  return value;
+}
+
 /**
  * Ensure document data is a non-empty plain object before a create/update.
  *
@@ -0,0 +1,205 @@
+import { encodeValue } from "./typed-values.js";
+
+/**
+ * Registry of live onSnapshot listeners started by watch_query /
+ * watch_document.
+ *
+ * Each change after the first snapshot is pushed to the client through
+ * `notify` as an MCP logging message (logger "firestore-watch") and kept in a
+ * short per-watch history for list_watches. The server stops every listener
+ * when the transport closes.
+ */
+
+/** Listeners open at once. */
+export const MAX_WATCHES = 20;
+
+/** Changes kept per watch for list_watches. */
+const RECENT_CHANGES = 20;
+
+/** Changes sent in one notification; the rest are counted in `more`. */
+const MAX_CHANGES_PER_NOTIFICATION = 50;
+
+/** Ids listed for the first snapshot of a query. */
+const MAX_INITIAL_IDS = 20;
+
+/** How long start() waits for the first snapshot before returning anyway. */
+const FIRST_SNAPSHOT_TIMEOUT_MS = 10_000;
+
+export const WATCH_LOGGER = "firestore-watch";
+
+function describeChange(type, doc) {
+  return {
+    type,
+    id: doc.id,
+    path: doc.ref.path,
+    ...(type !== "removed" && { data: encodeValue(doc.data()) }),
+  };
+}
+
+/** Reduce a snapshot to `{ initial, changes }` for the watch kind. */
+function snapshotReader(kind) {
+  if (kind === "query") {
+    return snapshot => ({
+      initial: {
+        count: snapshot.size,
+        ids: snapshot.docs.slice(0, MAX_INITIAL_IDS).map(doc => doc.id),
+      },
+      changes: snapshot.docChanges().map(c => describeChange(c.type, c.doc)),
+    });
+  }
+  let existed = null;
+  return snapshot => {
+    const type = !snapshot.exists ? "removed" : existed ? "modified" : "added";
+    const result = {
+      initial: {
+        exists: snapshot.exists,
+        ...(snapshot.exists && { data: encodeValue(snapshot.data()) }),
+      },
+      changes: !existed && !snapshot.exists ? [] : [describeChange(type, snapshot)],
+    };
+    existed = snapshot.exists;
+    return result;
+  };
+}
+
+/**
+ * @param {(params: object) => Promise<void>} notify - Sends a
+ *   `notifications/message` with the given params.
+ */
+export function createWatchRegistry(notify) {
+  const watches = new Map();
+  let nextId = 1;
+
+  function publicInfo({ info, recent }, includeChanges) {
+    return includeChanges ? { ...info, recentChanges: recent } : { ...info };
+  }
+
+  function send(watch, level, data) {
+    return Promise.resolve(
+      notify({
+        level,
+        logger: WATCH_LOGGER,
+        data: {
+          watchId: watch.info.id,
+          target: watch.info.target,
+          path: watch.info.path,
+          ...data,
+        },
+      }),
+    ).catch(error => console.error("Failed to send watch notification:", error.message));
+  }
+
+  /**
+   * Start listening on `source` (a Query or DocumentReference) and wait for
+   * the first snapshot.
+   *
+   * @param {{ kind: "query" | "document", source: object, target: string,
+   *   path: string, query?: string }} options
+   * @returns {Promise<object>} The watch info plus `initial` (the first
+   *   snapshot's state), or `pending: true` if it has not arrived yet.
+   * @throws {Error} When too many watches are open or the listener fails
+   *   before its first snapshot (e.g. a missing index).
+   */
+  function start({ kind, source, target, path, query }) {
+    if (watches.size >= MAX_WATCHES) {
+      throw new Error(
+        `Too many watches: ${MAX_WATCHES} are open. Stop one with stop_watch first.`,
+      );
+    }
+    const info = {
+      id: `w${nextId++}`,
+      kind,
+      target,
+      path,
+      ...(query && { query }),
+      status: "active",
+      startedAt: new Date().toISOString(),
+      events: 0,
+    };
+    const watch = { info, recent: [], unsubscribe: null };
+    const read = snapshotReader(kind);
+
+    return new Promise((resolve, reject) => {
+      let first = true;
+      const timer = setTimeout(() => {
+        first = false;
+        resolve({ ...publicInfo(watch), pending: true });
+      }, FIRST_SNAPSHOT_TIMEOUT_MS);
+
+      const onNext = snapshot => {
+        const { initial, changes } = read(snapshot);
+        if (first) {
+          first = false;
+          clearTimeout(timer);
+          resolve({ ...publicInfo(watch), initial });
+          return;
+        }
+        if (changes.length === 0) return;
+        info.events += changes.length;
+        info.lastEventAt = new Date().toISOString();
+        watch.recent = [...watch.recent, ...changes].slice(-RECENT_CHANGES);
+        send(watch, "info", {
+          changes: changes.slice(0, MAX_CHANGES_PER_NOTIFICATION),
+          ...(changes.length > MAX_CHANGES_PER_NOTIFICATION && {
+            more: changes.length - MAX_CHANGES_PER_NOTIFICATION,
+          }),
+        });
+      };
+
+      // The listener is dead after an error; the watch stays listed until stopped.
+      const onError = error => {
+        if (first) {
+          first = false;
+          clearTimeout(timer);
+          watches.delete(info.id);
+          reject(new Error(`Watch failed to start: ${error.message}`, { cause: error }));
+          return;
+        }
+        info.status = "error";
+        info.error = error.message;
+        send(watch, "error", { error: error.message });
+      };
+
+      watches.set(info.id, watch);
+      try {
+        watch.unsubscribe = source.onSnapshot(onNext, onError);
+      } catch (error) {
+        // e.g. an invalid query: never leave a watch without a listener.
+        onError(error);
+      }
+    });
+  }
+
+  /** Info on every open watch, optionally with its recent changes. */
+  function list({ includeChanges = false } = {}) {
+    return [...watches.values()].map(watch => publicInfo(watch, includeChanges));
+  }
+
+  /**
+   * Stop a watch and return its final info.
+   *
+   * @throws {Error} When no watch has that id.
+   */
+  function stop(id) {
+    const watch = watches.get(id);
+    if (!watch) {
+      const open = [...watches.keys()];
+      throw new Error(
+        `No watch "${id}". Open watches: ${open.length > 0 ? open.join(", ") : "none"}.`,
+      );
+    }
+    watch.unsubscribe();
+    watches.delete(id);
+    return { ...publicInfo(watch), status: "stopped" };
+  }
+
+  /** Stop every watch; returns how many were open. */
+  function stopAll() {
+    const count = watches.size;
+    for (const watch of watches.values()) watch.unsubscribe();
+    watches.clear();
+    return count;
+  }
+
+  return { start, list, stop, stopAll };
+}
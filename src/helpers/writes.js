@@ -0,0 +1,82 @@
+import { decodeValue } from "./typed-values.js";
+import { validateCollectionPath, assertNonEmptyData } from "./validate.js";
+
+/**
+ * Write operation types accepted by batch_write and run_transaction.
+ */
+export const WRITE_OPERATIONS = ["create", "set", "update", "delete"];
+
+/**
+ * Validate a single write operation from tool args and resolve it into a
+ * DocumentReference plus decoded data, ready for applyWrite.
+ *
+ * Only `create` may omit docId (Firestore generates one).
+ *
+ * @param {object} op - `{ op, collection, docId?, data?, merge? }`.
+ * @param {object} db - Firestore instance.
+ * @param {number} index - Position in the caller's list, used in error messages.
+ * @returns {{ op: string, collection: string, ref: object, data?: object, merge: boolean }}
+ * @throws {Error} When the operation is malformed.
+ */
+export function prepareWrite(op, db, index) {
+  const where = `Operation ${index}`;
+  if (op == null || typeof op !== "object") {
+    throw new Error(`${where}: expected an object.`);
+  }
+  if (!WRITE_OPERATIONS.includes(op.op)) {
+    throw new Error(`${where}: op must be one of ${WRITE_OPERATIONS.join(", ")}.`);
+  }
+  try {
+    validateCollectionPath(op.collection);
+    if (op.op !== "create" && !op.docId) {
+      throw new Error(`docId is required for ${op.op}.`);
+    }
+    if (op.op !== "delete") assertNonEmptyData(op.data);
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`, { cause: error });
+  }
+
+  const collectionRef = db.collection(op.collection);
+  const ref = op.docId ? collectionRef.doc(op.docId) : collectionRef.doc();
+  const merge = op.op === "set" && op.merge === true;
+
+  const prepared = { op: op.op, collection: op.collection, ref, merge };
+  if (op.op !== "delete") {
+    try {
+      prepared.data = decodeValue(op.data, db);
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`, { cause: error });
+    }
+  }
+  return prepared;
+}
+
+/**
+ * Queue a prepared write on a WriteBatch or Transaction (both share the
+ * create/set/update/delete surface).
+ */
+export function applyWrite(writer, { op, ref, data, merge }) {
+  switch (op) {
+    case "create":
+      return writer.create(ref, data);
+    case "set":
+      return merge ? writer.set(ref, data, { merge: true }) : writer.set(ref, data);
+    case "update":
+      return writer.update(ref, data);
+    case "delete":
+      return writer.delete(ref);
+  }
+}
+
+/**
+ * Summarize a prepared write for tool responses.
+ */
+export function describeWrite({ op, collection, ref, merge }, index) {
+  return {
+    index,
+    op,
+    collection,
+    id: ref.id,
+    ...(op === "set" && { merge }),
+  };
+}
@@ -0,0 +1,46 @@
+export const definition = {
+  name: "compare_targets",
+  description:
+    "Compare a collection or document between the emulator and production: counts, schema and per-document differences.",
+  arguments: [
+    {
+      name: "path",
+      description: "Collection path (e.g. 'users') or document path (e.g. 'users/uid')",
+      required: true,
+    },
+    {
+      name: "ignoreFields",
+      description: "Comma-separated fields to ignore, e.g. 'updatedAt'",
+    },
+  ],
+};
+
+export function build(args, { availableTargets, targets }) {
+  const ignore = (args.ignoreFields ?? "")
+    .split(",")
+    .map(field => field.trim())
+    .filter(Boolean);
+  const ignoreNote =
+    ignore.length > 0 ? ` with ignoreFields ${JSON.stringify(ignore)}` : "";
+  const isDocument = args.path.split("/").length % 2 === 0;
+  const warning =
+    availableTargets.length < 2
+      ? "\n\nOnly one target is configured, so there is nothing to compare yet: tell the user which environment variable enables the other one and stop."
+      : "";
+
+  const steps = isDocument
+    ? [
+        `Run diff on "${args.path}" (compareTarget "production", target "emulator")${ignoreNote}.`,
+      ]
+    : [
+        `Count "${args.path}" on both targets with count_documents.`,
+        `Run infer_schema on "${args.path}" on both targets and compare the field types and presence.`,
+        `Run diff on "${args.path}" (compareTarget "production", target "emulator")${ignoreNote}. If the result is truncated, narrow it down with where or docIds.`,
+      ];
+
+  return `Compare "${args.path}" between the emulator and production. ${targets}${warning}
+
+${steps.map((step, i) => `${i + 1}. ${step}`).join("\n")}
+
+Only read; do not write to either target. Summarize: documents only on one side, fields that differ most often, and schema drift. Suggest how to bring them in line (e.g. seed_emulator or copy_documents), without running it.`;
+}
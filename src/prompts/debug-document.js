@@ -0,0 +1,35 @@
+export const definition = {
+  name: "debug_document",
+  description:
+    "Investigate a single document: its data against the collection's schema, its subcollections and, with both targets configured, its counterpart on the other target.",
+  arguments: [
+    { name: "path", description: "Document path, e.g. 'users/uid'", required: true },
+    { name: "symptom", description: "What looks wrong, e.g. 'profile page is blank'" },
+    {
+      name: "target",
+      description: "Target holding the document (default: the server default)",
+    },
+  ],
+};
+
+export function build(args, { target, other, targets }) {
+  const collection = args.path.split("/").slice(0, -1).join("/");
+  const docId = args.path.split("/").at(-1);
+  const steps = [
+    `Read it with get_document (collection "${collection}", docId "${docId}").`,
+    `Compare it with the rest of the collection: run infer_schema on "${collection}" and list the fields this document is missing, has extra, or holds with an unusual type.`,
+    `List its subcollections with list_collections (documentPath "${args.path}").`,
+    "Follow any reference fields with get_document or batch_get and check that they exist.",
+    ...(other
+      ? [
+          `Compare it with the ${other} target using diff (path "${args.path}", compareTarget "${other}").`,
+        ]
+      : []),
+    "If it is still changing, watch it with watch_document while reproducing the problem, then stop_watch.",
+  ];
+  return `Debug the Firestore document "${args.path}" on the ${target} target. ${targets}
+${args.symptom ? `\nReported problem: ${args.symptom}\n` : ""}
+${steps.map((step, i) => `${i + 1}. ${step}`).join("\n")}
+
+Do not write anything. Report what you found, the most likely cause, and the fix you suggest (as a tool call to review, not run).`;
+}
@@ -0,0 +1,21 @@
+export const definition = {
+  name: "explore_collection",
+  description:
+    "Get to know a collection: its size, inferred schema, sample documents and subcollections.",
+  arguments: [
+    { name: "collection", description: "Collection path, e.g. 'users'", required: true },
+    { name: "target", description: "Target to explore (default: the server default)" },
+  ],
+};
+
+export function build(args, { target, targets }) {
+  return `Explore the Firestore collection "${args.collection}" on the ${target} target. ${targets}
+
+1. Count its documents with count_documents.
+2. Infer its schema with infer_schema: field types, how often each field is present, and fields with mixed types.
+3. Fetch a few documents with query_collection (limit 5) to see real values.
+4. Check subcollections with list_collections (documentPath set to one of those documents).
+5. Spot the fields that look like references, timestamps or enums, and check a likely enum's values with aggregate or query_with_where.
+
+Only read; do not write anything. Finish with a short summary: what the collection holds, its schema as a table, subcollections, and anything odd (missing fields, mixed types, suspicious values).`;
+}
@@ -0,0 +1,73 @@
+import * as exploreCollection from "./explore-collection.js";
+import * as debugDocument from "./debug-document.js";
+import * as compareTargets from "./compare-targets.js";
+import * as planMigration from "./plan-migration.js";
+import { TARGETS } from "../constants.js";
+
+const prompts = [exploreCollection, debugDocument, compareTargets, planMigration];
+
+const promptMap = Object.fromEntries(
+  prompts.map(prompt => [prompt.definition.name, prompt]),
+);
+
+/**
+ * Get prompt definitions for `prompts/list`.
+ */
+export function getPromptDefinitions() {
+  return prompts.map(prompt => prompt.definition);
+}
+
+function describeTargets(availableTargets, defaultTarget) {
+  const list = availableTargets
+    .map(t => (t === defaultTarget ? `${t} (default)` : t))
+    .join(", ");
+  return `Configured targets: ${list}. Pass \`target\` to tools to choose one.`;
+}
+
+/**
+ * Build the messages of a prompt for `prompts/get`.
+ *
+ * Each prompt's `build(args, env)` returns the instruction text; `env` holds
+ * the resolved `target`, the `other` configured target (if any) and the
+ * configured targets from initFirebase.
+ *
+ * @param {string} name
+ * @param {Record<string, string>} args
+ * @param {{ availableTargets: string[], defaultTarget: string }} config
+ * @returns {{ description: string, messages: object[] }}
+ * @throws {Error} For an unknown prompt, a missing required argument or an
+ *   unavailable target.
+ */
+export function getPrompt(name, args = {}, { availableTargets, defaultTarget }) {
+  const prompt = promptMap[name];
+  if (!prompt) {
+    throw new Error(
+      `Unknown prompt: ${name}. Available: ${Object.keys(promptMap).join(", ")}`,
+    );
+  }
+  for (const argument of prompt.definition.arguments) {
+    if (argument.required && !args[argument.name]?.trim()) {
+      throw new Error(`Missing required argument "${argument.name}" for prompt ${name}.`);
+    }
+  }
+  const target = args.target || defaultTarget;
+  if (!availableTargets.includes(target)) {
+    throw new Error(
+      `Unknown target "${target}". Available: ${availableTargets.join(", ")}`,
+    );
+  }
+
+  const other = Object.values(TARGETS).find(
+    t => t !== target && availableTargets.includes(t),
+  );
+  const text = prompt.build(args, {
+    target,
+    other,
+    availableTargets,
+    targets: describeTargets(availableTargets, defaultTarget),
+  });
+  return {
+    description: prompt.definition.description,
+    messages: [{ role: "user", content: { type: "text", text } }],
+  };
+}
@@ -0,0 +1,32 @@
+export const definition = {
+  name: "plan_migration",
+  description:
+    "Plan a data migration on a collection: measure what it touches, rehearse it on the emulator, and prepare the production run with a backup.",
+  arguments: [
+    { name: "collection", description: "Collection path, e.g. 'users'", required: true },
+    {
+      name: "change",
+      description: "The change to make, e.g. 'rename field fullName to name'",
+      required: true,
+    },
+    { name: "target", description: "Target to migrate (default: the server default)" },
+  ],
+};
+
+export function build(args, { target, availableTargets, targets }) {
+  const rehearse = availableTargets.includes("emulator")
+    ? `Rehearse on the emulator: if "${args.collection}" is empty or outdated there, fill it with seed_emulator, then run the migration there and check the result with infer_schema and diff.`
+    : "No emulator is configured: rehearse on a small where-filtered subset instead, and check it before going further.";
+
+  return `Plan this migration of the Firestore collection "${args.collection}" on the ${target} target: ${args.change}. ${targets}
+
+1. Understand the data: infer_schema and count_documents on "${args.collection}".
+2. Select the affected documents with a where / filter query, and count them with count_documents.
+3. Choose the tool: update_by_query to set the same fields everywhere, batch_write or run_transaction when each document needs its own values, copy_documents to move data, delete_by_query to remove it.
+4. Dry-run it (dryRun: true) and check the sample.
+5. ${rehearse}
+6. Before touching production, back up the affected documents with export_collection.
+7. Write the production call(s) with confirm: true and a maxDocuments that matches the count, plus how to verify and roll back.
+
+Do not write to production. Present the plan step by step, with the exact tool calls, and wait for approval before running any write.`;
+}
@@ -2,14 +2,32 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListResourcesRequestSchema,
   ListToolsRequestSchema,
+  LoggingLevelSchema,
+  ReadResourceRequestSchema,
+  SetLevelRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import { readFileSync } from "fs";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import { initFirebase, getDb } from "./firebase.js";
 import { getToolDefinitions, getHandler } from "./tools/index.js";
+import { getPromptDefinitions, getPrompt } from "./prompts/index.js";
 import { buildResponse, buildErrorResponse } from "./helpers/response.js";
+import {
+  RESOURCE_TEMPLATES,
+  createResourceSubscriptions,
+  listResources,
+  readResource,
+} from "./helpers/resources.js";
+import { createToolContext } from "./helpers/tool-context.js";
+import { createWatchRegistry } from "./helpers/watches.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const pkg = JSON.parse(readFileSync(join(__dirname, "../package.json"), "utf8"));
@@ -67,12 +85,34 @@ export async function startServer() {
       {
         capabilities: {
           tools: {},
+          resources: { subscribe: true },
+          prompts: {},
+          logging: {},
         },
       },
     );
 
     console.error("MCP Server instance created");
 
+    // Watch notifications go out as log messages, filtered by logging/setLevel.
+    let logLevel = "debug";
+    server.setRequestHandler(SetLevelRequestSchema, async request => {
+      logLevel = request.params.level;
+      return {};
+    });
+    const levels = LoggingLevelSchema.options; // least severe first
+    const watches = createWatchRegistry(async params => {
+      if (levels.indexOf(params.level) < levels.indexOf(logLevel)) return;
+      await server.sendLoggingMessage(params);
+    });
+    const subscriptions = createResourceSubscriptions(getDb, uri =>
+      server.sendResourceUpdated({ uri }),
+    );
+    server.onclose = () => {
+      const stopped = watches.stopAll() + subscriptions.unsubscribeAll();
+      if (stopped > 0) console.error(`Stopped ${stopped} listener(s)`);
+    };
+
     // Register tool definitions (cached, not rebuilt per request)
     server.setRequestHandler(ListToolsRequestSchema, async () => ({
       tools: toolDefinitions,
@@ -80,8 +120,38 @@ export async function startServer() {
 
     console.error("Tools registered");
 
+    // Investigation workflows, filled in with the configured targets
+    server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: getPromptDefinitions(),
+    }));
+    server.setRequestHandler(GetPromptRequestSchema, async request =>
+      getPrompt(request.params.name, request.params.arguments, {
+        availableTargets,
+        defaultTarget,
+      }),
+    );
+
+    // Documents and collections as firestore://{target}/{path} resources
+    server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+      resources: await listResources(availableTargets, getDb),
+    }));
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: RESOURCE_TEMPLATES,
+    }));
+    server.setRequestHandler(ReadResourceRequestSchema, async request =>
+      readResource(request.params.uri, getDb),
+    );
+    server.setRequestHandler(SubscribeRequestSchema, async request => {
+      subscriptions.subscribe(request.params.uri);
+      return {};
+    });
+    server.setRequestHandler(UnsubscribeRequestSchema, async request => {
+      subscriptions.unsubscribe(request.params.uri);
+      return {};
+    });
+
     // Handle tool calls
-    server.setRequestHandler(CallToolRequestSchema, async request => {
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
       console.error(`Tool called: ${name}`);
 
@@ -92,7 +162,8 @@ export async function startServer() {
         }
 
         const { db, target } = getDb(args.target);
-        const result = await handler(args, db, target);
+        const context = createToolContext(request, extra, { getDb, watches });
+        const result = await handler(args, db, target, context);
 
         return buildResponse({ ...result, target });
       } catch (error) {
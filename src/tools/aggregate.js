@@ -0,0 +1,101 @@
+import { AggregateField } from "firebase-admin/firestore";
+import {
+  COLLECTION_PROPERTY,
+  FILTER_PROPERTY,
+  WHERE_CLAUSES_PROPERTY,
+} from "../helpers/schema.js";
+import { applyConditions } from "../helpers/filters.js";
+import { encodeValue } from "../helpers/typed-values.js";
+import { validateCollectionPath } from "../helpers/validate.js";
+
+/** Aggregation types and the AggregateField factory for each. */
+const AGGREGATIONS = {
+  count: () => AggregateField.count(),
+  sum: field => AggregateField.sum(field),
+  average: field => AggregateField.average(field),
+};
+
+/** Firestore accepts at most five aggregations per query. */
+const MAX_AGGREGATIONS = 5;
+
+export const definition = {
+  name: "aggregate",
+  description:
+    "Compute count, sum and average aggregations over a collection (optionally filtered) in one request, without fetching documents. Uses Firestore's native aggregate(). Supports subcollection paths.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      collection: COLLECTION_PROPERTY,
+      aggregations: {
+        type: "array",
+        description: `Aggregations to compute (max ${MAX_AGGREGATIONS})`,
+        items: {
+          type: "object",
+          properties: {
+            type: { type: "string", enum: Object.keys(AGGREGATIONS) },
+            field: { type: "string", description: "Numeric field (sum / average only)" },
+            alias: {
+              type: "string",
+              description:
+                "Result name (default: 'count', 'sum_<field>', 'average_<field>')",
+            },
+          },
+          required: ["type"],
+        },
+      },
+      where: WHERE_CLAUSES_PROPERTY,
+      filter: FILTER_PROPERTY,
+    },
+    required: ["collection", "aggregations"],
+  },
+};
+
+/**
+ * Validate the requested aggregations and build the aggregate() spec.
+ */
+function buildAggregateSpec(aggregations) {
+  if (!Array.isArray(aggregations) || aggregations.length === 0) {
+    throw new Error("Invalid aggregations: expected a non-empty array.");
+  }
+  if (aggregations.length > MAX_AGGREGATIONS) {
+    throw new Error(
+      `Too many aggregations: ${aggregations.length} requested, maximum is ${MAX_AGGREGATIONS}.`,
+    );
+  }
+
+  const spec = {};
+  aggregations.forEach((entry, i) => {
+    if (entry == null || typeof entry !== "object" || Array.isArray(entry)) {
+      throw new Error(`Invalid aggregations[${i}]: expected an object.`);
+    }
+    const { type, field, alias } = entry;
+    if (!AGGREGATIONS[type]) {
+      throw new Error(
+        `Aggregation ${i}: type must be one of ${Object.keys(AGGREGATIONS).join(", ")}.`,
+      );
+    }
+    if (type !== "count" && !field) {
+      throw new Error(`Aggregation ${i}: '${type}' requires a field.`);
+    }
+    const name = alias || (type === "count" ? "count" : `${type}_${field}`);
+    if (name in spec) {
+      throw new Error(`Aggregation ${i}: duplicate alias "${name}".`);
+    }
+    spec[name] = AGGREGATIONS[type](field);
+  });
+  return spec;
+}
+
+export async function handler(args, db) {
+  validateCollectionPath(args.collection);
+  const spec = buildAggregateSpec(args.aggregations);
+  const { query, summary } = applyConditions(db.collection(args.collection), args, db);
+
+  const snapshot = await query.aggregate(spec).get();
+
+  return {
+    collection: args.collection,
+    ...(summary && { query: summary }),
+    aggregations: encodeValue(snapshot.data()),
+  };
+}
@@ -1,5 +1,10 @@
-import { COLLECTION_PROPERTY } from "../helpers/schema.js";
-import { mapDocSnapshot } from "../helpers/query.js";
+import {
+  COLLECTION_PROPERTY,
+  RESPONSE_SHAPE_PROPERTIES,
+  SELECT_PROPERTY,
+} from "../helpers/schema.js";
+import { mapDocSnapshot, parseSelect } from "../helpers/query.js";
+import { shapeDocuments } from "../helpers/shape.js";
 import { validateCollectionPath, assertBatchSize } from "../helpers/validate.js";
 
 export const definition = {
@@ -15,6 +20,8 @@ export const definition = {
         items: { type: "string" },
         description: "Array of document IDs to fetch",
       },
+      select: SELECT_PROPERTY,
+      ...RESPONSE_SHAPE_PROPERTIES,
     },
     required: ["collection", "docIds"],
   },
@@ -24,14 +31,17 @@ export async function handler(args, db) {
   validateCollectionPath(args.collection);
   assertBatchSize(args.docIds);
 
+  const select = parseSelect(args.select);
+
   const refs = args.docIds.map(id => db.collection(args.collection).doc(id));
-  const snapshots = await db.getAll(...refs);
-  const docs = snapshots.map(mapDocSnapshot);
+  const snapshots = await db.getAll(...refs, ...(select ? [{ fieldMask: select }] : []));
+  const { docs, truncated } = shapeDocuments(snapshots.map(mapDocSnapshot), args);
 
   return {
     collection: args.collection,
     count: docs.filter(d => d.exists).length,
     requested: args.docIds.length,
     documents: docs,
+    ...(truncated && { truncated }),
   };
 }
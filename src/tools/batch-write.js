@@ -0,0 +1,88 @@
+import { CONFIRM_PROPERTY, WRITE_OPERATION_ITEM } from "../helpers/schema.js";
+import { assertWriteAllowed } from "../helpers/guards.js";
+import { prepareWrite, applyWrite, describeWrite } from "../helpers/writes.js";
+import { MAX_WRITES_PER_BATCH } from "../constants.js";
+
+/** Upper bound on operations per call (chunked into batches of 500). */
+const MAX_OPERATIONS = 5000;
+
+export const definition = {
+  name: "batch_write",
+  description: `Apply an ordered list of create/set/update/delete operations in a single atomic WriteBatch. Lists longer than ${MAX_WRITES_PER_BATCH} operations are split into sequential batches (atomic per chunk only) and the response reports each chunk. Supports subcollection paths.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      operations: {
+        type: "array",
+        items: WRITE_OPERATION_ITEM,
+        description: `Operations to apply in order (max ${MAX_OPERATIONS})`,
+      },
+      confirm: CONFIRM_PROPERTY,
+    },
+    required: ["operations"],
+  },
+};
+
+export async function handler(args, db, target) {
+  assertWriteAllowed(target, args);
+
+  const { operations } = args;
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new Error(
+      "Invalid operations: expected a non-empty array of write operations.",
+    );
+  }
+  if (operations.length > MAX_OPERATIONS) {
+    throw new Error(
+      `Too many operations: ${operations.length} requested, maximum is ${MAX_OPERATIONS}.`,
+    );
+  }
+
+  // Validate everything up front so a bad op never leaves a partial write.
+  const prepared = operations.map((op, i) => prepareWrite(op, db, i));
+
+  // Queue every chunk before the first commit, so SDK-side validation of a
+  // write also fails before anything is applied.
+  const batches = [];
+  for (let start = 0; start < prepared.length; start += MAX_WRITES_PER_BATCH) {
+    const batch = db.batch();
+    prepared.slice(start, start + MAX_WRITES_PER_BATCH).forEach((write, j) => {
+      try {
+        applyWrite(batch, write);
+      } catch (error) {
+        throw new Error(`Operation ${start + j}: ${error.message}`, { cause: error });
+      }
+    });
+    batches.push({
+      batch,
+      size: Math.min(MAX_WRITES_PER_BATCH, prepared.length - start),
+    });
+  }
+
+  let committed = 0;
+  for (const [i, { batch, size }] of batches.entries()) {
+    try {
+      await batch.commit();
+    } catch (error) {
+      const applied =
+        i === 0
+          ? "no operations were committed"
+          : `${i} batch(es) (operations 0-${committed - 1}) were already committed and operations ${committed} onward were not applied`;
+      throw new Error(
+        `Batch ${i + 1}/${batches.length} failed; ${applied}: ${error.message}`,
+        {
+          cause: error,
+        },
+      );
+    }
+    committed += size;
+  }
+
+  return {
+    operation: "batch_write",
+    count: committed,
+    batches: batches.length,
+    atomic: batches.length === 1,
+    results: prepared.map(describeWrite),
+  };
+}
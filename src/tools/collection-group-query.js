@@ -0,0 +1,92 @@
+import { PAGINATION_PROPERTIES, WHERE_CLAUSES_PROPERTY } from "../helpers/schema.js";
+import { applyCursor, cursorShape } from "../helpers/cursor.js";
+import { checkLocalIndexes, withIndexHint } from "../helpers/indexes.js";
+import {
+  applyWhereClauses,
+  formatClauses,
+  parseOrderBy,
+  applyOrderBy,
+  applyPathPagination,
+  applyPathPrefix,
+  executeQuery,
+} from "../helpers/query.js";
+import { validateCollectionId, validateDocumentPath } from "../helpers/validate.js";
+
+export const definition = {
+  name: "collection_group_query",
+  description:
+    "Query every collection with a given name, at any depth (e.g. all 'posts' subcollections across all users). Returns each document's full path. Optionally restrict to collections nested under a document path.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      collectionId: {
+        type: "string",
+        description: "Collection name to match at any depth (e.g. 'posts'), not a path",
+      },
+      pathPrefix: {
+        type: "string",
+        description:
+          "Optional document path to restrict results to its subtree (e.g. 'users/uid')",
+      },
+      where: WHERE_CLAUSES_PROPERTY,
+      ...PAGINATION_PROPERTIES,
+      startAfter: {
+        type: "string",
+        description:
+          "Full document path to start after (for pagination). Use lastDocPath from previous response.",
+      },
+    },
+    required: ["collectionId"],
+  },
+};
+
+export async function handler(args, db) {
+  validateCollectionId(args.collectionId);
+  if (args.pathPrefix) validateDocumentPath(args.pathPrefix);
+
+  let query = db.collectionGroup(args.collectionId);
+  let clauses = [];
+
+  query = applyPathPrefix(query, args.pathPrefix);
+  if (args.where && Array.isArray(args.where)) {
+    ({ query, clauses } = applyWhereClauses(query, args.where, db));
+  }
+  const orderBy = parseOrderBy(args);
+  const summary = clauses.length > 0 ? formatClauses(clauses) : null;
+  const queryShape = cursorShape({
+    collection: `${args.pathPrefix ? `${args.pathPrefix}/**/` : "**/"}${args.collectionId}`,
+    orderBy,
+    filter: summary,
+  });
+  const indexSpec = {
+    collectionGroup: args.collectionId,
+    queryScope: "COLLECTION_GROUP",
+    where: args.where,
+    orderBy,
+  };
+  const missingIndex = checkLocalIndexes(indexSpec);
+  let limitToLast;
+
+  query = applyOrderBy(query, args);
+  query = await applyPathPagination(query, db, args.startAfter);
+  ({ query, limitToLast } = applyCursor(query, db, args, orderBy, queryShape));
+
+  const { docs, lastDocPath, nextCursor, prevCursor } = await executeQuery(
+    query,
+    args.limit,
+    { withPath: true, cursor: { shape: queryShape, orderBy }, limitToLast },
+  ).catch(error => {
+    throw withIndexHint(error, indexSpec);
+  });
+
+  return {
+    collectionId: args.collectionId,
+    ...(args.pathPrefix && { pathPrefix: args.pathPrefix }),
+    ...(summary && { query: summary }),
+    count: docs.length,
+    documents: docs,
+    ...(lastDocPath && { lastDocPath }),
+    ...(nextCursor && { nextCursor, prevCursor }),
+    ...(missingIndex && { missingIndex }),
+  };
+}
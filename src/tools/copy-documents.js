@@ -0,0 +1,232 @@
+import { TARGETS } from "../constants.js";
+import {
+  CONFIRM_PROPERTY,
+  FILTER_PROPERTY,
+  WHERE_CLAUSES_PROPERTY,
+} from "../helpers/schema.js";
+import { assertWriteAllowed } from "../helpers/guards.js";
+import { applyConditions } from "../helpers/filters.js";
+import {
+  CONFLICT_POLICIES,
+  findExisting,
+  resolveConflictPolicy,
+  writeWithConflictPolicy,
+} from "../helpers/conflicts.js";
+import {
+  MAX_REPORTED,
+  applyBulkWrites,
+  summarizeFailures,
+} from "../helpers/bulk-mutation.js";
+import { decodeValue, encodeValue } from "../helpers/typed-values.js";
+import { resolvePathKind } from "../helpers/validate.js";
+
+/** Upper bound on documents per copy; all are read before the first write. */
+const MAX_COPY_DOCUMENTS = 10_000;
+
+/** Documents read per request from a collection. */
+const PAGE_SIZE = 500;
+
+export const definition = {
+  name: "copy_documents",
+  description:
+    "Copy a document, the documents of a collection matching where conditions / a filter tree, or a whole collection tree to another path, on the same target or another one (e.g. production to emulator). Typed values are preserved and DocumentReferences point into the destination database. Set move:true to delete each source document once copied. Use dryRun to see what would be written.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      source: {
+        type: "string",
+        description:
+          "Document path (e.g. 'users/uid') or collection path (e.g. 'users') to copy, on `target`",
+      },
+      destination: {
+        type: "string",
+        description:
+          "Where to copy to: a document path for a document source, a collection path for a collection source. Document ids and subcollection paths are kept beneath it.",
+      },
+      destinationTarget: {
+        type: "string",
+        enum: Object.values(TARGETS),
+        description: "Target to copy to (default: the source `target`)",
+      },
+      where: WHERE_CLAUSES_PROPERTY,
+      filter: FILTER_PROPERTY,
+      recursive: {
+        type: "boolean",
+        default: false,
+        description: "Also copy every subcollection of each copied document (unfiltered)",
+      },
+      conflict: {
+        type: "string",
+        enum: CONFLICT_POLICIES,
+        default: "fail",
+        description:
+          "For destination documents that already exist: fail (abort before writing anything), skip, overwrite, or merge into them",
+      },
+      move: {
+        type: "boolean",
+        default: false,
+        description: "Delete each source document after it was copied",
+      },
+      dryRun: {
+        type: "boolean",
+        default: false,
+        description: "Report what would be copied without writing",
+      },
+      confirm: CONFIRM_PROPERTY,
+    },
+    required: ["source", "destination"],
+  },
+};
+
+/** Keep a source document, encoded so it can be decoded for another database. */
+function collect(doc, state) {
+  if (state.docs.length >= MAX_COPY_DOCUMENTS) {
+    throw new Error(
+      `More than ${MAX_COPY_DOCUMENTS} documents to copy. Nothing was written. Narrow the query or copy in parts.`,
+    );
+  }
+  state.docs.push({ ref: doc.ref, data: encodeValue(doc.data()) });
+}
+
+async function readSubcollections(ref, db, state) {
+  for (const sub of await ref.listCollections()) {
+    await readQuery(db.collection(`${ref.path}/${sub.id}`), db, state);
+  }
+}
+
+/** Read every document of `query` page by page, recursing when asked. */
+async function readQuery(query, db, state) {
+  let last = null;
+  for (;;) {
+    if (state.signal?.aborted) throw new Error("Copy cancelled.");
+    let page = query.limit(PAGE_SIZE);
+    if (last) page = page.startAfter(last);
+    const { docs } = await page.get();
+
+    for (const doc of docs) {
+      collect(doc, state);
+      if (state.recursive) await readSubcollections(doc.ref, db, state);
+    }
+    await state.reportProgress?.(
+      state.docs.length,
+      undefined,
+      `Read ${state.docs.length} documents`,
+    );
+    if (docs.length < PAGE_SIZE) break;
+    last = docs[docs.length - 1];
+  }
+}
+
+/** Delete the source documents of the successful writes (the "move" half). */
+async function deleteSources(written, db, reportProgress) {
+  const { written: deleted, failures } = await applyBulkWrites(
+    db,
+    written.map(({ source }) => source),
+    (writer, ref) => writer.delete(ref),
+    { reportProgress, verb: "Deleted" },
+  );
+  return {
+    deleted: deleted.length,
+    failures: failures.map(f => ({ path: f.path, error: `delete: ${f.error}` })),
+  };
+}
+
+export async function handler(args, db, target, context = {}) {
+  const { reportProgress, signal, getDb } = context;
+  const dryRun = args.dryRun === true;
+  const kind = resolvePathKind(args.source, "source");
+  if (resolvePathKind(args.destination, "destination") !== kind) {
+    throw new Error(
+      `Invalid destination: a ${kind} source needs a ${kind} path as destination.`,
+    );
+  }
+  if (kind === "document" && (args.where || args.filter)) {
+    throw new Error("where / filter only apply when the source is a collection.");
+  }
+  const conflict = resolveConflictPolicy(args.conflict);
+
+  const destinationTarget = args.destinationTarget ?? target;
+  const destDb = destinationTarget === target ? db : getDb(destinationTarget).db;
+  if (destinationTarget === target && args.source === args.destination) {
+    throw new Error("Invalid destination: it is the same path on the same target.");
+  }
+  if (!dryRun) {
+    assertWriteAllowed(destinationTarget, args);
+    if (args.move === true) assertWriteAllowed(target, args);
+  }
+
+  const state = { docs: [], recursive: args.recursive === true, reportProgress, signal };
+  let summary = null;
+  if (kind === "document") {
+    const snapshot = await db.doc(args.source).get();
+    if (snapshot.exists) collect(snapshot, state);
+    else if (!state.recursive) throw new Error(`Document "${args.source}" not found.`);
+    if (state.recursive) await readSubcollections(snapshot.ref, db, state);
+  } else {
+    let query;
+    ({ query, summary } = applyConditions(db.collection(args.source), args, db));
+    await readQuery(query, db, state);
+  }
+
+  // Same relative path under the destination; references re-bound to its db.
+  const writes = state.docs.map(({ ref, data }) => ({
+    source: ref,
+    ref: destDb.doc(`${args.destination}${ref.path.slice(args.source.length)}`),
+    data: decodeValue(data, destDb),
+  }));
+
+  const base = {
+    operation: "copy_documents",
+    source: { target, path: args.source },
+    destination: { target: destinationTarget, path: args.destination },
+    ...(summary && { query: summary }),
+    conflict,
+    move: args.move === true,
+    count: writes.length,
+  };
+
+  if (dryRun || conflict === "fail") {
+    const existing = await findExisting(
+      writes.map(w => w.ref),
+      destDb,
+    );
+    const existingPaths = [...existing].slice(0, MAX_REPORTED);
+
+    if (dryRun) {
+      const action = conflict === "fail" ? "conflict" : conflict;
+      return {
+        ...base,
+        dryRun: true,
+        plan: {
+          create: writes.length - existing.size,
+          ...(existing.size > 0 && { [action]: existing.size }),
+          ...(args.move === true && { deleteSource: writes.length }),
+        },
+        sample: writes
+          .slice(0, MAX_REPORTED)
+          .map(w => ({ from: w.source.path, to: w.ref.path })),
+        ...(existing.size > 0 && { existing: existingPaths }),
+      };
+    }
+    if (existing.size > 0) {
+      throw new Error(
+        `Copy aborted: ${existing.size} destination document(s) already exist (${existingPaths.join(", ")}${existing.size > MAX_REPORTED ? ", ..." : ""}). Nothing was written. Use conflict: skip, overwrite or merge.`,
+      );
+    }
+  }
+
+  const tally = await writeWithConflictPolicy(destDb, writes, conflict, {
+    reportProgress,
+    verb: "Copied",
+  });
+  const moved =
+    args.move === true ? await deleteSources(tally.written, db, reportProgress) : null;
+
+  return {
+    ...base,
+    written: tally.written.length,
+    skipped: tally.skipped,
+    ...(moved && { deleted: moved.deleted }),
+    ...summarizeFailures([...tally.failures, ...(moved?.failures ?? [])]),
+  };
+}
@@ -1,16 +1,25 @@
-import { COLLECTION_PROPERTY, WHERE_CLAUSES_PROPERTY } from "../helpers/schema.js";
-import { applyWhereClauses } from "../helpers/query.js";
+import {
+  COLLECTION_PROPERTY,
+  EXPLAIN_PROPERTY,
+  FILTER_PROPERTY,
+  WHERE_CLAUSES_PROPERTY,
+} from "../helpers/schema.js";
+import { applyConditions } from "../helpers/filters.js";
+import { getWithExplain } from "../helpers/explain.js";
+import { checkLocalIndexes, withIndexHint } from "../helpers/indexes.js";
 import { validateCollectionPath } from "../helpers/validate.js";
 
 export const definition = {
   name: "count_documents",
   description:
-    "Count documents in a collection with optional where conditions. Uses Firestore's native count() aggregation (no document fetching). Supports subcollection paths.",
+    "Count documents in a collection with optional where conditions or an OR / nested AND-OR filter tree. Uses Firestore's native count() aggregation (no document fetching). Supports subcollection paths.",
   inputSchema: {
     type: "object",
     properties: {
       collection: COLLECTION_PROPERTY,
       where: WHERE_CLAUSES_PROPERTY,
+      filter: FILTER_PROPERTY,
+      explain: EXPLAIN_PROPERTY,
     },
     required: ["collection"],
   },
@@ -18,17 +27,27 @@ export const definition = {
 
 export async function handler(args, db) {
   validateCollectionPath(args.collection);
-  let query = db.collection(args.collection);
-
-  if (args.where && Array.isArray(args.where)) {
-    ({ query } = applyWhereClauses(query, args.where));
-  }
+  const { query } = applyConditions(db.collection(args.collection), args, db);
+  const indexSpec = {
+    collectionGroup: args.collection.split("/").at(-1),
+    where: args.where,
+    filter: args.filter,
+  };
+  const missingIndex = checkLocalIndexes(indexSpec);
 
-  const snapshot = await query.count().get();
+  const { snapshot, explain } = await getWithExplain(
+    query.count(),
+    args.explain === true,
+  ).catch(error => {
+    throw withIndexHint(error, indexSpec);
+  });
 
   return {
     collection: args.collection,
     count: snapshot.data().count,
     ...(args.where && { where: args.where }),
+    ...(args.filter && { filter: args.filter }),
+    ...(explain && { explain }),
+    ...(missingIndex && { missingIndex }),
   };
 }
@@ -1,5 +1,10 @@
-import { COLLECTION_PROPERTY, CONFIRM_PROPERTY } from "../helpers/schema.js";
+import {
+  COLLECTION_PROPERTY,
+  CONFIRM_PROPERTY,
+  TYPED_VALUES_HINT,
+} from "../helpers/schema.js";
 import { assertWriteAllowed } from "../helpers/guards.js";
+import { decodeValue } from "../helpers/typed-values.js";
 import { validateCollectionPath, assertNonEmptyData } from "../helpers/validate.js";
 
 export const definition = {
@@ -17,7 +22,7 @@ export const definition = {
       },
       data: {
         type: "object",
-        description: "Document data as JSON object",
+        description: `Document data as JSON object. ${TYPED_VALUES_HINT}`,
       },
       confirm: CONFIRM_PROPERTY,
     },
@@ -29,15 +34,16 @@ export async function handler(args, db, target) {
   assertWriteAllowed(target, args);
   validateCollectionPath(args.collection);
   assertNonEmptyData(args.data);
+  const data = decodeValue(args.data, db);
 
   const collectionRef = db.collection(args.collection);
   let docRef;
 
   if (args.docId) {
     docRef = collectionRef.doc(args.docId);
-    await docRef.set(args.data);
+    await docRef.set(data);
   } else {
-    docRef = await collectionRef.add(args.data);
+    docRef = await collectionRef.add(data);
   }
 
   return {
@@ -0,0 +1,47 @@
+import { assertWriteAllowed } from "../helpers/guards.js";
+import {
+  BULK_QUERY_PROPERTIES,
+  applyBulkWrites,
+  collectMatches,
+  prepareBulkQuery,
+  previewMatches,
+  summarizeFailures,
+} from "../helpers/bulk-mutation.js";
+
+export const definition = {
+  name: "delete_by_query",
+  description:
+    "Delete every document in a collection matching where clauses / a filter tree (same format as query_with_where), e.g. all orders where userId == x. Use dryRun first to see the matching count and sample ids. Refuses to delete anything when more than maxDocuments match. Subcollections of deleted documents are kept; use recursive_delete for those.",
+  inputSchema: {
+    type: "object",
+    properties: BULK_QUERY_PROPERTIES,
+    required: ["collection"],
+  },
+};
+
+export async function handler(args, db, target, { reportProgress } = {}) {
+  const dryRun = args.dryRun === true;
+  if (!dryRun) assertWriteAllowed(target, args);
+  const { query, summary, maxDocuments } = prepareBulkQuery(args, db);
+  const base = {
+    operation: "delete_by_query",
+    collection: args.collection,
+    query: summary,
+  };
+
+  if (dryRun) return { ...base, ...(await previewMatches(query, maxDocuments)) };
+
+  const refs = await collectMatches(query, maxDocuments);
+  const { written, failures } = await applyBulkWrites(
+    db,
+    refs,
+    (writer, ref) => writer.delete(ref),
+    { reportProgress, verb: "Deleted" },
+  );
+  return {
+    ...base,
+    matched: refs.length,
+    deleted: written.length,
+    ...summarizeFailures(failures),
+  };
+}
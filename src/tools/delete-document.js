@@ -5,7 +5,7 @@ import { validateCollectionPath } from "../helpers/validate.js";
 export const definition = {
   name: "delete_document",
   description:
-    "Delete a document. Supports subcollection paths (e.g. 'users/uid/posts').",
+    "Delete a document. Supports subcollection paths (e.g. 'users/uid/posts'). Subcollections of the document are not deleted; use recursive_delete for that.",
   inputSchema: {
     type: "object",
     properties: {
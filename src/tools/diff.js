@@ -0,0 +1,201 @@
+import { TARGETS } from "../constants.js";
+import { FILTER_PROPERTY, WHERE_CLAUSES_PROPERTY } from "../helpers/schema.js";
+import { applyConditions } from "../helpers/filters.js";
+import { diffFields } from "../helpers/diff.js";
+import { encodeValue } from "../helpers/typed-values.js";
+import { assertBatchSize, resolvePathKind } from "../helpers/validate.js";
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/** Documents fetched per getAll. */
+const FETCH_CHUNK_SIZE = 100;
+
+/** Entries listed per category (added / removed / changed) in a response. */
+const MAX_REPORTED = 50;
+
+export const definition = {
+  name: "diff",
+  description:
+    "Compare a document, a list of document ids, or the result of a query between two targets (e.g. emulator vs production) or two paths. Reports documents added / removed and, for documents on both sides, each field added, removed or replaced (dotted field paths, typed values).",
+  inputSchema: {
+    type: "object",
+    properties: {
+      path: {
+        type: "string",
+        description:
+          "Document path (e.g. 'users/uid') or collection path (e.g. 'users') on `target`: the base side",
+      },
+      compareTarget: {
+        type: "string",
+        enum: Object.values(TARGETS),
+        description:
+          "Target to compare against (default: the other target when comparePath is omitted, else `target`)",
+      },
+      comparePath: {
+        type: "string",
+        description:
+          "Path to compare against, of the same kind as `path` (default: `path`)",
+      },
+      docIds: {
+        type: "array",
+        items: { type: "string" },
+        description: "Collection paths: compare only these document ids",
+      },
+      where: WHERE_CLAUSES_PROPERTY,
+      filter: FILTER_PROPERTY,
+      limit: {
+        type: "number",
+        default: DEFAULT_LIMIT,
+        description: `Collection paths: documents selected on each side (max ${MAX_LIMIT})`,
+      },
+      ignoreFields: {
+        type: "array",
+        items: { type: "string" },
+        description:
+          "Dotted field paths to leave out of the comparison (e.g. ['updatedAt'])",
+      },
+    },
+    required: ["path"],
+  },
+};
+
+function otherTarget(target) {
+  return target === TARGETS.PRODUCTION ? TARGETS.EMULATOR : TARGETS.PRODUCTION;
+}
+
+/** Ids of the documents `args` selects in a collection, and whether `limit` cut them. */
+async function selectIds(db, path, args, limit) {
+  const { query, summary } = applyConditions(db.collection(path), args, db);
+  const { docs } = await query
+    .select()
+    .limit(limit + 1)
+    .get();
+  return {
+    ids: docs.slice(0, limit).map(doc => doc.id),
+    summary,
+    truncated: docs.length > limit,
+  };
+}
+
+/** Encoded data of `ids` in a collection, keyed by id (missing documents left out). */
+async function fetchDocuments(db, path, ids) {
+  const found = new Map();
+  const collection = db.collection(path);
+  for (let i = 0; i < ids.length; i += FETCH_CHUNK_SIZE) {
+    const refs = ids.slice(i, i + FETCH_CHUNK_SIZE).map(id => collection.doc(id));
+    for (const snapshot of await db.getAll(...refs)) {
+      if (snapshot.exists) found.set(snapshot.id, encodeValue(snapshot.data()));
+    }
+  }
+  return found;
+}
+
+function resolveLimit(limit = DEFAULT_LIMIT) {
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new Error(`Invalid limit: expected an integer from 1 to ${MAX_LIMIT}.`);
+  }
+  return limit;
+}
+
+/** Diff result for a single document on each side. */
+function describeDocument(before, after, ignore) {
+  if (before === undefined && after === undefined) return { status: "missing-on-both" };
+  if (before === undefined) return { status: "added", document: after };
+  if (after === undefined) return { status: "removed", document: before };
+  const changes = diffFields(before, after, { ignore });
+  return { status: changes.length > 0 ? "changed" : "unchanged", changes };
+}
+
+export async function handler(args, db, target, { getDb } = {}) {
+  const kind = resolvePathKind(args.path);
+  const comparePath = args.comparePath ?? args.path;
+  if (resolvePathKind(comparePath, "comparePath") !== kind) {
+    throw new Error(`Invalid comparePath: expected a ${kind} path like path.`);
+  }
+  const compareTarget =
+    args.compareTarget ?? (args.comparePath === undefined ? otherTarget(target) : target);
+  if (compareTarget === target && comparePath === args.path) {
+    throw new Error("Nothing to compare: pass a different compareTarget or comparePath.");
+  }
+  const compareDb = compareTarget === target ? db : getDb(compareTarget).db;
+  const ignore = args.ignoreFields ?? [];
+
+  const sides = {
+    base: { target, path: args.path },
+    compare: { target: compareTarget, path: comparePath },
+  };
+
+  if (kind === "document") {
+    if (args.docIds || args.where || args.filter) {
+      throw new Error("docIds / where / filter only apply to collection paths.");
+    }
+    const [before, after] = await Promise.all([
+      db.doc(args.path).get(),
+      compareDb.doc(comparePath).get(),
+    ]);
+    return {
+      ...sides,
+      ...describeDocument(
+        before.exists ? encodeValue(before.data()) : undefined,
+        after.exists ? encodeValue(after.data()) : undefined,
+        ignore,
+      ),
+    };
+  }
+
+  let ids;
+  let summary = null;
+  let truncated = false;
+  if (args.docIds !== undefined) {
+    assertBatchSize(args.docIds);
+    ids = [...new Set(args.docIds)];
+  } else {
+    const limit = resolveLimit(args.limit);
+    const [base, other] = await Promise.all([
+      selectIds(db, args.path, args, limit),
+      selectIds(compareDb, comparePath, args, limit),
+    ]);
+    summary = base.summary;
+    truncated = base.truncated || other.truncated;
+    ids = [...new Set([...base.ids, ...other.ids])].sort();
+  }
+
+  // Fetch every selected id from both sides, so a document that matches the
+  // query on one side only still shows its field changes.
+  const [before, after] = await Promise.all([
+    fetchDocuments(db, args.path, ids),
+    fetchDocuments(compareDb, comparePath, ids),
+  ]);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+  for (const id of ids) {
+    if (!before.has(id) && !after.has(id)) continue;
+    if (!before.has(id)) added.push(id);
+    else if (!after.has(id)) removed.push(id);
+    else {
+      const changes = diffFields(before.get(id), after.get(id), { ignore });
+      if (changes.length > 0) changed.push({ id, changes });
+      else unchanged++;
+    }
+  }
+
+  return {
+    ...sides,
+    ...(summary && { query: summary }),
+    compared: added.length + removed.length + changed.length + unchanged,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged,
+    },
+    added: added.slice(0, MAX_REPORTED),
+    removed: removed.slice(0, MAX_REPORTED),
+    changed: changed.slice(0, MAX_REPORTED),
+    ...(truncated && { truncated: true }),
+  };
+}
@@ -0,0 +1,63 @@
+import {
+  COLLECTION_PROPERTY,
+  FILTER_PROPERTY,
+  PAGINATION_PROPERTIES,
+  WHERE_CLAUSES_PROPERTY,
+} from "../helpers/schema.js";
+import { applyConditions } from "../helpers/filters.js";
+import { applyOrderBy } from "../helpers/query.js";
+import { summarizeExplain } from "../helpers/explain.js";
+import { validateCollectionPath } from "../helpers/validate.js";
+
+/** Analyze runs the query, so it is always limited: reads are billed per document. */
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+export const definition = {
+  name: "explain_query",
+  description: `Explain a query: the indexes Firestore uses and, with analyze (default), documents scanned vs returned, read operations billed and execution time. Use it when a query is slow or to check which index serves it. Analyze runs the query up to limit (default ${DEFAULT_LIMIT}) and bills its reads like a normal query; with analyze: false the query is planned but not run (no reads billed).`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      collection: COLLECTION_PROPERTY,
+      where: WHERE_CLAUSES_PROPERTY,
+      filter: FILTER_PROPERTY,
+      orderBy: PAGINATION_PROPERTIES.orderBy,
+      orderDirection: PAGINATION_PROPERTIES.orderDirection,
+      limit: {
+        type: "number",
+        default: DEFAULT_LIMIT,
+        description: `Limit applied to the query (max ${MAX_LIMIT}); bounds the reads billed by analyze`,
+      },
+      analyze: {
+        type: "boolean",
+        default: true,
+        description: "Run the query to collect execution statistics",
+      },
+    },
+    required: ["collection"],
+  },
+};
+
+export async function handler(args, db) {
+  validateCollectionPath(args.collection);
+  const limit = args.limit ?? DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new Error(`Invalid limit: expected an integer from 1 to ${MAX_LIMIT}.`);
+  }
+  const analyze = args.analyze !== false;
+
+  let { query, summary } = applyConditions(db.collection(args.collection), args, db);
+  if (args.orderBy) query = applyOrderBy(query, args);
+  query = query.limit(limit);
+
+  const { metrics } = await query.explain({ analyze });
+
+  return {
+    collection: args.collection,
+    ...(summary && { query: summary }),
+    limit,
+    analyze,
+    explain: summarizeExplain(metrics),
+  };
+}
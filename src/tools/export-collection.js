@@ -0,0 +1,192 @@
+import { mkdir, realpath, rename, rm, stat } from "fs/promises";
+import { dirname, isAbsolute, join, relative, resolve, sep } from "path";
+import { exportDirectory } from "../config.js";
+import {
+  COLLECTION_PROPERTY,
+  FILTER_PROPERTY,
+  WHERE_CLAUSES_PROPERTY,
+} from "../helpers/schema.js";
+import { applyConditions } from "../helpers/filters.js";
+import { EXPORT_FORMATS, createExportWriter } from "../helpers/export.js";
+import { encodeValue } from "../helpers/typed-values.js";
+import { validateCollectionPath } from "../helpers/validate.js";
+
+/** Documents read per request while exporting. */
+const EXPORT_PAGE_SIZE = 500;
+
+export const definition = {
+  name: "export_collection",
+  description:
+    "Export a collection, or the documents matching where conditions / a filter tree, to a local file as NDJSON, a JSON array or flattened CSV. Streams page by page, optionally recursing into subcollections, and reports progress. Special values use the typed `__type` encoding.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      collection: COLLECTION_PROPERTY,
+      path: {
+        type: "string",
+        description:
+          "Output file path inside the export directory (MCP_FIRESTORE_EXPORT_DIR, default: the server's cwd); relative paths resolve against it",
+      },
+      format: {
+        type: "string",
+        enum: EXPORT_FORMATS,
+        default: "ndjson",
+        description:
+          "ndjson: one {id, path, data} per line; json: an array of them; csv: __id, __path and one column per (dot-flattened) field",
+      },
+      where: WHERE_CLAUSES_PROPERTY,
+      filter: FILTER_PROPERTY,
+      recursive: {
+        type: "boolean",
+        default: false,
+        description:
+          "Also export every subcollection of each exported document, at any depth (unfiltered)",
+      },
+      limit: {
+        type: "number",
+        description: "Maximum documents to export from the collection itself",
+      },
+      overwrite: {
+        type: "boolean",
+        default: false,
+        description: "Replace the output file if it already exists",
+      },
+    },
+    required: ["collection", "path"],
+  },
+};
+
+/**
+ * Resolve `path` against the export directory, following symlinks in the part
+ * that already exists, and refuse anything that lands outside it.
+ */
+async function resolveOutputPath(path) {
+  const root = exportDirectory();
+  const realRoot = await realpath(root).catch(() => {
+    throw new Error(`Export directory "${root}" does not exist.`);
+  });
+
+  const target = resolve(realRoot, path);
+  let existing = dirname(target);
+  while (!(await stat(existing).catch(() => null))) existing = dirname(existing);
+  const resolved = join(await realpath(existing), relative(existing, target));
+
+  const inside = relative(realRoot, resolved);
+  if (
+    inside === "" ||
+    inside === ".." ||
+    inside.startsWith(`..${sep}`) ||
+    isAbsolute(inside)
+  ) {
+    throw new Error(
+      `Invalid path "${path}": exports are restricted to ${realRoot} (set MCP_FIRESTORE_EXPORT_DIR to change it).`,
+    );
+  }
+  return resolved;
+}
+
+async function assertWritable(path, overwrite) {
+  const existing = await stat(path).catch(() => null);
+  if (existing?.isDirectory()) {
+    throw new Error(`Invalid path "${path}": it is a directory.`);
+  }
+  if (existing && !overwrite) {
+    throw new Error(`File "${path}" already exists. Pass overwrite: true to replace it.`);
+  }
+}
+
+/**
+ * Stream every document of `query` to the writer, page by page, recursing into
+ * subcollections when asked. `state` carries the running totals.
+ */
+async function exportQuery(query, db, state, { recursive, limit }) {
+  let last = null;
+  let exported = 0;
+
+  while (limit === undefined || exported < limit) {
+    if (state.signal?.aborted) throw new Error("Export cancelled.");
+
+    const size = Math.min(EXPORT_PAGE_SIZE, (limit ?? Infinity) - exported);
+    let page = query.limit(size);
+    if (last) page = page.startAfter(last);
+    const snapshot = await page.get();
+
+    for (const doc of snapshot.docs) {
+      await state.writer.write({
+        id: doc.id,
+        path: doc.ref.path,
+        data: encodeValue(doc.data()),
+      });
+      state.count++;
+
+      if (recursive) {
+        for (const sub of await doc.ref.listCollections()) {
+          state.collections++;
+          await exportQuery(db.collection(`${doc.ref.path}/${sub.id}`), db, state, {
+            recursive,
+          });
+        }
+      }
+    }
+
+    exported += snapshot.docs.length;
+    await state.reportProgress?.(
+      state.count,
+      undefined,
+      `Exported ${state.count} documents`,
+    );
+    if (snapshot.docs.length < size) break;
+    last = snapshot.docs[snapshot.docs.length - 1];
+  }
+}
+
+export async function handler(args, db, target, { reportProgress, signal } = {}) {
+  validateCollectionPath(args.collection);
+  if (typeof args.path !== "string" || args.path.trim() === "") {
+    throw new Error("Invalid path: expected an output file path.");
+  }
+  const format = args.format ?? "ndjson";
+  if (args.limit !== undefined && (!Number.isInteger(args.limit) || args.limit < 1)) {
+    throw new Error("Invalid limit: expected a positive integer.");
+  }
+
+  const { query, summary } = applyConditions(db.collection(args.collection), args, db);
+
+  const path = await resolveOutputPath(args.path);
+  await assertWritable(path, args.overwrite === true);
+  await mkdir(dirname(path), { recursive: true });
+
+  // Write next to the target and rename at the end, so a failed export never
+  // leaves a truncated file at `path`.
+  const partialPath = `${path}.partial`;
+  const writer = createExportWriter(partialPath, format);
+  const state = { writer, count: 0, collections: 1, reportProgress, signal };
+
+  try {
+    await exportQuery(query, db, state, {
+      recursive: args.recursive === true,
+      limit: args.limit,
+    });
+    await writer.finish();
+    await rename(partialPath, path);
+  } catch (error) {
+    await writer.abort();
+    await rm(partialPath, { force: true });
+    throw new Error(`Export failed after ${state.count} documents: ${error.message}`, {
+      cause: error,
+    });
+  }
+
+  const { size } = await stat(path);
+
+  return {
+    operation: "export_collection",
+    collection: args.collection,
+    ...(summary && { query: summary }),
+    format,
+    path,
+    count: state.count,
+    collections: state.collections,
+    bytes: size,
+  };
+}
@@ -1,5 +1,10 @@
-import { COLLECTION_PROPERTY } from "../helpers/schema.js";
-import { mapDocSnapshot } from "../helpers/query.js";
+import {
+  COLLECTION_PROPERTY,
+  RESPONSE_SHAPE_PROPERTIES,
+  SELECT_PROPERTY,
+} from "../helpers/schema.js";
+import { mapDocSnapshot, parseSelect } from "../helpers/query.js";
+import { shapeDocuments } from "../helpers/shape.js";
 import { validateCollectionPath } from "../helpers/validate.js";
 
 export const definition = {
@@ -11,6 +16,8 @@ export const definition = {
     properties: {
       collection: COLLECTION_PROPERTY,
       docId: { type: "string", description: "Document ID" },
+      select: SELECT_PROPERTY,
+      ...RESPONSE_SHAPE_PROPERTIES,
     },
     required: ["collection", "docId"],
   },
@@ -18,6 +25,13 @@ export const definition = {
 
 export async function handler(args, db) {
   validateCollectionPath(args.collection);
-  const doc = await db.collection(args.collection).doc(args.docId).get();
-  return mapDocSnapshot(doc);
+  const select = parseSelect(args.select);
+  const ref = db.collection(args.collection).doc(args.docId);
+  const doc = select ? (await db.getAll(ref, { fieldMask: select }))[0] : await ref.get();
+
+  const {
+    docs: [document],
+    truncated,
+  } = shapeDocuments([mapDocSnapshot(doc)], args);
+  return { ...document, ...(truncated && { truncated }) };
 }
@@ -0,0 +1,179 @@
+import { readFile } from "fs/promises";
+import { resolve } from "path";
+import { COLLECTION_PROPERTY, CONFIRM_PROPERTY } from "../helpers/schema.js";
+import { assertWriteAllowed } from "../helpers/guards.js";
+import {
+  CONFLICT_POLICIES,
+  findExisting,
+  resolveConflictPolicy,
+  writeWithConflictPolicy,
+} from "../helpers/conflicts.js";
+import { MAX_REPORTED, summarizeFailures } from "../helpers/bulk-mutation.js";
+import {
+  IMPORT_FORMATS,
+  normalizeRecord,
+  parseRecords,
+  resolveImportFormat,
+} from "../helpers/import.js";
+import { decodeValue } from "../helpers/typed-values.js";
+import { validateCollectionPath, validateDocumentPath } from "../helpers/validate.js";
+
+/** Upper bound on records per import. */
+const MAX_IMPORT_DOCUMENTS = 50_000;
+
+export const definition = {
+  name: "import_documents",
+  description:
+    "Import documents from a local NDJSON, JSON or CSV file (e.g. one written by export_collection) using a BulkWriter. Typed `__type` values are decoded. Choose what happens to existing documents with `conflict`, and use `dryRun` to see what would change without writing.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      path: {
+        type: "string",
+        description: "Input file path (relative paths resolve against the server's cwd)",
+      },
+      format: {
+        type: "string",
+        enum: IMPORT_FORMATS,
+        description:
+          "File format (default: from the extension: .ndjson/.jsonl, .json, .csv)",
+      },
+      collection: {
+        ...COLLECTION_PROPERTY,
+        description:
+          "Collection to import into. Omit to write each record back to its own `path` (as exported).",
+      },
+      idField: {
+        type: "string",
+        description:
+          "Field/column holding the document id; it is removed from the data (default: '__id', else 'id'; records without one get an auto-id)",
+      },
+      conflict: {
+        type: "string",
+        enum: CONFLICT_POLICIES,
+        default: "fail",
+        description:
+          "For documents that already exist: fail (abort before writing anything), skip, overwrite, or merge into them",
+      },
+      coerce: {
+        type: "boolean",
+        default: true,
+        description:
+          'CSV only: auto-coerce cells to numbers, booleans, null and JSON; a JSON string cell ("02134") stays a string, as export_collection writes ambiguous strings. Set false to keep every cell a string.',
+      },
+      dryRun: {
+        type: "boolean",
+        default: false,
+        description: "Report what would be created or changed without writing",
+      },
+      confirm: CONFIRM_PROPERTY,
+    },
+    required: ["path"],
+  },
+};
+
+/**
+ * Parse and validate every record into `{ ref, data }` before anything is
+ * written, so a bad record never leaves a half-finished import.
+ */
+function prepareRecords(records, db, args) {
+  const seen = new Map();
+  return records.map((raw, i) => {
+    const { id, path, data } = normalizeRecord(raw, i, args.idField);
+
+    let ref;
+    try {
+      if (args.collection) {
+        const collection = db.collection(args.collection);
+        ref = id === undefined ? collection.doc() : collection.doc(id);
+      } else if (path !== undefined) {
+        validateDocumentPath(path);
+        ref = db.doc(path);
+      } else {
+        throw new Error("no document path; pass 'collection' or include a path.");
+      }
+      if (seen.has(ref.path)) {
+        throw new Error(
+          `duplicate document "${ref.path}" (also record ${seen.get(ref.path)}).`,
+        );
+      }
+      seen.set(ref.path, i);
+      return { ref, data: decodeValue(data, db) };
+    } catch (error) {
+      throw new Error(`Record ${i}: ${error.message}`, { cause: error });
+    }
+  });
+}
+
+export async function handler(args, db, target, { reportProgress } = {}) {
+  const dryRun = args.dryRun === true;
+  if (!dryRun) assertWriteAllowed(target, args);
+
+  if (typeof args.path !== "string" || args.path.trim() === "") {
+    throw new Error("Invalid path: expected an input file path.");
+  }
+  const conflict = resolveConflictPolicy(args.conflict);
+  if (args.collection !== undefined) validateCollectionPath(args.collection);
+
+  const path = resolve(args.path);
+  const format = resolveImportFormat(path, args.format);
+  let text;
+  try {
+    text = await readFile(path, "utf8");
+  } catch (error) {
+    throw new Error(`Cannot read "${path}": ${error.message}`, { cause: error });
+  }
+
+  const records = parseRecords(text, format, { coerce: args.coerce !== false });
+  if (records.length > MAX_IMPORT_DOCUMENTS) {
+    throw new Error(
+      `Too many records: ${records.length} in file, maximum is ${MAX_IMPORT_DOCUMENTS}.`,
+    );
+  }
+  const prepared = prepareRecords(records, db, args);
+
+  const base = {
+    operation: "import_documents",
+    path,
+    format,
+    conflict,
+    count: prepared.length,
+  };
+
+  if (dryRun || conflict === "fail") {
+    const existing = await findExisting(
+      prepared.map(p => p.ref),
+      db,
+    );
+    const existingPaths = [...existing].slice(0, MAX_REPORTED);
+
+    if (dryRun) {
+      const action = conflict === "fail" ? "conflict" : conflict;
+      return {
+        ...base,
+        dryRun: true,
+        plan: {
+          create: prepared.length - existing.size,
+          ...(existing.size > 0 && { [action]: existing.size }),
+        },
+        ...(existing.size > 0 && { existing: existingPaths }),
+      };
+    }
+    if (existing.size > 0) {
+      throw new Error(
+        `Import aborted: ${existing.size} document(s) already exist (${existingPaths.join(", ")}${existing.size > MAX_REPORTED ? ", ..." : ""}). Nothing was written. Use conflict: skip, overwrite or merge.`,
+      );
+    }
+  }
+
+  const tally = await writeWithConflictPolicy(db, prepared, conflict, {
+    reportProgress,
+    verb: "Imported",
+  });
+  return {
+    ...base,
+    written: tally.written.length,
+    skipped: tally.skipped,
+    ...summarizeFailures(tally.failures),
+  };
+}
@@ -5,8 +5,27 @@ import * as listCollections from "./list-collections.js";
 import * as createDocument from "./create-document.js";
 import * as updateDocument from "./update-document.js";
 import * as deleteDocument from "./delete-document.js";
+import * as recursiveDelete from "./recursive-delete.js";
+import * as deleteByQuery from "./delete-by-query.js";
+import * as updateByQuery from "./update-by-query.js";
 import * as countDocuments from "./count-documents.js";
+import * as explainQuery from "./explain-query.js";
 import * as batchGet from "./batch-get.js";
+import * as batchWrite from "./batch-write.js";
+import * as runTransaction from "./run-transaction.js";
+import * as collectionGroupQuery from "./collection-group-query.js";
+import * as aggregate from "./aggregate.js";
+import * as vectorSearch from "./vector-search.js";
+import * as exportCollection from "./export-collection.js";
+import * as importDocuments from "./import-documents.js";
+import * as copyDocuments from "./copy-documents.js";
+import * as diff from "./diff.js";
+import * as seedEmulator from "./seed-emulator.js";
+import * as watchQuery from "./watch-query.js";
+import * as watchDocument from "./watch-document.js";
+import * as listWatches from "./list-watches.js";
+import * as stopWatch from "./stop-watch.js";
+import * as inferSchema from "./infer-schema.js";
 
 const tools = [
   queryCollection,
@@ -16,8 +35,27 @@ const tools = [
   createDocument,
   updateDocument,
   deleteDocument,
+  recursiveDelete,
+  deleteByQuery,
+  updateByQuery,
   countDocuments,
+  explainQuery,
   batchGet,
+  batchWrite,
+  runTransaction,
+  collectionGroupQuery,
+  aggregate,
+  vectorSearch,
+  exportCollection,
+  importDocuments,
+  copyDocuments,
+  diff,
+  seedEmulator,
+  watchQuery,
+  watchDocument,
+  listWatches,
+  stopWatch,
+  inferSchema,
 ];
 
 /**
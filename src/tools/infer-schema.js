@@ -0,0 +1,114 @@
+import { COLLECTION_PROPERTY } from "../helpers/schema.js";
+import { sampleDocuments } from "../helpers/sampling.js";
+import {
+  collectFieldStats,
+  listFields,
+  toJsonSchema,
+  toTypeScript,
+} from "../helpers/schema-inference.js";
+import { encodeValue } from "../helpers/typed-values.js";
+import { readInteger, validateCollectionPath } from "../helpers/validate.js";
+
+const DEFAULT_SAMPLE_SIZE = 100;
+const MAX_SAMPLE_SIZE = 1000;
+
+/** Sampled documents whose subcollections are listed. */
+const SUBCOLLECTION_PROBES = 20;
+
+const EMIT_OPTIONS = ["jsonSchema", "typescript"];
+
+export const definition = {
+  name: "infer_schema",
+  description:
+    "Sample documents from a collection (spread across the id range, not just the first page) and report each field path's observed types, presence percentage and example values, nested map/array structure, and subcollection names. Optionally emits a JSON Schema or TypeScript interface. Use it to learn field names before building queries.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      collection: COLLECTION_PROPERTY,
+      sampleSize: {
+        type: "number",
+        default: DEFAULT_SAMPLE_SIZE,
+        description: `Documents to sample (max ${MAX_SAMPLE_SIZE}). Smaller collections are read in full.`,
+      },
+      maxExamples: {
+        type: "number",
+        default: 3,
+        description: "Distinct example values to keep per field (0 for none)",
+      },
+      emit: {
+        type: "array",
+        items: { type: "string", enum: EMIT_OPTIONS },
+        description:
+          "Also return a JSON Schema (of the typed JSON this server reads and writes) and/or a TypeScript interface (using firebase-admin types)",
+      },
+      typeName: {
+        type: "string",
+        description:
+          "Name for the emitted schema / interface (default: from the collection id)",
+      },
+    },
+    required: ["collection"],
+  },
+};
+
+/** Subcollection ids seen under the first few sampled documents, with counts. */
+async function findSubcollections(docs) {
+  const counts = {};
+  for (const doc of docs.slice(0, SUBCOLLECTION_PROBES)) {
+    for (const sub of await doc.ref.listCollections()) {
+      counts[sub.id] = (counts[sub.id] || 0) + 1;
+    }
+  }
+  return Object.entries(counts).map(([id, seenIn]) => ({ id, seenIn }));
+}
+
+function defaultTypeName(collection) {
+  const id = collection
+    .split("/")
+    .at(-1)
+    .replace(/[^A-Za-z0-9]+(.)?/g, (_, c = "") => c.toUpperCase());
+  const name = id.charAt(0).toUpperCase() + id.slice(1);
+  return /^[A-Za-z]/.test(name) ? name : `Doc${name}`;
+}
+
+export async function handler(args, db) {
+  validateCollectionPath(args.collection);
+  const sampleSize = readInteger(
+    args,
+    "sampleSize",
+    DEFAULT_SAMPLE_SIZE,
+    1,
+    MAX_SAMPLE_SIZE,
+  );
+  const maxExamples = readInteger(args, "maxExamples", 3, 0, 20);
+  const emit = args.emit ?? [];
+  if (!Array.isArray(emit) || emit.some(e => !EMIT_OPTIONS.includes(e))) {
+    throw new Error(`Invalid emit: expected an array of ${EMIT_OPTIONS.join(", ")}.`);
+  }
+
+  const collection = db.collection(args.collection);
+  const total = (await collection.count().get()).data().count;
+
+  // Small collections are read whole; larger ones are sampled.
+  const sampled =
+    total <= sampleSize
+      ? (await collection.limit(sampleSize).get()).docs
+      : await sampleDocuments(collection, sampleSize);
+
+  const root = collectFieldStats(
+    sampled.map(doc => encodeValue(doc.data())),
+    { maxExamples },
+  );
+  const typeName = args.typeName || defaultTypeName(args.collection);
+
+  return {
+    collection: args.collection,
+    totalDocuments: total,
+    sampled: sampled.length,
+    sampling: total <= sampleSize ? "all" : "random-id-ranges",
+    fields: listFields(root),
+    subcollections: await findSubcollections(sampled),
+    ...(emit.includes("jsonSchema") && { jsonSchema: toJsonSchema(root, typeName) }),
+    ...(emit.includes("typescript") && { typescript: toTypeScript(root, typeName) }),
+  };
+}
@@ -0,0 +1,21 @@
+export const definition = {
+  name: "list_watches",
+  description:
+    "List the real-time listeners started with watch_query / watch_document: their watchId, path, query, status and how many changes they have seen. Set includeChanges to also return each watch's most recent changes.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      includeChanges: {
+        type: "boolean",
+        default: false,
+        description: "Include the last changes seen by each watch",
+      },
+    },
+  },
+};
+
+export async function handler(args, db, target, { watches } = {}) {
+  if (!watches) throw new Error("Watches are not available in this context.");
+  const list = watches.list({ includeChanges: args.includeChanges === true });
+  return { count: list.length, watches: list };
+}
@@ -1,5 +1,18 @@
-import { COLLECTION_PROPERTY, PAGINATION_PROPERTIES } from "../helpers/schema.js";
-import { applyOrderBy, applyPagination, executeQuery } from "../helpers/query.js";
+import {
+  COLLECTION_PROPERTY,
+  PAGINATION_PROPERTIES,
+  RESPONSE_SHAPE_PROPERTIES,
+  SELECT_PROPERTY,
+} from "../helpers/schema.js";
+import {
+  parseOrderBy,
+  applyOrderBy,
+  applyPagination,
+  applySelect,
+  executeQuery,
+} from "../helpers/query.js";
+import { applyCursor, cursorShape } from "../helpers/cursor.js";
+import { checkLocalIndexes, withIndexHint } from "../helpers/indexes.js";
 import { validateCollectionPath } from "../helpers/validate.js";
 
 export const definition = {
@@ -11,6 +24,8 @@ export const definition = {
     properties: {
       collection: COLLECTION_PROPERTY,
       ...PAGINATION_PROPERTIES,
+      select: SELECT_PROPERTY,
+      ...RESPONSE_SHAPE_PROPERTIES,
     },
     required: ["collection"],
   },
@@ -18,16 +33,33 @@ export const definition = {
 
 export async function handler(args, db) {
   validateCollectionPath(args.collection);
+  const orderBy = parseOrderBy(args);
+  const queryShape = cursorShape({ collection: args.collection, orderBy });
+  const indexSpec = { collectionGroup: args.collection.split("/").at(-1), orderBy };
+  const missingIndex = checkLocalIndexes(indexSpec);
+
   let query = db.collection(args.collection);
+  let limitToLast;
   query = applyOrderBy(query, args);
   query = await applyPagination(query, db, args.collection, args.startAfter);
+  ({ query, limitToLast } = applyCursor(query, db, args, orderBy, queryShape));
+  query = applySelect(query, args.select, orderBy);
 
-  const { docs, lastDocId } = await executeQuery(query, args.limit);
+  const { docs, lastDocId, truncated, nextCursor, prevCursor } = await executeQuery(
+    query,
+    args.limit,
+    { shape: args, cursor: { shape: queryShape, orderBy }, limitToLast },
+  ).catch(error => {
+    throw withIndexHint(error, indexSpec);
+  });
 
   return {
     collection: args.collection,
     count: docs.length,
     documents: docs,
     ...(lastDocId && { lastDocId }),
+    ...(nextCursor && { nextCursor, prevCursor }),
+    ...(truncated && { truncated }),
+    ...(missingIndex && { missingIndex }),
   };
 }
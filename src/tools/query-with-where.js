@@ -1,14 +1,24 @@
-import { coerceValue } from "../helpers/coerce-value.js";
+import { resolveWhereValue } from "../helpers/coerce-value.js";
 import {
   COLLECTION_PROPERTY,
+  EXPLAIN_PROPERTY,
+  FILTER_PROPERTY,
   PAGINATION_PROPERTIES,
+  RESPONSE_SHAPE_PROPERTIES,
+  SELECT_PROPERTY,
   WHERE_CLAUSES_PROPERTY,
+  WHERE_VALUE_PROPERTY,
 } from "../helpers/schema.js";
+import { applyConditions } from "../helpers/filters.js";
+import { applyCursor, cursorShape } from "../helpers/cursor.js";
+import { checkLocalIndexes, withIndexHint } from "../helpers/indexes.js";
 import {
   WHERE_OPERATORS,
-  applyWhereClauses,
+  formatClauses,
+  parseOrderBy,
   applyOrderBy,
   applyPagination,
+  applySelect,
   executeQuery,
 } from "../helpers/query.js";
 import { validateCollectionPath } from "../helpers/validate.js";
@@ -16,12 +26,13 @@ import { validateCollectionPath } from "../helpers/validate.js";
 export const definition = {
   name: "query_with_where",
   description:
-    "Query a collection with where conditions. Supports single or multiple clauses, value type coercion, and pagination. Supports subcollection paths.",
+    "Query a collection with where conditions. Supports single or multiple clauses, OR / nested AND-OR filter trees, value type coercion, and pagination. Supports subcollection paths.",
   inputSchema: {
     type: "object",
     properties: {
       collection: COLLECTION_PROPERTY,
       where: WHERE_CLAUSES_PROPERTY,
+      filter: FILTER_PROPERTY,
       // Legacy single-clause format (backward compat)
       field: {
         type: "string",
@@ -33,11 +44,13 @@ export const definition = {
         description: "Comparison operator (legacy single-clause format)",
       },
       value: {
-        type: "string",
-        description:
-          "Value to compare (legacy single-clause format). Numbers, booleans, and arrays are auto-coerced.",
+        ...WHERE_VALUE_PROPERTY,
+        description: `${WHERE_VALUE_PROPERTY.description} (legacy single-clause format)`,
       },
       ...PAGINATION_PROPERTIES,
+      select: SELECT_PROPERTY,
+      ...RESPONSE_SHAPE_PROPERTIES,
+      explain: EXPLAIN_PROPERTY,
     },
     required: ["collection"],
   },
@@ -46,34 +59,65 @@ export const definition = {
 export async function handler(args, db) {
   validateCollectionPath(args.collection);
   let query = db.collection(args.collection);
-  let clauses;
+  let summary;
 
-  if (args.where && Array.isArray(args.where)) {
-    // Multi-clause format: [[field, op, value], ...]
-    ({ query, clauses } = applyWhereClauses(query, args.where));
+  if (args.filter || Array.isArray(args.where)) {
+    ({ query, summary } = applyConditions(query, args, db));
   } else if (args.field && args.operator && args.value !== undefined) {
     // Legacy single-clause format
-    const coerced = coerceValue(args.value);
-    clauses = [{ field: args.field, operator: args.operator, value: coerced }];
-    query = query.where(args.field, args.operator, coerced);
+    const resolved = resolveWhereValue(args.value, db);
+    summary = formatClauses([
+      { field: args.field, operator: args.operator, value: resolved },
+    ]);
+    query = query.where(args.field, args.operator, resolved);
   } else {
     throw new Error(
-      "Provide either 'where' array or 'field'/'operator'/'value' parameters.",
+      "Provide either 'where' array or 'field'/'operator'/'value' parameters, or a 'filter' tree.",
     );
   }
 
+  const orderBy = parseOrderBy(args);
+  const queryShape = cursorShape({
+    collection: args.collection,
+    orderBy,
+    filter: summary,
+  });
+  const indexSpec = {
+    collectionGroup: args.collection.split("/").at(-1),
+    where:
+      args.filter || Array.isArray(args.where)
+        ? args.where
+        : [[args.field, args.operator]],
+    filter: args.filter,
+    orderBy,
+  };
+  const missingIndex = checkLocalIndexes(indexSpec);
+  let limitToLast;
+
   query = applyOrderBy(query, args);
   query = await applyPagination(query, db, args.collection, args.startAfter);
+  ({ query, limitToLast } = applyCursor(query, db, args, orderBy, queryShape));
+  query = applySelect(query, args.select, orderBy);
 
-  const { docs, lastDocId } = await executeQuery(query, args.limit);
+  const { docs, lastDocId, truncated, nextCursor, prevCursor, explain } =
+    await executeQuery(query, args.limit, {
+      shape: args,
+      cursor: { shape: queryShape, orderBy },
+      limitToLast,
+      explain: args.explain === true,
+    }).catch(error => {
+      throw withIndexHint(error, indexSpec);
+    });
 
   return {
     collection: args.collection,
-    query: clauses
-      .map(c => `${c.field} ${c.operator} ${JSON.stringify(c.value)}`)
-      .join(" AND "),
+    query: summary,
     count: docs.length,
     documents: docs,
     ...(lastDocId && { lastDocId }),
+    ...(nextCursor && { nextCursor, prevCursor }),
+    ...(truncated && { truncated }),
+    ...(explain && { explain }),
+    ...(missingIndex && { missingIndex }),
   };
 }
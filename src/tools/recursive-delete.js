@@ -0,0 +1,171 @@
+import { CONFIRM_PROPERTY } from "../helpers/schema.js";
+import { assertWriteAllowed } from "../helpers/guards.js";
+import { MAX_REPORTED, PROGRESS_INTERVAL } from "../helpers/bulk-mutation.js";
+import { resolvePathKind } from "../helpers/validate.js";
+
+/** Collection paths listed in a preview before it is cut short. */
+const MAX_PREVIEW_COLLECTIONS = 50;
+
+/**
+ * Documents a preview lists to look for subcollections. Collections are
+ * counted with count(); past this budget their subcollections are not walked
+ * and the preview is reported as partial.
+ */
+const MAX_PREVIEW_DOCUMENTS = 1000;
+
+/** gRPC statuses worth retrying a delete for: RESOURCE_EXHAUSTED, ABORTED, UNAVAILABLE. */
+const RETRYABLE_CODES = [8, 10, 14];
+
+/** Attempts per document before a delete counts as failed. */
+const MAX_DELETE_ATTEMPTS = 5;
+
+export const definition = {
+  name: "recursive_delete",
+  description:
+    "Delete a document or a whole collection together with every subcollection beneath it (delete_document leaves subcollections orphaned). Without execute:true it only returns a preview: the number of documents in each collection path and the total (partial for very large trees). Pass execute:true to delete (plus confirm:true on production). Reports progress for large trees.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      path: {
+        type: "string",
+        description:
+          "Document path (e.g. 'users/uid') or collection path (e.g. 'users' or 'users/uid/posts') to delete",
+      },
+      execute: {
+        type: "boolean",
+        default: false,
+        description:
+          "Required `true` to delete, on every target. Without it the tool only previews what would be deleted.",
+      },
+      confirm: CONFIRM_PROPERTY,
+    },
+    required: ["path"],
+  },
+};
+
+/** Resolve `path` to a document or collection reference. */
+function resolveRef(path, db) {
+  const kind = resolvePathKind(path);
+  return { kind, ref: kind === "document" ? db.doc(path) : db.collection(path) };
+}
+
+/**
+ * Count the documents of `collection` and, through every document (including
+ * missing ones that only hold subcollections), of each nested collection,
+ * listing at most MAX_PREVIEW_DOCUMENTS documents in all.
+ */
+async function walkCollection(collection, db, state) {
+  if (state.signal?.aborted) throw new Error("Preview cancelled.");
+
+  const { count } = (await collection.count().get()).data();
+  if (count > 0) state.collections.push({ path: collection.path, documents: count });
+  state.total += count;
+  await state.reportProgress?.(state.total, undefined, `Found ${state.total} documents`);
+
+  const budget = MAX_PREVIEW_DOCUMENTS - state.listed;
+  if (count > budget) {
+    state.partial = true;
+    return;
+  }
+  const refs = await collection.listDocuments();
+  if (refs.length > budget) state.partial = true;
+  state.listed += Math.min(refs.length, budget);
+  for (const ref of refs.slice(0, budget)) {
+    await walkDocument(ref, db, state);
+  }
+}
+
+async function walkDocument(ref, db, state) {
+  for (const sub of await ref.listCollections()) {
+    await walkCollection(db.collection(`${ref.path}/${sub.id}`), db, state);
+  }
+}
+
+async function preview(kind, ref, db, context) {
+  const state = { total: 0, listed: 0, partial: false, collections: [], ...context };
+  if (kind === "document") {
+    const exists = (await ref.get()).exists;
+    if (exists) state.total++;
+    await walkDocument(ref, db, state);
+    return { documentExists: exists, ...summarize(state) };
+  }
+  await walkCollection(ref, db, state);
+  return summarize(state);
+}
+
+function summarize({ total, partial, collections }) {
+  collections.sort((a, b) => b.documents - a.documents);
+  return {
+    totalDocuments: total,
+    ...(partial && { partial: true }),
+    collections: collections.slice(0, MAX_PREVIEW_COLLECTIONS),
+    ...(collections.length > MAX_PREVIEW_COLLECTIONS && {
+      collectionsNotListed: collections.length - MAX_PREVIEW_COLLECTIONS,
+    }),
+  };
+}
+
+function previewMessage({ totalDocuments, partial }) {
+  if (totalDocuments === 0) return "Nothing to delete.";
+  const count = partial
+    ? `at least these ${totalDocuments} documents (more than ${MAX_PREVIEW_DOCUMENTS} were found, so some subcollections were not walked)`
+    : `these ${totalDocuments} documents`;
+  return `Pass execute: true to delete ${count}.`;
+}
+
+export async function handler(args, db, target, { reportProgress, signal } = {}) {
+  const { kind, ref } = resolveRef(args.path, db);
+  const base = { operation: "recursive_delete", path: args.path, kind };
+
+  if (args.execute !== true) {
+    const plan = await preview(kind, ref, db, { reportProgress, signal });
+    return {
+      ...base,
+      preview: true,
+      ...plan,
+      message: previewMessage(plan),
+    };
+  }
+
+  assertWriteAllowed(target, args);
+
+  const writer = db.bulkWriter();
+  let deleted = 0;
+  const failures = [];
+  writer.onWriteResult(() => {
+    deleted++;
+    if (deleted % PROGRESS_INTERVAL === 0) {
+      reportProgress?.(deleted, undefined, `Deleted ${deleted} documents`);
+    }
+  });
+  writer.onWriteError(error => {
+    const retry =
+      RETRYABLE_CODES.includes(error.code) && error.failedAttempts < MAX_DELETE_ATTEMPTS;
+    if (!retry) failures.push({ path: error.documentRef.path, error: error.message });
+    return retry;
+  });
+
+  try {
+    await db.recursiveDelete(ref, writer);
+  } catch (error) {
+    // Individual delete failures are reported below; anything else is fatal.
+    if (failures.length === 0) {
+      throw new Error(
+        `Recursive delete failed after ${deleted} documents: ${error.message}`,
+        {
+          cause: error,
+        },
+      );
+    }
+  } finally {
+    await writer.close();
+  }
+  await reportProgress?.(deleted, undefined, `Deleted ${deleted} documents`);
+
+  return {
+    ...base,
+    deleted,
+    failed: failures.length,
+    ...(failures.length > 0 && { failures: failures.slice(0, MAX_REPORTED) }),
+  };
+}
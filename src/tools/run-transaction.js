@@ -0,0 +1,214 @@
+import { isDeepStrictEqual } from "util";
+import {
+  COLLECTION_PROPERTY,
+  CONFIRM_PROPERTY,
+  TYPED_VALUES_HINT,
+  WRITE_OPERATION_ITEM,
+} from "../helpers/schema.js";
+import { assertWriteAllowed } from "../helpers/guards.js";
+import { mapDocSnapshot } from "../helpers/query.js";
+import { decodeValue, encodeValue } from "../helpers/typed-values.js";
+import { prepareWrite, applyWrite, describeWrite } from "../helpers/writes.js";
+import { validateCollectionPath } from "../helpers/validate.js";
+import { MAX_WRITES_PER_BATCH } from "../constants.js";
+
+/** Precondition checks supported on read values. */
+const PRECONDITION_CHECKS = ["equals", "exists", "not-exists"];
+
+export const definition = {
+  name: "run_transaction",
+  description:
+    "Read documents, check preconditions on the values read, and apply writes only if every precondition holds — all inside one Firestore transaction, so no concurrent change can slip in between the read and the write. Reports 'committed' or 'precondition_failed' with the actual values.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      reads: {
+        type: "array",
+        description: "Documents to read inside the transaction",
+        items: {
+          type: "object",
+          properties: {
+            alias: {
+              type: "string",
+              description: "Name used by preconditions (default: 'collection/docId')",
+            },
+            collection: COLLECTION_PROPERTY,
+            docId: { type: "string", description: "Document ID" },
+          },
+          required: ["collection", "docId"],
+        },
+      },
+      preconditions: {
+        type: "array",
+        description: "Checks on the read documents; all must pass for writes to apply",
+        items: {
+          type: "object",
+          properties: {
+            read: { type: "string", description: "Alias of the read to check" },
+            field: {
+              type: "string",
+              description:
+                "Dot-separated field path. Omit to check the document itself (exists / not-exists).",
+            },
+            check: { type: "string", enum: PRECONDITION_CHECKS },
+            value: {
+              description: `Expected value for 'equals'. ${TYPED_VALUES_HINT}`,
+            },
+          },
+          required: ["read", "check"],
+        },
+      },
+      writes: {
+        type: "array",
+        items: WRITE_OPERATION_ITEM,
+        description: `Writes applied when all preconditions pass (max ${MAX_WRITES_PER_BATCH})`,
+      },
+      confirm: CONFIRM_PROPERTY,
+    },
+    required: ["writes"],
+  },
+};
+
+/**
+ * Resolve a dot-separated field path against document data.
+ * Returns undefined when any segment is missing.
+ */
+function getFieldValue(data, path) {
+  return path.split(".").reduce((value, key) => {
+    if (value == null || typeof value !== "object") return undefined;
+    return value[key];
+  }, data);
+}
+
+function prepareReads(reads, db) {
+  if (reads === undefined) return [];
+  if (!Array.isArray(reads)) {
+    throw new Error("Invalid reads: expected an array of { collection, docId }.");
+  }
+  const aliases = new Set();
+  return reads.map((read, i) => {
+    try {
+      validateCollectionPath(read?.collection);
+      if (!read.docId) throw new Error("docId is required.");
+      const alias = read.alias || `${read.collection}/${read.docId}`;
+      if (aliases.has(alias)) throw new Error(`duplicate alias "${alias}".`);
+      aliases.add(alias);
+      return { alias, ref: db.collection(read.collection).doc(read.docId) };
+    } catch (error) {
+      throw new Error(`Read ${i}: ${error.message}`, { cause: error });
+    }
+  });
+}
+
+function preparePreconditions(preconditions, aliases, db) {
+  if (preconditions === undefined) return [];
+  if (!Array.isArray(preconditions)) {
+    throw new Error("Invalid preconditions: expected an array.");
+  }
+  return preconditions.map((p, i) => {
+    try {
+      if (!aliases.includes(p?.read)) throw new Error(`unknown read "${p?.read}".`);
+      if (!PRECONDITION_CHECKS.includes(p.check)) {
+        throw new Error(`check must be one of ${PRECONDITION_CHECKS.join(", ")}.`);
+      }
+      if (p.check === "equals") {
+        if (!p.field) throw new Error("'equals' requires a field.");
+        if (p.value === undefined) throw new Error("'equals' requires a value.");
+      }
+      // Normalise the expected value to the response encoding for comparison.
+      const expected =
+        p.check === "equals" ? encodeValue(decodeValue(p.value, db)) : undefined;
+      return { index: i, read: p.read, field: p.field, check: p.check, expected };
+    } catch (error) {
+      throw new Error(`Precondition ${i}: ${error.message}`, { cause: error });
+    }
+  });
+}
+
+/**
+ * Evaluate one precondition against the snapshot read for its alias.
+ * Returns a failure description, or null when it holds.
+ */
+function evaluatePrecondition(precondition, snapshot) {
+  const { index, read, field, check, expected } = precondition;
+  const actual =
+    field && snapshot.exists
+      ? encodeValue(getFieldValue(snapshot.data(), field))
+      : undefined;
+
+  let passed;
+  if (!field) {
+    passed = check === "exists" ? snapshot.exists : !snapshot.exists;
+  } else if (check === "exists") {
+    passed = actual !== undefined;
+  } else if (check === "not-exists") {
+    passed = actual === undefined;
+  } else {
+    passed = isDeepStrictEqual(actual, expected);
+  }
+  if (passed) return null;
+
+  return {
+    index,
+    read,
+    ...(field && { field }),
+    check,
+    ...(check === "equals" && { expected }),
+    ...(field ? { actual: actual ?? null } : { documentExists: snapshot.exists }),
+  };
+}
+
+export async function handler(args, db, target) {
+  assertWriteAllowed(target, args);
+
+  const reads = prepareReads(args.reads, db);
+  const preconditions = preparePreconditions(
+    args.preconditions,
+    reads.map(r => r.alias),
+    db,
+  );
+  if (!Array.isArray(args.writes) || args.writes.length === 0) {
+    throw new Error("Invalid writes: expected a non-empty array of write operations.");
+  }
+  if (args.writes.length > MAX_WRITES_PER_BATCH) {
+    throw new Error(
+      `Too many writes: ${args.writes.length} requested, maximum is ${MAX_WRITES_PER_BATCH}.`,
+    );
+  }
+  const writes = args.writes.map((op, i) => prepareWrite(op, db, i));
+
+  const outcome = await db.runTransaction(async tx => {
+    const snapshots = reads.length > 0 ? await tx.getAll(...reads.map(r => r.ref)) : [];
+    const byAlias = Object.fromEntries(reads.map((r, i) => [r.alias, snapshots[i]]));
+
+    const failures = preconditions
+      .map(p => evaluatePrecondition(p, byAlias[p.read]))
+      .filter(Boolean);
+
+    if (failures.length === 0) {
+      writes.forEach((write, i) => {
+        try {
+          applyWrite(tx, write);
+        } catch (error) {
+          throw new Error(`Operation ${i}: ${error.message}`, { cause: error });
+        }
+      });
+    }
+
+    return {
+      failures,
+      reads: reads.map((r, i) => ({ alias: r.alias, ...mapDocSnapshot(snapshots[i]) })),
+    };
+  });
+
+  const committed = outcome.failures.length === 0;
+
+  return {
+    operation: "run_transaction",
+    status: committed ? "committed" : "precondition_failed",
+    reads: outcome.reads,
+    ...(committed
+      ? { writes: writes.map(describeWrite) }
+      : { failedPreconditions: outcome.failures }),
+  };
+}
@@ -0,0 +1,304 @@
+import { randomBytes } from "crypto";
+import { TARGETS } from "../constants.js";
+import {
+  COLLECTION_PROPERTY,
+  FILTER_PROPERTY,
+  WHERE_CLAUSES_PROPERTY,
+} from "../helpers/schema.js";
+import { applyConditions } from "../helpers/filters.js";
+import {
+  ANONYMIZE_ACTIONS,
+  FAKE_KINDS,
+  anonymize,
+  validateRules,
+} from "../helpers/anonymize.js";
+import {
+  CONFLICT_POLICIES,
+  findExisting,
+  resolveConflictPolicy,
+  writeWithConflictPolicy,
+} from "../helpers/conflicts.js";
+import { MAX_REPORTED, summarizeFailures } from "../helpers/bulk-mutation.js";
+import { sampleDocuments } from "../helpers/sampling.js";
+import { decodeValue, encodeValue } from "../helpers/typed-values.js";
+import { readInteger, validateCollectionPath } from "../helpers/validate.js";
+
+const DEFAULT_LIMIT = 100;
+const DEFAULT_SUBCOLLECTION_LIMIT = 20;
+const DEFAULT_MAX_DOCUMENTS = 1000;
+const MAX_DOCUMENTS_LIMIT = 10_000;
+
+/** Anonymized documents shown by a dry run. */
+const DRY_RUN_SAMPLES = 3;
+
+export const definition = {
+  name: "seed_emulator",
+  description:
+    "Seed the emulator with a bounded sample of production data: for each collection, the documents matching a query or a random sample (a count or a percentage), optionally with their subcollections. Anonymization rules (hash, fake or drop fields) are applied before anything is written. Always reads production and writes the emulator. Use dryRun to check the rules on a few documents first.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      collections: {
+        type: "array",
+        description: "Collections to sample from production",
+        items: {
+          type: "object",
+          properties: {
+            collection: COLLECTION_PROPERTY,
+            where: WHERE_CLAUSES_PROPERTY,
+            filter: FILTER_PROPERTY,
+            limit: {
+              type: "number",
+              default: DEFAULT_LIMIT,
+              description:
+                "Documents to take: the first matching ones with where/filter, else a random sample",
+            },
+            percent: {
+              type: "number",
+              description:
+                "Instead of limit: sample this percentage (0-100] of the collection at random (not with where/filter)",
+            },
+          },
+          required: ["collection"],
+        },
+      },
+      recursive: {
+        type: "boolean",
+        default: false,
+        description: "Also copy the subcollections of sampled documents, at any depth",
+      },
+      subcollectionLimit: {
+        type: "number",
+        default: DEFAULT_SUBCOLLECTION_LIMIT,
+        description: "With recursive: documents taken from each subcollection",
+      },
+      maxDocuments: {
+        type: "number",
+        default: DEFAULT_MAX_DOCUMENTS,
+        description: `Refuse to seed more documents than this in total (max ${MAX_DOCUMENTS_LIMIT})`,
+      },
+      anonymize: {
+        type: "array",
+        description:
+          "Rules applied to every sampled document before writing. field: dotted path ('[]' for each array element, e.g. 'contacts[].email'); action: hash (salted; emails keep an email shape), fake (kind from `as`) or drop; collection: only in collections with this id.",
+        items: {
+          type: "object",
+          properties: {
+            field: { type: "string" },
+            action: { type: "string", enum: ANONYMIZE_ACTIONS },
+            as: { type: "string", enum: FAKE_KINDS, default: "name" },
+            collection: { type: "string", description: "Collection id, e.g. 'users'" },
+          },
+          required: ["field", "action"],
+        },
+      },
+      salt: {
+        type: "string",
+        description:
+          "Salt for hash / fake values (default: random per call). The salt used is returned; pass it again to get the same values, e.g. to repeat a dry run for real.",
+      },
+      conflict: {
+        type: "string",
+        enum: CONFLICT_POLICIES,
+        default: "overwrite",
+        description: "For emulator documents that already exist",
+      },
+      dryRun: {
+        type: "boolean",
+        default: false,
+        description: "Read and anonymize, but only return counts and a few documents",
+      },
+    },
+    required: ["collections"],
+  },
+};
+
+/** Validate one `collections` entry. */
+function validateSpec(spec, i) {
+  const where = `collections[${i}]`;
+  if (spec === null || typeof spec !== "object") {
+    throw new Error(`Invalid ${where}: expected an object.`);
+  }
+  try {
+    validateCollectionPath(spec.collection);
+    readInteger(spec, "limit", DEFAULT_LIMIT, 1, MAX_DOCUMENTS_LIMIT);
+    if (spec.percent !== undefined) {
+      if (
+        typeof spec.percent !== "number" ||
+        !(spec.percent > 0 && spec.percent <= 100)
+      ) {
+        throw new Error("Invalid percent: expected a number in (0, 100].");
+      }
+      if (spec.where || spec.filter) {
+        throw new Error("percent cannot be combined with where / filter; use limit.");
+      }
+    }
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`, { cause: error });
+  }
+}
+
+function tooManyDocuments(state) {
+  return new Error(
+    `The sample has more than maxDocuments (${state.maxDocuments}) documents. Nothing was written. Lower the limits or raise maxDocuments (max ${MAX_DOCUMENTS_LIMIT}).`,
+  );
+}
+
+/**
+ * Documents worth reading from a collection: enough to find one more new
+ * document than maxDocuments still allows, even when every document already
+ * collected from that collection is read again.
+ */
+function readBudget(state, collectionPath) {
+  const collected = state.perCollection.get(collectionPath) ?? 0;
+  return state.maxDocuments - state.docs.size + collected + 1;
+}
+
+/**
+ * Documents of one `collections` entry: the query's first matches or a random
+ * sample, read no further than the remaining maxDocuments budget.
+ */
+async function readSpec(spec, db, state) {
+  const collection = db.collection(spec.collection);
+  const budget = readBudget(state, collection.path);
+  if (spec.where || spec.filter) {
+    const { query } = applyConditions(collection, spec, db);
+    return (await query.limit(Math.min(spec.limit ?? DEFAULT_LIMIT, budget)).get()).docs;
+  }
+  let size = spec.limit ?? DEFAULT_LIMIT;
+  if (spec.percent !== undefined) {
+    const total = (await collection.count().get()).data().count;
+    size = Math.ceil((total * spec.percent) / 100);
+    if (size === 0) return [];
+    // A random sample this size cannot fit: fail before reading it.
+    if (size >= budget) throw tooManyDocuments(state);
+  }
+  return sampleDocuments(collection, Math.min(size, budget));
+}
+
+function collect(docs, state) {
+  for (const doc of docs) {
+    // The same document can be selected twice (overlapping entries).
+    if (state.docs.has(doc.ref.path)) continue;
+    if (state.docs.size >= state.maxDocuments) throw tooManyDocuments(state);
+    state.docs.set(doc.ref.path, doc);
+    const collectionPath = doc.ref.path.slice(0, doc.ref.path.lastIndexOf("/"));
+    state.perCollection.set(
+      collectionPath,
+      (state.perCollection.get(collectionPath) ?? 0) + 1,
+    );
+  }
+}
+
+async function readSubcollections(docs, db, state) {
+  for (const doc of docs) {
+    for (const sub of await doc.ref.listCollections()) {
+      const collection = db.collection(`${doc.ref.path}/${sub.id}`);
+      const limit = Math.min(
+        state.subcollectionLimit,
+        readBudget(state, collection.path),
+      );
+      const { docs: children } = await collection.limit(limit).get();
+      collect(children, state);
+      await readSubcollections(children, db, state);
+    }
+  }
+}
+
+export async function handler(args, db, target, { reportProgress, getDb } = {}) {
+  if (!Array.isArray(args.collections) || args.collections.length === 0) {
+    throw new Error("Invalid collections: expected a non-empty array.");
+  }
+  args.collections.forEach(validateSpec);
+  const rules = validateRules(args.anonymize);
+  const conflict = resolveConflictPolicy(args.conflict ?? "overwrite");
+  const state = {
+    docs: new Map(),
+    perCollection: new Map(),
+    maxDocuments: readInteger(
+      args,
+      "maxDocuments",
+      DEFAULT_MAX_DOCUMENTS,
+      1,
+      MAX_DOCUMENTS_LIMIT,
+    ),
+    subcollectionLimit: readInteger(
+      args,
+      "subcollectionLimit",
+      DEFAULT_SUBCOLLECTION_LIMIT,
+      1,
+      MAX_DOCUMENTS_LIMIT,
+    ),
+  };
+
+  // Fixed direction: never write to production.
+  const { db: source } = getDb(TARGETS.PRODUCTION);
+  const { db: emulator } = getDb(TARGETS.EMULATOR);
+
+  for (const spec of args.collections) {
+    const docs = await readSpec(spec, source, state);
+    collect(docs, state);
+    if (args.recursive === true) await readSubcollections(docs, source, state);
+    await reportProgress?.(
+      state.docs.size,
+      undefined,
+      `Sampled ${state.docs.size} documents`,
+    );
+  }
+
+  const salt = args.salt ?? randomBytes(16).toString("hex");
+  const applied = rules.map(() => 0);
+  const writes = [...state.docs.values()].map(doc => {
+    const collectionPath = doc.ref.path.slice(0, doc.ref.path.lastIndexOf("/"));
+    const result = anonymize(encodeValue(doc.data()), rules, {
+      collectionId: collectionPath.split("/").at(-1),
+      salt,
+    });
+    result.applied.forEach((n, i) => (applied[i] += n));
+    return { path: doc.ref.path, data: result.data };
+  });
+
+  const base = {
+    operation: "seed_emulator",
+    source: TARGETS.PRODUCTION,
+    destination: TARGETS.EMULATOR,
+    conflict,
+    salt,
+    count: writes.length,
+    collections: [...state.perCollection].map(([path, documents]) => ({
+      path,
+      documents,
+    })),
+    ...(rules.length > 0 && {
+      anonymized: rules.map((rule, i) => ({ ...rule, values: applied[i] })),
+    }),
+  };
+
+  if (args.dryRun === true) {
+    return { ...base, dryRun: true, sample: writes.slice(0, DRY_RUN_SAMPLES) };
+  }
+
+  const refs = writes.map(({ path }) => emulator.doc(path));
+  if (conflict === "fail") {
+    const existing = [...(await findExisting(refs, emulator))];
+    if (existing.length > 0) {
+      throw new Error(
+        `Seed aborted: ${existing.length} document(s) already exist in the emulator (${existing.slice(0, MAX_REPORTED).join(", ")}${existing.length > MAX_REPORTED ? ", ..." : ""}). Nothing was written. Use conflict: skip, overwrite or merge.`,
+      );
+    }
+  }
+
+  const tally = await writeWithConflictPolicy(
+    emulator,
+    writes.map(({ data }, i) => ({ ref: refs[i], data: decodeValue(data, emulator) })),
+    conflict,
+    { reportProgress, verb: "Seeded" },
+  );
+
+  return {
+    ...base,
+    written: tally.written.length,
+    skipped: tally.skipped,
+    ...summarizeFailures(tally.failures),
+  };
+}
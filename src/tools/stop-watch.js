@@ -0,0 +1,24 @@
+export const definition = {
+  name: "stop_watch",
+  description:
+    "Stop a real-time listener started with watch_query / watch_document, or every listener with all:true.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      watchId: {
+        type: "string",
+        description: "Watch to stop (from watch_query / list_watches)",
+      },
+      all: { type: "boolean", default: false, description: "Stop every watch" },
+    },
+  },
+};
+
+export async function handler(args, db, target, { watches } = {}) {
+  if (!watches) throw new Error("Watches are not available in this context.");
+  if (args.all === true) return { stopped: watches.stopAll() };
+  if (typeof args.watchId !== "string" || args.watchId === "") {
+    throw new Error("Provide a watchId, or all: true to stop every watch.");
+  }
+  return { stopped: 1, watch: watches.stop(args.watchId) };
+}
@@ -0,0 +1,62 @@
+import { TYPED_VALUES_HINT } from "../helpers/schema.js";
+import { assertWriteAllowed } from "../helpers/guards.js";
+import {
+  BULK_QUERY_PROPERTIES,
+  SAMPLE_SIZE,
+  applyBulkWrites,
+  collectMatches,
+  prepareBulkQuery,
+  previewMatches,
+  summarizeFailures,
+} from "../helpers/bulk-mutation.js";
+import { decodeValue } from "../helpers/typed-values.js";
+import { assertNonEmptyData } from "../helpers/validate.js";
+
+export const definition = {
+  name: "update_by_query",
+  description:
+    "Update the same fields of every document in a collection matching where clauses / a filter tree (same format as query_with_where), e.g. to backfill a field. Documents deleted before the write are reported as failures, not recreated. Use dryRun first to see the matching count and sample ids. Refuses to write anything when more than maxDocuments match.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...BULK_QUERY_PROPERTIES,
+      data: {
+        type: "object",
+        description: `Fields to update in each matching document; dotted keys ('a.b') update nested fields. ${TYPED_VALUES_HINT}`,
+      },
+    },
+    required: ["collection", "data"],
+  },
+};
+
+export async function handler(args, db, target, { reportProgress } = {}) {
+  const dryRun = args.dryRun === true;
+  if (!dryRun) assertWriteAllowed(target, args);
+  assertNonEmptyData(args.data);
+  const data = decodeValue(args.data, db);
+  const { query, summary, maxDocuments } = prepareBulkQuery(args, db);
+  const base = {
+    operation: "update_by_query",
+    collection: args.collection,
+    query: summary,
+  };
+
+  if (dryRun) return { ...base, ...(await previewMatches(query, maxDocuments)) };
+
+  const refs = await collectMatches(query, maxDocuments);
+  const { written, failures } = await applyBulkWrites(
+    db,
+    refs,
+    // update(), not set(merge): a document deleted since the read fails with
+    // NOT_FOUND instead of being recreated with only `data`.
+    (writer, ref) => writer.update(ref, data),
+    { reportProgress, verb: "Updated" },
+  );
+  return {
+    ...base,
+    matched: refs.length,
+    sampleIds: refs.slice(0, SAMPLE_SIZE).map(ref => ref.id),
+    updated: written.length,
+    ...summarizeFailures(failures),
+  };
+}
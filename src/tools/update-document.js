@@ -1,5 +1,10 @@
-import { COLLECTION_PROPERTY, CONFIRM_PROPERTY } from "../helpers/schema.js";
+import {
+  COLLECTION_PROPERTY,
+  CONFIRM_PROPERTY,
+  TYPED_VALUES_HINT,
+} from "../helpers/schema.js";
 import { assertWriteAllowed } from "../helpers/guards.js";
+import { decodeValue } from "../helpers/typed-values.js";
 import { validateCollectionPath, assertNonEmptyData } from "../helpers/validate.js";
 
 export const definition = {
@@ -11,7 +16,10 @@ export const definition = {
     properties: {
       collection: COLLECTION_PROPERTY,
       docId: { type: "string", description: "Document ID" },
-      data: { type: "object", description: "Fields to update as JSON object" },
+      data: {
+        type: "object",
+        description: `Fields to update as JSON object. ${TYPED_VALUES_HINT}`,
+      },
       merge: {
         type: "boolean",
         default: true,
@@ -27,13 +35,14 @@ export async function handler(args, db, target) {
   assertWriteAllowed(target, args);
   validateCollectionPath(args.collection);
   assertNonEmptyData(args.data);
+  const data = decodeValue(args.data, db);
 
   const docRef = db.collection(args.collection).doc(args.docId);
 
   if (args.merge !== false) {
-    await docRef.set(args.data, { merge: true });
+    await docRef.set(data, { merge: true });
   } else {
-    await docRef.update(args.data);
+    await docRef.update(data);
   }
 
   return {
@@ -0,0 +1,163 @@
+import {
+  COLLECTION_PROPERTY,
+  FILTER_PROPERTY,
+  RESPONSE_SHAPE_PROPERTIES,
+  SELECT_PROPERTY,
+  WHERE_CLAUSES_PROPERTY,
+} from "../helpers/schema.js";
+import { applyConditions } from "../helpers/filters.js";
+import { applySelect } from "../helpers/query.js";
+import { shapeDocuments } from "../helpers/shape.js";
+import { TYPE_KEY, encodeValue } from "../helpers/typed-values.js";
+import { validateCollectionPath } from "../helpers/validate.js";
+
+const DEFAULT_LIMIT = 10;
+
+/** Firestore's caps on findNearest results and embedding dimensions. */
+const MAX_LIMIT = 1000;
+const MAX_DIMENSIONS = 2048;
+
+/** Tool distance measures, mapped to Firestore's names. */
+const DISTANCE_MEASURES = {
+  cosine: "COSINE",
+  euclidean: "EUCLIDEAN",
+  dot_product: "DOT_PRODUCT",
+};
+
+/** Field Firestore writes each result's distance to; moved out of `data`. */
+const DISTANCE_FIELD = "_vectorDistance";
+
+export const definition = {
+  name: "vector_search",
+  description:
+    "Find the documents whose vector field is nearest to a query vector (Firestore findNearest), optionally pre-filtered with where clauses. Returns each document with its computed distance; the vector field itself is left out unless includeVector is set. Needs a vector index on the field (plus the filtered fields).",
+  inputSchema: {
+    type: "object",
+    properties: {
+      collection: COLLECTION_PROPERTY,
+      vectorField: {
+        type: "string",
+        description: "Field holding the embeddings (e.g. 'embedding')",
+      },
+      queryVector: {
+        type: "array",
+        items: { type: "number" },
+        description: `Query embedding, with the same dimension as the stored vectors (max ${MAX_DIMENSIONS})`,
+      },
+      distanceMeasure: {
+        type: "string",
+        enum: Object.keys(DISTANCE_MEASURES),
+        default: "cosine",
+        description:
+          "cosine / euclidean: smaller is nearer. dot_product: larger is nearer.",
+      },
+      limit: {
+        type: "number",
+        default: DEFAULT_LIMIT,
+        description: `Nearest documents to return (max ${MAX_LIMIT})`,
+      },
+      distanceThreshold: {
+        type: "number",
+        description:
+          "Only return documents at most this far (cosine / euclidean) or with at least this dot product",
+      },
+      where: WHERE_CLAUSES_PROPERTY,
+      filter: FILTER_PROPERTY,
+      includeVector: {
+        type: "boolean",
+        default: false,
+        description: "Also return the vector field of each document",
+      },
+      select: SELECT_PROPERTY,
+      ...RESPONSE_SHAPE_PROPERTIES,
+    },
+    required: ["collection", "vectorField", "queryVector"],
+  },
+};
+
+/** The query vector as numbers; also accepts the typed `{ "__type": "vector" }` form. */
+function parseQueryVector(value) {
+  const values = value?.[TYPE_KEY] === "vector" ? value.values : value;
+  if (
+    !Array.isArray(values) ||
+    values.length === 0 ||
+    values.some(v => typeof v !== "number" || !Number.isFinite(v))
+  ) {
+    throw new Error("Invalid queryVector: expected a non-empty array of numbers.");
+  }
+  if (values.length > MAX_DIMENSIONS) {
+    throw new Error(
+      `Invalid queryVector: ${values.length} dimensions, Firestore supports up to ${MAX_DIMENSIONS}.`,
+    );
+  }
+  return values;
+}
+
+/** Remove a dotted field path from encoded data. */
+function omitField(data, field) {
+  const keys = field.split(".");
+  const parent = keys.slice(0, -1).reduce((node, key) => node?.[key], data);
+  if (parent && typeof parent === "object") delete parent[keys.at(-1)];
+}
+
+export async function handler(args, db) {
+  validateCollectionPath(args.collection);
+  if (typeof args.vectorField !== "string" || args.vectorField.trim() === "") {
+    throw new Error("Invalid vectorField: expected a field path.");
+  }
+  const queryVector = parseQueryVector(args.queryVector);
+  const measure = args.distanceMeasure ?? "cosine";
+  if (!Object.hasOwn(DISTANCE_MEASURES, measure)) {
+    throw new Error(
+      `Invalid distanceMeasure: expected one of ${Object.keys(DISTANCE_MEASURES).join(", ")}.`,
+    );
+  }
+  const limit = args.limit ?? DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new Error(`Invalid limit: expected an integer from 1 to ${MAX_LIMIT}.`);
+  }
+  if (
+    args.distanceThreshold !== undefined &&
+    (typeof args.distanceThreshold !== "number" ||
+      !Number.isFinite(args.distanceThreshold))
+  ) {
+    throw new Error("Invalid distanceThreshold: expected a number.");
+  }
+
+  let query = db.collection(args.collection);
+  let summary = null;
+  if (args.where || args.filter) {
+    ({ query, summary } = applyConditions(query, args, db));
+  }
+  query = applySelect(query, args.select);
+
+  const snapshot = await query
+    .findNearest({
+      vectorField: args.vectorField,
+      queryVector,
+      limit,
+      distanceMeasure: DISTANCE_MEASURES[measure],
+      distanceResultField: DISTANCE_FIELD,
+      ...(args.distanceThreshold !== undefined && {
+        distanceThreshold: args.distanceThreshold,
+      }),
+    })
+    .get();
+
+  const mapped = snapshot.docs.map(doc => {
+    const { [DISTANCE_FIELD]: distance, ...data } = encodeValue(doc.data());
+    if (args.includeVector !== true) omitField(data, args.vectorField);
+    return { id: doc.id, distance, data };
+  });
+  const { docs, truncated } = shapeDocuments(mapped, args);
+
+  return {
+    collection: args.collection,
+    vectorField: args.vectorField,
+    distanceMeasure: measure,
+    ...(summary && { query: summary }),
+    count: docs.length,
+    documents: docs,
+    ...(truncated && { truncated }),
+  };
+}
@@ -0,0 +1,27 @@
+import { COLLECTION_PROPERTY } from "../helpers/schema.js";
+import { validateCollectionPath } from "../helpers/validate.js";
+
+export const definition = {
+  name: "watch_document",
+  description:
+    "Start a real-time listener (onSnapshot) on one document. Returns a watchId and the document's current data; each later create / update / delete is pushed as an MCP logging notification (logger 'firestore-watch'). Use list_watches to see recent changes and stop_watch to end it.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      collection: COLLECTION_PROPERTY,
+      docId: { type: "string", description: "Document ID" },
+    },
+    required: ["collection", "docId"],
+  },
+};
+
+export async function handler(args, db, target, { watches } = {}) {
+  if (!watches) throw new Error("Watches are not available in this context.");
+  validateCollectionPath(args.collection);
+  if (typeof args.docId !== "string" || args.docId.trim() === "") {
+    throw new Error("Invalid docId: expected a non-empty string.");
+  }
+
+  const ref = db.collection(args.collection).doc(args.docId);
+  return watches.start({ kind: "document", source: ref, target, path: ref.path });
+}
@@ -0,0 +1,55 @@
+import {
+  COLLECTION_PROPERTY,
+  FILTER_PROPERTY,
+  PAGINATION_PROPERTIES,
+  WHERE_CLAUSES_PROPERTY,
+} from "../helpers/schema.js";
+import { applyConditions } from "../helpers/filters.js";
+import { applyOrderBy } from "../helpers/query.js";
+import { validateCollectionPath } from "../helpers/validate.js";
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+export const definition = {
+  name: "watch_query",
+  description:
+    "Start a real-time listener (onSnapshot) on a collection or query, e.g. to see what a Cloud Function writes while testing against the emulator. Returns a watchId and the current result; each later added / modified / removed document is pushed as an MCP logging notification (logger 'firestore-watch'). Use list_watches to see recent changes and stop_watch to end it.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      collection: COLLECTION_PROPERTY,
+      where: WHERE_CLAUSES_PROPERTY,
+      filter: FILTER_PROPERTY,
+      orderBy: PAGINATION_PROPERTIES.orderBy,
+      orderDirection: PAGINATION_PROPERTIES.orderDirection,
+      limit: {
+        type: "number",
+        default: DEFAULT_LIMIT,
+        description: `Maximum documents in the watched result (max ${MAX_LIMIT})`,
+      },
+    },
+    required: ["collection"],
+  },
+};
+
+export async function handler(args, db, target, { watches } = {}) {
+  if (!watches) throw new Error("Watches are not available in this context.");
+  validateCollectionPath(args.collection);
+  const limit = args.limit ?? DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new Error(`Invalid limit: expected an integer from 1 to ${MAX_LIMIT}.`);
+  }
+
+  let { query, summary } = applyConditions(db.collection(args.collection), args, db);
+  if (args.orderBy) query = applyOrderBy(query, args);
+  query = query.limit(limit);
+
+  return watches.start({
+    kind: "query",
+    source: query,
+    target,
+    path: args.collection,
+    ...(summary && { query: summary }),
+  });
+}
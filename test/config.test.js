@@ -1,11 +1,15 @@
 import { test, beforeEach, afterEach } from "node:test";
 import assert from "node:assert/strict";
-import { detectProjectId } from "../src/config.js";
+import { mkdtemp, mkdir, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { detectProjectId, findIndexesFile } from "../src/config.js";
 
 const PROJECT_ENV_VARS = [
   "GOOGLE_CLOUD_PROJECT",
   "FIREBASE_PROJECT_ID",
   "GCLOUD_PROJECT",
+  "MCP_FIRESTORE_INDEXES_FILE",
 ];
 
 let saved;
@@ -40,3 +44,26 @@ test("detectProjectId: falls back to GCLOUD_PROJECT", () => {
   process.env.GCLOUD_PROJECT = "from-gcloud-env";
   assert.equal(detectProjectId(), "from-gcloud-env");
 });
+
+test("findIndexesFile: follows firestore.indexes in firebase.json", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "indexes-test-"));
+  await writeFile(
+    join(dir, "firebase.json"),
+    JSON.stringify({ firestore: { indexes: "config/indexes.json" } }),
+  );
+  const nested = join(dir, "functions", "src");
+  await mkdir(nested, { recursive: true });
+
+  assert.equal(findIndexesFile(nested), join(dir, "config/indexes.json"));
+});
+
+test("findIndexesFile: finds a firestore.indexes.json without firebase.json", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "indexes-test-"));
+  await writeFile(join(dir, "firestore.indexes.json"), "{}");
+  assert.equal(findIndexesFile(dir), join(dir, "firestore.indexes.json"));
+});
+
+test("findIndexesFile: MCP_FIRESTORE_INDEXES_FILE takes precedence", () => {
+  process.env.MCP_FIRESTORE_INDEXES_FILE = "/custom/indexes.json";
+  assert.equal(findIndexesFile(), "/custom/indexes.json");
+});
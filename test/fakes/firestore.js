@@ -2,33 +2,60 @@
  * Minimal in-memory fake of the Firestore `db` surface used by the tool
  * handlers and query helpers. Implements only the chainable API that the
  * source actually calls:
- *   db.collection(path) -> .where / .orderBy / .startAfter / .limit / .get
- *                          .count().get() / .doc(id) / .add(data) / .listCollections()
+ *   db.collection(path) -> .where / .orderBy / .startAt / .startAfter / .endAt / .endBefore
+ *                          .limit / .limitToLast / .select / .get
+ *                          .count().get() / .aggregate(spec).get() / .doc(id) / .add(data) / .listCollections()
+ *                          .listDocuments() / .path / .findNearest(options).get()
+ *                          .explain(options) (also on count())
  *   db.doc(path)        -> .get / .set / .update / .delete / .listCollections()
- *   db.getAll(...refs)  -> [snapshot, ...]
+ *   db.getAll(...refs, { fieldMask }?) -> [snapshot, ...]
+ *   db.batch()          -> .create / .set / .update / .delete / .commit()
+ *   db.runTransaction(fn) -> fn(tx) with tx.getAll + the batch write surface
+ *   db.bulkWriter()     -> .create / .set / .update / .delete (each a promise)
+ *                          .onWriteResult / .onWriteError / .close()
+ *   db.recursiveDelete(ref, bulkWriter?)
+ *   query.onSnapshot(next, error) / ref.onSnapshot(next, error) -> unsubscribe
+ *   db.collectionGroup(id) -> the query surface over every collection named `id`
  *   db.listCollections()
  *
  * Seed with a map of `{ "collection/path": [{ id, ...fields }, ...] }`.
  */
 
+import { DocumentReference as FirestoreDocumentReference } from "firebase-admin/firestore";
+
+/** Equality that also matches Timestamps and references by value. */
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (a == null || b == null || typeof a !== typeof b) return false;
+  return typeof a === "object" && compareValues(a, b) === 0;
+}
+
 function evalOperator(fieldValue, operator, value) {
+  const ordered = () =>
+    fieldValue !== undefined && fieldValue !== null
+      ? compareValues(fieldValue, value)
+      : NaN;
   switch (operator) {
     case "==":
-      return fieldValue === value;
+      return sameValue(fieldValue, value);
     case "!=":
-      return fieldValue !== value;
+      return !sameValue(fieldValue, value);
     case "<":
-      return fieldValue < value;
+      return ordered() < 0;
     case "<=":
-      return fieldValue <= value;
+      return ordered() <= 0;
     case ">":
-      return fieldValue > value;
+      return ordered() > 0;
     case ">=":
-      return fieldValue >= value;
+      return ordered() >= 0;
     case "array-contains":
       return Array.isArray(fieldValue) && fieldValue.includes(value);
     case "in":
       return Array.isArray(value) && value.includes(fieldValue);
+    case "not-in":
+      return (
+        Array.isArray(value) && fieldValue !== undefined && !value.includes(fieldValue)
+      );
     case "array-contains-any":
       return (
         Array.isArray(fieldValue) &&
@@ -40,28 +67,113 @@ function evalOperator(fieldValue, operator, value) {
   }
 }
 
+/** Compare document paths segment by segment, the way Firestore orders __name__. */
+function comparePaths(a, b) {
+  const as = a.split("/");
+  const bs = b.split("/");
+  for (let i = 0; i < Math.min(as.length, bs.length); i++) {
+    if (as[i] !== bs[i]) return as[i] < bs[i] ? -1 : 1;
+  }
+  return as.length - bs.length;
+}
+
+function evalDocumentId(path, operator, value) {
+  const cmp = comparePaths(path, typeof value === "string" ? value : value.path);
+  switch (operator) {
+    case "==":
+      return cmp === 0;
+    case "<":
+      return cmp < 0;
+    case "<=":
+      return cmp <= 0;
+    case ">":
+      return cmp > 0;
+    case ">=":
+      return cmp >= 0;
+    default:
+      throw new Error(`Unsupported documentId operator in fake: ${operator}`);
+  }
+}
+
+const isDocumentId = field => String(field) === "__name__";
+
+function evalField(row, field, operator, value) {
+  return isDocumentId(field)
+    ? evalDocumentId(row.path, operator, value)
+    : evalOperator(row.data[field], operator, value);
+}
+
+/** Evaluate a firebase-admin Filter (Filter.where / Filter.or / Filter.and). */
+function evalFilter(row, filter) {
+  if (typeof filter._getFilters === "function") {
+    const children = filter._getFilters();
+    return filter._getOperator() === "OR"
+      ? children.some(f => evalFilter(row, f))
+      : children.every(f => evalFilter(row, f));
+  }
+  return evalField(row, filter._getField(), filter._getOperator(), filter._getValue());
+}
+
+/** Distance between two vectors, as Firestore's vector search computes it. */
+function vectorDistance(measure, a, b) {
+  const dot = a.reduce((sum, x, i) => sum + x * b[i], 0);
+  if (measure === "DOT_PRODUCT") return dot;
+  if (measure === "EUCLIDEAN") return Math.hypot(...a.map((x, i) => x - b[i]));
+  return 1 - dot / (Math.hypot(...a) * Math.hypot(...b));
+}
+
+/** Keep only the given dot-separated field paths of `data` (select / fieldMask). */
+function project(data, paths) {
+  if (!data || !paths) return data;
+  const out = {};
+  for (const path of paths) {
+    const keys = path.split(".");
+    let src = data;
+    for (const key of keys) src = src?.[key];
+    if (src === undefined) continue;
+    let dst = out;
+    for (const key of keys.slice(0, -1)) dst = dst[key] ||= {};
+    dst[keys.at(-1)] = src;
+  }
+  return out;
+}
+
 class DocumentSnapshot {
-  constructor(id, data) {
+  constructor(id, data, ref) {
     this.id = id;
+    this.ref = ref;
     this._data = data;
     this.exists = data !== undefined && data !== null;
   }
   data() {
     return this._data;
   }
+  get(field) {
+    return this.exists ? getPath(this._data, field) : undefined;
+  }
 }
 
-class DocumentReference {
+/**
+ * Inherits from firebase-admin's DocumentReference so `instanceof` checks
+ * (e.g. encodeValue tagging references) treat fake refs like real ones.
+ */
+class DocumentReference extends FirestoreDocumentReference {
   constructor(db, collectionPath, id) {
-    this.db = db;
-    this.collectionPath = collectionPath;
-    this.id = id;
+    // Skip the real constructor; the fake keeps its own state.
+    const ref = Object.create(new.target.prototype);
+    ref.db = db;
+    ref.collectionPath = collectionPath;
+    Object.defineProperty(ref, "id", { value: id, enumerable: true });
+    return ref;
+  }
+  get path() {
+    return `${this.collectionPath}/${this.id}`;
   }
   _store() {
     return (this.db.data[this.collectionPath] ||= {});
   }
   async get() {
-    return new DocumentSnapshot(this.id, this._store()[this.id]);
+    return new DocumentSnapshot(this.id, this._store()[this.id], this);
   }
   async set(data, options = {}) {
     const store = this._store();
@@ -77,6 +189,18 @@ class DocumentReference {
       data,
       options,
     });
+    this.db._notifyListeners();
+    return this;
+  }
+  async create(data) {
+    const store = this._store();
+    if (store[this.id]) {
+      // gRPC ALREADY_EXISTS, as Firestore reports it
+      throw Object.assign(new Error(`Document already exists: ${this.id}`), { code: 6 });
+    }
+    store[this.id] = { ...data };
+    this.db.writes.push({ op: "create", path: this.collectionPath, id: this.id, data });
+    this.db._notifyListeners();
     return this;
   }
   async update(data) {
@@ -84,97 +208,462 @@ class DocumentReference {
     if (!store[this.id]) throw new Error(`No document to update: ${this.id}`);
     store[this.id] = { ...store[this.id], ...data };
     this.db.writes.push({ op: "update", path: this.collectionPath, id: this.id, data });
+    this.db._notifyListeners();
     return this;
   }
   async delete() {
     delete this._store()[this.id];
     this.db.writes.push({ op: "delete", path: this.collectionPath, id: this.id });
+    this.db._notifyListeners();
     return this;
   }
   async listCollections() {
     return this.db._subcollectionsOf(`${this.collectionPath}/${this.id}`);
   }
+  /** Emits the current snapshot, then again whenever the stored data changes. */
+  onSnapshot(onNext, onError) {
+    let previous;
+    return this.db._listen(() => {
+      const data = this._store()[this.id];
+      if (previous !== undefined && data === previous.data) return;
+      previous = { data };
+      onNext(new DocumentSnapshot(this.id, data, this));
+    }, onError);
+  }
+}
+
+class WriteBatch {
+  constructor(db) {
+    this.db = db;
+    this._ops = [];
+  }
+  create(ref, data) {
+    this._ops.push(() => ref.create(data));
+    return this;
+  }
+  set(ref, data, options) {
+    this._ops.push(() => ref.set(data, options));
+    return this;
+  }
+  update(ref, data) {
+    this._ops.push(() => ref.update(data));
+    return this;
+  }
+  delete(ref) {
+    this._ops.push(() => ref.delete());
+    return this;
+  }
+  /** Applies ops in order; `db.failCommitAt` makes the Nth commit (0-based) throw. */
+  async commit() {
+    const index = this.db.commits++;
+    if (this.db.failCommitAt === index) throw new Error("commit failed");
+    for (const op of this._ops) await op();
+    return [];
+  }
+}
+
+/** Applies each write immediately; the returned promises settle per write. */
+class BulkWriter {
+  constructor(db) {
+    this.db = db;
+    this._pending = [];
+  }
+  _queue(ref, write) {
+    const result = write().then(
+      value => {
+        this._onResult?.(ref, value);
+        return value;
+      },
+      error => {
+        // Never retried: the callback's answer is ignored.
+        this._onError?.(Object.assign(error, { documentRef: ref, failedAttempts: 1 }));
+        throw error;
+      },
+    );
+    this._pending.push(result.catch(() => {}));
+    return result;
+  }
+  create(ref, data) {
+    return this._queue(ref, () => ref.create(data));
+  }
+  set(ref, data, options) {
+    return this._queue(ref, () => ref.set(data, options));
+  }
+  update(ref, data) {
+    return this._queue(ref, () => ref.update(data));
+  }
+  delete(ref) {
+    return this._queue(ref, () =>
+      this.db.failDeletes.includes(ref.path)
+        ? Promise.reject(new Error(`delete failed: ${ref.path}`))
+        : ref.delete(),
+    );
+  }
+  onWriteResult(callback) {
+    this._onResult = callback;
+  }
+  onWriteError(callback) {
+    this._onError = callback;
+  }
+  async close() {
+    this.closed = true;
+    await Promise.all(this._pending);
+  }
+}
+
+class Transaction extends WriteBatch {
+  async get(ref) {
+    return ref.get();
+  }
+  async getAll(...refs) {
+    return this.db.getAll(...refs);
+  }
+}
+
+/** Read a dot-separated field path from document data. */
+function getPath(data, field) {
+  return String(field)
+    .split(".")
+    .reduce((v, key) => (v == null ? undefined : v[key]), data);
+}
+
+/** Order two field values: typed values by their natural key, the rest with < / >. */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  if (typeof a.toMillis === "function" && typeof b.toMillis === "function") {
+    return a.seconds - b.seconds || a.nanoseconds - b.nanoseconds;
+  }
+  if (typeof a.path === "string" && typeof b.path === "string") {
+    return comparePaths(a.path, b.path);
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
 }
 
 class Query {
   constructor(db, collectionPath, state = {}) {
     this.db = db;
     this.collectionPath = collectionPath;
+    this._group = state._group || false;
     this._filters = state._filters || [];
-    this._orderBy = state._orderBy || null;
-    this._startAfter = state._startAfter || null;
-    this._limit = state._limit || null;
+    this._orderBys = state._orderBys || [];
+    this._start = state._start || null;
+    this._end = state._end || null;
+    this._limit = state._limit ?? null;
+    this._limitToLast = state._limitToLast || false;
+    this._select = state._select || null;
   }
   _clone(patch) {
     return new Query(this.db, this.collectionPath, {
+      _group: this._group,
       _filters: this._filters,
-      _orderBy: this._orderBy,
-      _startAfter: this._startAfter,
+      _orderBys: this._orderBys,
+      _start: this._start,
+      _end: this._end,
       _limit: this._limit,
+      _limitToLast: this._limitToLast,
+      _select: this._select,
       ...patch,
     });
   }
   where(field, operator, value) {
-    return this._clone({ _filters: [...this._filters, { field, operator, value }] });
+    // where(Filter) form: store the Filter itself
+    const entry = operator === undefined ? { filter: field } : { field, operator, value };
+    return this._clone({ _filters: [...this._filters, entry] });
   }
   orderBy(field, direction = "asc") {
-    return this._clone({ _orderBy: { field, direction } });
+    return this._clone({ _orderBys: [...this._orderBys, { field, direction }] });
   }
-  startAfter(doc) {
-    return this._clone({ _startAfter: doc.id });
+  startAt(...values) {
+    return this._clone({ _start: { values, inclusive: true } });
+  }
+  startAfter(...values) {
+    return this._clone({ _start: { values, inclusive: false } });
+  }
+  endAt(...values) {
+    return this._clone({ _end: { values, inclusive: true } });
+  }
+  endBefore(...values) {
+    return this._clone({ _end: { values, inclusive: false } });
   }
   limit(n) {
-    return this._clone({ _limit: n });
+    return this._clone({ _limit: n, _limitToLast: false });
+  }
+  limitToLast(n) {
+    return this._clone({ _limit: n, _limitToLast: true });
+  }
+  select(...fields) {
+    return this._clone({ _select: fields });
   }
-  doc(id) {
+  doc(id = `auto-${this.db._nextId++}`) {
     return new DocumentReference(this.db, this.collectionPath, id);
   }
   async add(data) {
-    const id = `auto-${this.db._nextId++}`;
-    await this.doc(id).set(data);
-    return this.doc(id);
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+  /** Collection paths this query reads: one, or every match for a group query. */
+  _paths() {
+    if (!this._group) return [this.collectionPath];
+    return Object.keys(this.db.data).filter(
+      path => path.split("/").at(-1) === this.collectionPath,
+    );
+  }
+  /** Explicit orderBys plus Firestore's implicit trailing __name__ ordering. */
+  _orderings() {
+    const explicit = this._orderBys;
+    if (explicit.some(o => isDocumentId(o.field))) return explicit;
+    const direction = explicit.at(-1)?.direction || "asc";
+    return [...explicit, { field: "__name__", direction }];
+  }
+  _valueOf(row, field) {
+    return isDocumentId(field) ? { path: row.path } : getPath(row.data, field);
+  }
+  /** Cursor values; a DocumentSnapshot cursor expands to its ordering values. */
+  _cursorValues(cursor) {
+    const [first] = cursor.values;
+    if (first instanceof DocumentSnapshot) {
+      const row = { data: first.data(), path: first.ref.path };
+      return this._orderings().map(o => this._valueOf(row, o.field));
+    }
+    return cursor.values.map((v, i) => {
+      if (!isDocumentId(this._orderings()[i]?.field)) return v;
+      if (typeof v !== "string") return v;
+      return { path: v.includes("/") ? v : `${this.collectionPath}/${v}` };
+    });
+  }
+  _compareToCursor(row, values) {
+    const orderings = this._orderings();
+    for (let i = 0; i < values.length; i++) {
+      const { field, direction } = orderings[i];
+      const cmp = compareValues(this._valueOf(row, field), values[i]);
+      if (cmp !== 0) return direction === "desc" ? -cmp : cmp;
+    }
+    return 0;
   }
   _rows() {
-    const store = this.db.data[this.collectionPath] || {};
-    let rows = Object.entries(store).map(([id, data]) => ({ id, data }));
+    let rows = this._paths().flatMap(path =>
+      Object.entries(this.db.data[path] || {}).map(([id, data]) => ({
+        id,
+        data,
+        path: `${path}/${id}`,
+      })),
+    );
 
-    for (const { field, operator, value } of this._filters) {
-      rows = rows.filter(r => evalOperator(r.data[field], operator, value));
+    for (const { filter, field, operator, value } of this._filters) {
+      rows = rows.filter(r =>
+        filter ? evalFilter(r, filter) : evalField(r, field, operator, value),
+      );
     }
 
-    if (this._orderBy) {
-      const { field, direction } = this._orderBy;
-      rows = [...rows].sort((a, b) => {
-        const av = a.data[field];
-        const bv = b.data[field];
-        if (av === bv) return 0;
-        const cmp = av < bv ? -1 : 1;
-        return direction === "desc" ? -cmp : cmp;
-      });
+    // Documents missing an orderBy field are excluded, as in Firestore.
+    for (const { field } of this._orderBys) {
+      if (!isDocumentId(field))
+        rows = rows.filter(r => getPath(r.data, field) !== undefined);
     }
 
-    if (this._startAfter) {
-      const idx = rows.findIndex(r => r.id === this._startAfter);
-      if (idx >= 0) rows = rows.slice(idx + 1);
+    const orderings = this._orderings();
+    rows = [...rows].sort((a, b) => {
+      for (const { field, direction } of orderings) {
+        const cmp = compareValues(this._valueOf(a, field), this._valueOf(b, field));
+        if (cmp !== 0) return direction === "desc" ? -cmp : cmp;
+      }
+      return 0;
+    });
+
+    if (this._start) {
+      const values = this._cursorValues(this._start);
+      const { inclusive } = this._start;
+      rows = rows.filter(r => {
+        const cmp = this._compareToCursor(r, values);
+        return inclusive ? cmp >= 0 : cmp > 0;
+      });
+    }
+    if (this._end) {
+      const values = this._cursorValues(this._end);
+      const { inclusive } = this._end;
+      rows = rows.filter(r => {
+        const cmp = this._compareToCursor(r, values);
+        return inclusive ? cmp <= 0 : cmp < 0;
+      });
     }
 
-    if (this._limit != null) rows = rows.slice(0, this._limit);
+    if (this._limit != null) {
+      rows = this._limitToLast ? rows.slice(-this._limit) : rows.slice(0, this._limit);
+    }
 
     return rows;
   }
   async get() {
     const rows = this._rows();
-    const docs = rows.map(r => new DocumentSnapshot(r.id, r.data));
+    const docs = rows.map(
+      r => new DocumentSnapshot(r.id, project(r.data, this._select), this.db.doc(r.path)),
+    );
     return { docs, size: docs.length, empty: docs.length === 0 };
   }
+  aggregate(spec) {
+    const self = this;
+    return {
+      async get() {
+        const rows = self._rows();
+        const result = {};
+        for (const [alias, { aggregateType, _field }] of Object.entries(spec)) {
+          const values = rows.map(r => r.data[_field]).filter(v => typeof v === "number");
+          const sum = values.reduce((a, b) => a + b, 0);
+          if (aggregateType === "count") result[alias] = rows.length;
+          else if (aggregateType === "sum") result[alias] = sum;
+          else result[alias] = values.length ? sum / values.length : null;
+        }
+        return { data: () => result };
+      },
+    };
+  }
   count() {
     const self = this;
     return {
       async get() {
         return { data: () => ({ count: self._rows().length }) };
       },
+      explain(options) {
+        return self._explain(options, () => this.get());
+      },
+    };
+  }
+  explain(options) {
+    return this._explain(options, () => this.get());
+  }
+  /**
+   * ExplainResults-like value: the plan names one index over the filtered and
+   * ordered fields; analyze runs the query and reports every stored document
+   * of its collections as scanned.
+   */
+  async _explain({ analyze = false } = {}, run) {
+    const fields = [
+      ...this._filters.flatMap(f => (f.field ? [f.field] : [])),
+      ...this._orderBys.map(o => o.field),
+      "__name__",
+    ];
+    const names = fields.map(f => (isDocumentId(f) ? "__name__" : f));
+    const properties = [...new Set(names)].map(f => `${f} ASC`).join(", ");
+    const planSummary = {
+      indexesUsed: [{ query_scope: "Collection", properties: `(${properties})` }],
+    };
+    if (!analyze)
+      return { metrics: { planSummary, executionStats: null }, snapshot: null };
+    const snapshot = await run();
+    const scanned = this._paths().reduce(
+      (n, path) => n + Object.keys(this.db.data[path] || {}).length,
+      0,
+    );
+    return {
+      metrics: {
+        planSummary,
+        executionStats: {
+          resultsReturned: snapshot.size ?? 1,
+          executionDuration: { seconds: 0, nanoseconds: 1_500_000 },
+          readOperations: scanned,
+          debugStats: {
+            documents_scanned: String(scanned),
+            index_entries_scanned: String(scanned),
+          },
+        },
+      },
+      snapshot,
     };
   }
+  /**
+   * Brute-force vector search over the query's documents whose `vectorField`
+   * is a vector of the query's dimension. `db.vectorQueries` records options.
+   */
+  findNearest(options) {
+    const self = this;
+    const { vectorField, limit, distanceMeasure, distanceThreshold } = options;
+    const target = options.queryVector.toArray?.() ?? options.queryVector;
+    const nearestFirst = (a, b) =>
+      distanceMeasure === "DOT_PRODUCT"
+        ? b.distance - a.distance
+        : a.distance - b.distance;
+    const withinThreshold = ({ distance }) =>
+      distanceThreshold === undefined ||
+      (distanceMeasure === "DOT_PRODUCT"
+        ? distance >= distanceThreshold
+        : distance <= distanceThreshold);
+    return {
+      async get() {
+        self.db.vectorQueries.push(options);
+        const rows = self
+          ._rows()
+          .flatMap(r => {
+            const vector = getPath(r.data, vectorField)?.toArray?.();
+            if (!vector || vector.length !== target.length) return [];
+            return [{ ...r, distance: vectorDistance(distanceMeasure, vector, target) }];
+          })
+          .filter(withinThreshold)
+          .sort(nearestFirst)
+          .slice(0, limit);
+        const docs = rows.map(
+          r =>
+            new DocumentSnapshot(
+              r.id,
+              {
+                ...project(r.data, self._select),
+                ...(options.distanceResultField && {
+                  [options.distanceResultField]: r.distance,
+                }),
+              },
+              self.db.doc(r.path),
+            ),
+        );
+        return { docs, size: docs.length, empty: docs.length === 0 };
+      },
+    };
+  }
+  get path() {
+    return this.collectionPath;
+  }
+  /**
+   * Emits a snapshot with docChanges() at once, then whenever the result
+   * changes. A document counts as modified when its stored data was replaced.
+   */
+  onSnapshot(onNext, onError) {
+    let previous = null;
+    return this.db._listen(() => {
+      const rows = new Map(this._rows().map(r => [r.path, r]));
+      const snap = r => new DocumentSnapshot(r.id, r.data, this.db.doc(r.path));
+      const changes = [];
+      for (const [path, row] of rows) {
+        const before = previous?.get(path);
+        if (!before) changes.push({ type: "added", doc: snap(row) });
+        else if (before.data !== row.data)
+          changes.push({ type: "modified", doc: snap(row) });
+      }
+      for (const [path, row] of previous ?? []) {
+        if (!rows.has(path)) changes.push({ type: "removed", doc: snap(row) });
+      }
+      if (previous && changes.length === 0) return;
+      previous = rows;
+      const docs = [...rows.values()].map(snap);
+      onNext({
+        docs,
+        size: docs.length,
+        empty: docs.length === 0,
+        docChanges: () => changes,
+      });
+    }, onError);
+  }
+  /** Stored documents plus "missing" parents that only hold subcollections. */
+  async listDocuments() {
+    const ids = new Set(Object.keys(this.db.data[this.collectionPath] || {}));
+    const prefix = `${this.collectionPath}/`;
+    for (const path of Object.keys(this.db.data)) {
+      if (path.startsWith(prefix) && Object.keys(this.db.data[path]).length > 0) {
+        ids.add(path.slice(prefix.length).split("/")[0]);
+      }
+    }
+    return [...ids].map(id => new DocumentReference(this.db, this.collectionPath, id));
+  }
   async listCollections() {
     return this.db._subcollectionsOf(this.collectionPath);
   }
@@ -185,6 +674,12 @@ export class FakeFirestore {
     // data: { "collection/path": { docId: { ...fields } } }
     this.data = {};
     this.writes = [];
+    this.commits = 0;
+    this.failCommitAt = null;
+    this.failDeletes = [];
+    this.failListen = null;
+    this.vectorQueries = [];
+    this._listeners = new Set();
     this._nextId = 1;
     for (const [path, docs] of Object.entries(seed)) {
       this.data[path] = {};
@@ -196,17 +691,78 @@ export class FakeFirestore {
   collection(path) {
     return new Query(this, path);
   }
+  collectionGroup(id) {
+    return new Query(this, id, { _group: true });
+  }
   doc(path) {
     const parts = path.split("/");
     const id = parts.pop();
     return new DocumentReference(this, parts.join("/"), id);
   }
+  batch() {
+    return new WriteBatch(this);
+  }
+  bulkWriter() {
+    return new BulkWriter(this);
+  }
+  async runTransaction(fn) {
+    const tx = new Transaction(this);
+    const result = await fn(tx);
+    await tx.commit();
+    return result;
+  }
+  /**
+   * Delete every stored document at or under `ref` (a document or collection)
+   * through `writer`, rejecting when any delete failed, as Firestore does.
+   * Paths listed in `db.failDeletes` fail to delete.
+   */
+  async recursiveDelete(ref, writer = this.bulkWriter()) {
+    const root = ref.path;
+    const refs = [];
+    for (const [path, docs] of Object.entries(this.data)) {
+      for (const id of Object.keys(docs)) {
+        const docPath = `${path}/${id}`;
+        if (docPath === root || docPath.startsWith(`${root}/`))
+          refs.push(this.doc(docPath));
+      }
+    }
+    const results = await Promise.allSettled(refs.map(r => writer.delete(r)));
+    const failed = results.filter(r => r.status === "rejected").length;
+    if (failed > 0) throw new Error(`${failed} deletes failed.`);
+  }
   async getAll(...refs) {
-    return Promise.all(refs.map(ref => ref.get()));
+    const fieldMask =
+      refs.at(-1) instanceof DocumentReference ? null : refs.pop().fieldMask;
+    const snaps = await Promise.all(refs.map(ref => ref.get()));
+    return snaps.map(
+      s => new DocumentSnapshot(s.id, project(s.data(), fieldMask), s.ref),
+    );
   }
   async listCollections() {
     return this._subcollectionsOf("");
   }
+  /**
+   * Register a snapshot listener: `emit` runs on the next tick and after every
+   * write. `db.failListen` makes new listeners fail with that error instead.
+   */
+  _listen(emit, onError) {
+    const listener = { emit };
+    const failure = this.failListen;
+    Promise.resolve().then(() => {
+      if (!this._listeners.has(listener)) return;
+      if (failure) {
+        this._listeners.delete(listener);
+        onError?.(failure);
+      } else {
+        emit();
+      }
+    });
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+  _notifyListeners() {
+    for (const listener of this._listeners) listener.emit();
+  }
   /** Top-level (or nested) collection ids living directly under `parentPath`. */
   _subcollectionsOf(parentPath) {
     const prefix = parentPath ? `${parentPath}/` : "";
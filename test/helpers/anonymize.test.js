@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { anonymize, validateRules } from "../../src/helpers/anonymize.js";
+
+const options = { collectionId: "users", salt: "s1" };
+
+test("anonymize: hashes, fakes and drops fields without touching the input", () => {
+  const data = { email: "ada@corp.io", name: "Ada", ssn: "123", plan: "pro" };
+  const rules = validateRules([
+    { field: "email", action: "hash" },
+    { field: "name", action: "fake" },
+    { field: "ssn", action: "drop" },
+  ]);
+  const { data: out, applied } = anonymize(data, rules, options);
+
+  assert.match(out.email, /^[0-9a-f]{16}@example\.com$/);
+  assert.match(out.name, /^[A-Z][a-z]+ [A-Z][a-z]+$/);
+  assert.equal("ssn" in out, false);
+  assert.equal(out.plan, "pro");
+  assert.deepEqual(applied, [1, 1, 1]);
+  assert.equal(data.email, "ada@corp.io", "the input is left untouched");
+});
+
+test("anonymize: the same value and salt always give the same output", () => {
+  const rules = [{ field: "email", action: "fake", as: "email" }];
+  const a = anonymize({ email: "ada@corp.io" }, rules, options).data.email;
+  const b = anonymize({ email: "ada@corp.io" }, rules, options).data.email;
+  const other = anonymize({ email: "ada@corp.io" }, rules, { ...options, salt: "s2" });
+  assert.equal(a, b);
+  assert.match(a, /^user-[0-9a-f]{10}@example\.com$/);
+  assert.notEqual(other.data.email, a);
+});
+
+test("anonymize: follows nested maps and array elements", () => {
+  const data = {
+    profile: { phone: "+44 20 1234" },
+    contacts: [{ email: "a@x.io" }, { email: "b@x.io" }, { note: "none" }],
+    tags: ["vip", "beta"],
+  };
+  const rules = [
+    { field: "profile.phone", action: "fake", as: "phone" },
+    { field: "contacts[].email", action: "hash" },
+    { field: "tags[]", action: "drop" },
+    { field: "missing.field", action: "drop" },
+  ];
+  const { data: out, applied } = anonymize(data, rules, options);
+
+  assert.match(out.profile.phone, /^\+1555\d{7}$/);
+  assert.notEqual(out.contacts[0].email, "a@x.io");
+  assert.deepEqual(out.contacts[2], { note: "none" });
+  assert.deepEqual(out.tags, []);
+  assert.deepEqual(applied, [1, 2, 2, 0]);
+});
+
+test("anonymize: rules scoped to a collection apply only there", () => {
+  const rules = [{ field: "name", action: "drop", collection: "users" }];
+  assert.deepEqual(anonymize({ name: "x" }, rules, options).data, {});
+  assert.deepEqual(
+    anonymize({ name: "x" }, rules, { ...options, collectionId: "teams" }).data,
+    { name: "x" },
+  );
+});
+
+test("validateRules: rejects malformed rules", () => {
+  assert.deepEqual(validateRules(undefined), []);
+  assert.throws(() => validateRules({}), /expected an array/);
+  assert.throws(
+    () => validateRules([{ field: "", action: "hash" }]),
+    /anonymize\[0\]\.field/,
+  );
+  assert.throws(
+    () => validateRules([{ field: "a", action: "shuffle" }]),
+    /anonymize\[0\]\.action/,
+  );
+  assert.throws(
+    () => validateRules([{ field: "a", action: "fake", as: "ssn" }]),
+    /anonymize\[0\]\.as/,
+  );
+});
@@ -1,6 +1,12 @@
 import { test } from "node:test";
 import assert from "node:assert/strict";
-import { coerceValue } from "../../src/helpers/coerce-value.js";
+import { Timestamp, GeoPoint } from "firebase-admin/firestore";
+import {
+  coerceCsvCell,
+  coerceValue,
+  resolveWhereValue,
+} from "../../src/helpers/coerce-value.js";
+import { makeDb } from "../fakes/firestore.js";
 
 test("coerceValue: non-strings pass through unchanged", () => {
   assert.equal(coerceValue(42), 42);
@@ -47,3 +53,76 @@ test("coerceValue: plain strings are returned as-is", () => {
   assert.equal(coerceValue("hello"), "hello");
   assert.equal(coerceValue(""), "");
 });
+
+test("resolveWhereValue: bare strings keep the coerceValue heuristic", () => {
+  assert.equal(resolveWhereValue("123"), 123);
+  assert.equal(resolveWhereValue("true"), true);
+  assert.equal(resolveWhereValue("abc"), "abc");
+});
+
+test("resolveWhereValue: explicit primitive types are not guessed", () => {
+  assert.equal(resolveWhereValue({ type: "string", value: "02134" }), "02134");
+  assert.equal(resolveWhereValue({ type: "string", value: "true" }), "true");
+  assert.equal(resolveWhereValue({ type: "number", value: "42" }), 42);
+  assert.equal(resolveWhereValue({ type: "number", value: 1.5 }), 1.5);
+  assert.equal(resolveWhereValue({ type: "boolean", value: "false" }), false);
+  assert.equal(resolveWhereValue({ type: "null" }), null);
+});
+
+test("resolveWhereValue: builds Timestamps, references and GeoPoints", () => {
+  const db = makeDb({});
+  const ts = resolveWhereValue(
+    { type: "timestamp", value: "2024-01-01T00:00:00.5Z" },
+    db,
+  );
+  assert.ok(ts instanceof Timestamp);
+  assert.equal(ts.seconds, 1704067200);
+  assert.equal(ts.nanoseconds, 500000000);
+
+  const ref = resolveWhereValue({ type: "reference", value: "users/a" }, db);
+  assert.equal(ref.path, "users/a");
+
+  const geo = resolveWhereValue({ type: "geopoint", value: { lat: 1, lng: 2 } }, db);
+  assert.ok(geo instanceof GeoPoint);
+  assert.equal(geo.latitude, 1);
+});
+
+test("resolveWhereValue: array items may be typed or taken as given", () => {
+  assert.deepEqual(
+    resolveWhereValue({ type: "array", value: [{ type: "string", value: "1" }, 2, "3"] }),
+    ["1", 2, "3"],
+  );
+});
+
+test("resolveWhereValue: rejects unknown types and values that do not fit", () => {
+  assert.throws(
+    () => resolveWhereValue({ type: "date", value: "x" }),
+    /Unknown where value type "date": expected one of string, number/,
+  );
+  assert.throws(
+    () => resolveWhereValue({ type: "number", value: "abc" }),
+    /Invalid number where value "abc": expected a number/,
+  );
+  assert.throws(
+    () => resolveWhereValue({ type: "timestamp", value: "yesterday" }),
+    /Invalid timestamp value/,
+  );
+  assert.throws(
+    () => resolveWhereValue({ type: "array", value: "x" }),
+    /expected an array/,
+  );
+});
+
+test("resolveWhereValue: maps with other keys are not treated as typed", () => {
+  const map = { type: "home", city: "Oslo" };
+  assert.equal(resolveWhereValue(map), map);
+});
+
+test("coerceCsvCell: JSON strings and exponent numbers on top of coerceValue", () => {
+  assert.equal(coerceCsvCell('"02134"'), "02134");
+  assert.equal(coerceCsvCell('""'), "");
+  assert.equal(coerceCsvCell('"unterminated'), '"unterminated');
+  assert.equal(coerceCsvCell("1e-7"), 1e-7);
+  assert.equal(coerceCsvCell("02134"), 2134);
+  assert.equal(coerceCsvCell("plain"), "plain");
+});
@@ -0,0 +1,130 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Timestamp } from "firebase-admin/firestore";
+import {
+  applyCursor,
+  cursorShape,
+  decodeCursor,
+  encodeCursor,
+} from "../../src/helpers/cursor.js";
+import { applyOrderBy } from "../../src/helpers/query.js";
+import { makeDb } from "../fakes/firestore.js";
+
+const orderBy = [{ field: "at", direction: "asc" }];
+const shape = cursorShape({ collection: "events", orderBy });
+
+function seedDb() {
+  return makeDb({
+    events: [
+      { id: "a", at: new Timestamp(1, 0) },
+      { id: "b", at: new Timestamp(2, 0) },
+      { id: "c", at: new Timestamp(2, 0) },
+      { id: "d", at: new Timestamp(3, 0) },
+    ],
+  });
+}
+
+async function snapshotOf(db, id) {
+  return db.doc(`events/${id}`).get();
+}
+
+test("encodeCursor/decodeCursor: round-trips typed values and the document path", async () => {
+  const db = seedDb();
+  const token = encodeCursor(shape, await snapshotOf(db, "b"), orderBy, "startAfter");
+  const payload = decodeCursor(token, shape);
+  assert.equal(payload.m, "startAfter");
+  assert.equal(payload.path, "events/b");
+  assert.deepEqual(payload.values, [
+    { __type: "timestamp", value: "1970-01-01T00:00:02.000000000Z" },
+  ]);
+});
+
+test("decodeCursor: rejects garbage and tokens from a different query shape", async () => {
+  const db = seedDb();
+  assert.throws(() => decodeCursor("not-a-token", shape), /Invalid cursor/);
+
+  const token = encodeCursor(shape, await snapshotOf(db, "b"), orderBy, "startAfter");
+  const other = cursorShape({
+    collection: "events",
+    orderBy: [{ field: "at", direction: "desc" }],
+  });
+  assert.throws(
+    () => decodeCursor(token, other),
+    /Cursor does not match this query: it was issued for collection "events", orderBy at asc, but this query has collection "events", orderBy at desc/,
+  );
+});
+
+test("applyCursor: startAfter breaks ties on equal values by document id", async () => {
+  const db = seedDb();
+  const token = encodeCursor(shape, await snapshotOf(db, "b"), orderBy, "startAfter");
+  const base = applyOrderBy(db.collection("events"), { orderBy: "at" });
+  const { query, limitToLast } = applyCursor(base, db, { cursor: token }, orderBy, shape);
+
+  assert.equal(limitToLast, false);
+  const snap = await query.get();
+  assert.deepEqual(
+    snap.docs.map(d => d.id),
+    ["c", "d"],
+  );
+});
+
+test("applyCursor: keeps working after the cursor document is deleted", async () => {
+  const db = seedDb();
+  const token = encodeCursor(shape, await snapshotOf(db, "b"), orderBy, "startAfter");
+  delete db.data.events.b;
+
+  const base = applyOrderBy(db.collection("events"), { orderBy: "at" });
+  const { query } = applyCursor(base, db, { cursor: token }, orderBy, shape);
+  const snap = await query.get();
+  assert.deepEqual(
+    snap.docs.map(d => d.id),
+    ["c", "d"],
+  );
+});
+
+test("applyCursor: endBefore pages backwards with limitToLast", async () => {
+  const db = seedDb();
+  const token = encodeCursor(shape, await snapshotOf(db, "d"), orderBy, "endBefore");
+  const base = applyOrderBy(db.collection("events"), { orderBy: "at" });
+  const { query, limitToLast } = applyCursor(base, db, { cursor: token }, orderBy, shape);
+
+  assert.equal(limitToLast, true);
+  const snap = await query.limitToLast(2).get();
+  assert.deepEqual(
+    snap.docs.map(d => d.id),
+    ["b", "c"],
+  );
+});
+
+test("applyCursor: cursorMode overrides the token's mode", async () => {
+  const db = seedDb();
+  const token = encodeCursor(shape, await snapshotOf(db, "b"), orderBy, "startAfter");
+  const base = applyOrderBy(db.collection("events"), { orderBy: "at" });
+  const { query } = applyCursor(
+    base,
+    db,
+    { cursor: token, cursorMode: "startAt" },
+    orderBy,
+    shape,
+  );
+  const snap = await query.get();
+  assert.deepEqual(
+    snap.docs.map(d => d.id),
+    ["b", "c", "d"],
+  );
+});
+
+test("applyCursor: validates cursorMode and legacy startAfter conflicts", async () => {
+  const db = seedDb();
+  const token = encodeCursor(shape, await snapshotOf(db, "b"), orderBy, "startAfter");
+  const base = db.collection("events");
+  assert.throws(
+    () =>
+      applyCursor(base, db, { cursor: token, cursorMode: "sideways" }, orderBy, shape),
+    /Invalid cursorMode/,
+  );
+  assert.throws(
+    () => applyCursor(base, db, { cursor: token, startAfter: "a" }, orderBy, shape),
+    /either 'cursor' or the legacy 'startAfter'/,
+  );
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffFields, sameEncoded } from "../../src/helpers/diff.js";
+
+test("sameEncoded: compares encoded values deeply", () => {
+  assert.equal(sameEncoded({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }), true);
+  assert.equal(sameEncoded({ a: 1 }, { a: 1, b: undefined }), false);
+  assert.equal(sameEncoded([1, 2], { 0: 1, 1: 2 }), false);
+  assert.equal(sameEncoded(null, {}), false);
+});
+
+test("diffFields: reports added, removed and replaced fields by dotted path", () => {
+  const before = { name: "Ada", age: 36, address: { city: "London", zip: "N1" } };
+  const after = { name: "Ada", address: { city: "Paris", zip: "N1" }, plan: "pro" };
+
+  assert.deepEqual(diffFields(before, after), [
+    { op: "replace", field: "address.city", from: "London", to: "Paris" },
+    { op: "remove", field: "age", from: 36 },
+    { op: "add", field: "plan", to: "pro" },
+  ]);
+});
+
+test("diffFields: replaces arrays and typed values as a whole", () => {
+  const at = value => ({ __type: "timestamp", value });
+  const changes = diffFields(
+    {
+      tags: ["a", "b"],
+      at: at("2024-01-01T00:00:00Z"),
+      same: at("2024-01-01T00:00:00Z"),
+    },
+    { tags: ["a"], at: at("2024-02-01T00:00:00Z"), same: at("2024-01-01T00:00:00Z") },
+  );
+  assert.deepEqual(
+    changes.map(c => [c.op, c.field]),
+    [
+      ["replace", "at"],
+      ["replace", "tags"],
+    ],
+  );
+  assert.deepEqual(changes[1].to, ["a"]);
+});
+
+test("diffFields: a map replaced by another type is one replace", () => {
+  assert.deepEqual(diffFields({ a: { b: 1 } }, { a: 1 }), [
+    { op: "replace", field: "a", from: { b: 1 }, to: 1 },
+  ]);
+});
+
+test("diffFields: leaves out ignored fields and everything beneath them", () => {
+  const changes = diffFields(
+    { updatedAt: 1, meta: { rev: 1, owner: "a" } },
+    { updatedAt: 2, meta: { rev: 2, owner: "b" } },
+    { ignore: ["updatedAt", "meta.rev"] },
+  );
+  assert.deepEqual(changes, [{ op: "replace", field: "meta.owner", from: "a", to: "b" }]);
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getWithExplain, summarizeExplain } from "../../src/helpers/explain.js";
+import { makeDb } from "../fakes/firestore.js";
+
+const INDEX = { query_scope: "Collection", properties: "(status ASC, __name__ ASC)" };
+
+test("summarizeExplain: reduces analyzed metrics to counters", () => {
+  const summary = summarizeExplain({
+    planSummary: { indexesUsed: [INDEX] },
+    executionStats: {
+      resultsReturned: 2,
+      executionDuration: { seconds: 1, nanoseconds: 250_000_000 },
+      readOperations: 3,
+      debugStats: {
+        documents_scanned: "2",
+        index_entries_scanned: "40",
+        billing_details: { small_ops: "0" },
+      },
+    },
+  });
+
+  assert.deepEqual(summary, {
+    indexesUsed: [INDEX],
+    resultsReturned: 2,
+    documentsScanned: 2,
+    indexEntriesScanned: 40,
+    readOperations: 3,
+    executionTimeMs: 1250,
+  });
+});
+
+test("summarizeExplain: a plan without execution only lists indexes", () => {
+  assert.deepEqual(
+    summarizeExplain({ planSummary: { indexesUsed: [] }, executionStats: null }),
+    { indexesUsed: [] },
+  );
+});
+
+test("getWithExplain: returns the snapshot, with explain only when asked", async () => {
+  const db = makeDb({ users: [{ id: "a", age: 3 }] });
+  const query = db.collection("users");
+
+  const plain = await getWithExplain(query);
+  assert.equal(plain.snapshot.size, 1);
+  assert.equal(plain.explain, undefined);
+
+  const explained = await getWithExplain(query, true);
+  assert.equal(explained.snapshot.size, 1);
+  assert.equal(explained.explain.resultsReturned, 1);
+});
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { csvCell, csvValue, flattenRecord } from "../../src/helpers/export.js";
+
+test("flattenRecord: flattens nested maps and keeps arrays and typed values whole", () => {
+  const ts = { __type: "timestamp", value: "1970-01-01T00:00:00.000000000Z" };
+  assert.deepEqual(
+    flattenRecord({ a: { b: { c: 1 } }, list: [1, { x: 2 }], at: ts, empty: {} }),
+    { "a.b.c": 1, list: [1, { x: 2 }], at: ts, empty: {} },
+  );
+});
+
+test("csvCell: quotes only when needed and renders non-strings as JSON", () => {
+  assert.equal(csvCell("plain"), "plain");
+  assert.equal(csvCell("a,b"), '"a,b"');
+  assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+  assert.equal(csvCell("line\nbreak"), '"line\nbreak"');
+  assert.equal(csvCell(42), "42");
+  assert.equal(csvCell(true), "true");
+  assert.equal(csvCell(null), "");
+  assert.equal(csvCell(undefined), "");
+  assert.equal(csvCell([1, 2]), '"[1,2]"');
+});
+
+test("csvValue: writes strings that would read back as another type as JSON", () => {
+  assert.equal(csvValue("plain"), "plain");
+  assert.equal(csvValue("02134"), '"""02134"""');
+  assert.equal(csvValue("true"), '"""true"""');
+  assert.equal(csvValue(""), '""""""');
+  assert.equal(csvValue(42), "42");
+  assert.equal(csvValue(null), "");
+});
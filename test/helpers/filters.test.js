@@ -0,0 +1,164 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeFilter,
+  validateFilter,
+  formatFilter,
+  applyFilter,
+} from "../../src/helpers/filters.js";
+import { makeDb } from "../fakes/firestore.js";
+
+const check = filter => validateFilter(normalizeFilter(filter));
+
+test("normalizeFilter: builds a typed tree and coerces leaf values", () => {
+  assert.deepEqual(
+    normalizeFilter({ or: [["a", "==", "1"], { and: [["b", ">", "2"]] }] }),
+    {
+      type: "or",
+      filters: [
+        { field: "a", operator: "==", value: 1 },
+        { type: "and", filters: [{ field: "b", operator: ">", value: 2 }] },
+      ],
+    },
+  );
+});
+
+test("normalizeFilter: reports where a malformed node sits", () => {
+  assert.throws(
+    () => normalizeFilter({ or: [] }),
+    /filter\.or: expected a non-empty array/,
+  );
+  assert.throws(() => normalizeFilter({ or: [["a", "=="]] }), /filter\.or\[0\]: clauses/);
+  assert.throws(() => normalizeFilter({ or: [["a", "~", 1]] }), /unknown operator "~"/);
+  assert.throws(() => normalizeFilter({ or: [], and: [] }), /exactly one "or" or "and"/);
+  assert.throws(() => normalizeFilter("x"), /expected \{or/);
+});
+
+test("validateFilter: counts disjunctions across or branches and in values", () => {
+  const values = Array.from({ length: 16 }, (_, i) => i);
+  assert.doesNotThrow(() =>
+    check({
+      or: [
+        ["a", "in", values.slice(0, 15)],
+        ["b", "==", 1],
+      ],
+    }),
+  );
+  assert.throws(
+    () =>
+      check({
+        and: [
+          ["a", "in", values.slice(0, 8)],
+          {
+            or: [
+              ["b", "==", 1],
+              ["c", "==", 2],
+              ["d", "==", 3],
+              ["e", "==", 4],
+            ],
+          },
+        ],
+      }),
+    /expands to 32 disjunctions/,
+  );
+});
+
+test("validateFilter: enforces in / not-in value counts", () => {
+  assert.throws(() => check({ and: [["a", "in", []]] }), /1 to 30 values/);
+  assert.throws(
+    () => check({ and: [["a", "not-in", Array.from({ length: 11 }, (_, i) => i)]] }),
+    /1 to 10 values/,
+  );
+  assert.throws(() => check({ and: [["a", "in", "x"]] }), /requires an array/);
+});
+
+test("validateFilter: rejects not-in combined with or / in / !=", () => {
+  assert.throws(
+    () =>
+      check({
+        or: [
+          ["a", "not-in", [1]],
+          ["b", "==", 1],
+        ],
+      }),
+    /'not-in' cannot be combined with 'or'/,
+  );
+  assert.throws(
+    () =>
+      check({
+        and: [
+          ["a", "not-in", [1]],
+          ["b", "!=", 1],
+        ],
+      }),
+    /combined with '!='/,
+  );
+});
+
+test("validateFilter: at most one array-contains per disjunction", () => {
+  assert.doesNotThrow(() =>
+    check({
+      or: [
+        ["tags", "array-contains", "a"],
+        ["cats", "array-contains", "b"],
+      ],
+    }),
+  );
+  assert.throws(
+    () =>
+      check({
+        and: [
+          ["tags", "array-contains", "a"],
+          ["cats", "array-contains", "b"],
+        ],
+      }),
+    /At most one 'array-contains'/,
+  );
+});
+
+test("formatFilter: parenthesizes nested groups", () => {
+  const tree = normalizeFilter({
+    and: [
+      {
+        or: [
+          ["s", "==", "paid"],
+          ["s", "==", "sent"],
+        ],
+      },
+      ["total", ">", "100"],
+    ],
+  });
+  assert.equal(formatFilter(tree), '(s == "paid" OR s == "sent") AND total > 100');
+});
+
+test("applyFilter: compiles to Filter.or / Filter.and and ANDs where clauses", async () => {
+  const db = makeDb({
+    orders: [
+      { id: "a", status: "paid", total: 50, region: "eu" },
+      { id: "b", status: "pending", total: 500, region: "eu" },
+      { id: "c", status: "pending", total: 5, region: "eu" },
+      { id: "d", status: "paid", total: 50, region: "us" },
+    ],
+  });
+  const { query, tree } = applyFilter(
+    db.collection("orders"),
+    {
+      or: [
+        ["status", "==", "paid"],
+        {
+          and: [
+            ["status", "==", "pending"],
+            ["total", ">", "100"],
+          ],
+        },
+      ],
+    },
+    [["region", "==", "eu"]],
+  );
+  const snap = await query.get();
+  assert.deepEqual(snap.docs.map(d => d.id).sort(), ["a", "b"]);
+  assert.equal(
+    formatFilter(tree),
+    'region == "eu" AND (status == "paid" OR (status == "pending" AND total > 100))',
+  );
+});
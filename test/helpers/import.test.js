@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeRecord,
+  parseCsv,
+  parseRecords,
+  resolveImportFormat,
+} from "../../src/helpers/import.js";
+
+test("resolveImportFormat: prefers the explicit format, else the extension", () => {
+  assert.equal(resolveImportFormat("/tmp/a.csv", "json"), "json");
+  assert.equal(resolveImportFormat("/tmp/a.JSONL"), "ndjson");
+  assert.equal(resolveImportFormat("/tmp/a.json"), "json");
+  assert.throws(
+    () => resolveImportFormat("/tmp/a.txt"),
+    /Invalid format for "\/tmp\/a.txt"/,
+  );
+});
+
+test("parseCsv: handles quotes, escaped quotes, embedded newlines and CRLF", () => {
+  assert.deepEqual(parseCsv('a,b\r\n"x, y","say ""hi"""\n"multi\nline",\n'), [
+    ["a", "b"],
+    ["x, y", 'say "hi"'],
+    ["multi\nline", ""],
+  ]);
+  assert.throws(() => parseCsv('a\n"open'), /unterminated quoted cell/);
+});
+
+test("parseRecords: CSV rebuilds nested maps, coerces cells and omits empty ones", () => {
+  const text = '__id,name,age,address.city,tags\nu1,Ada,36,Oslo,"[""a""]"\nu2,Bob,,,\n';
+  assert.deepEqual(parseRecords(text, "csv"), [
+    { __id: "u1", name: "Ada", age: 36, address: { city: "Oslo" }, tags: ["a"] },
+    { __id: "u2", name: "Bob" },
+  ]);
+  assert.deepEqual(parseRecords("zip\n0150\n", "csv", { coerce: false }), [
+    { zip: "0150" },
+  ]);
+});
+
+test("parseRecords: NDJSON and JSON report where parsing failed", () => {
+  assert.deepEqual(parseRecords('{"a":1}\n\n{"a":2}\n', "ndjson"), [{ a: 1 }, { a: 2 }]);
+  assert.throws(
+    () => parseRecords('{"a":1}\n{oops', "ndjson"),
+    /Invalid NDJSON on line 2/,
+  );
+  assert.throws(() => parseRecords('{"a":1}', "json"), /expected an array/);
+});
+
+test("normalizeRecord: takes export-shaped records as is", () => {
+  assert.deepEqual(normalizeRecord({ id: "a", path: "users/a", data: { n: 1 } }, 0), {
+    id: "a",
+    path: "users/a",
+    data: { n: 1 },
+  });
+});
+
+test("normalizeRecord: pulls the id and path out of plain records", () => {
+  assert.deepEqual(normalizeRecord({ __id: "a", __path: "users/a", n: 1 }, 0), {
+    id: "a",
+    path: "users/a",
+    data: { n: 1 },
+  });
+  assert.deepEqual(normalizeRecord({ id: 7, n: 1 }, 0), {
+    id: "7",
+    path: undefined,
+    data: { n: 1 },
+  });
+  assert.deepEqual(normalizeRecord({ sku: "x1", id: "keep" }, 0, "sku"), {
+    id: "x1",
+    path: undefined,
+    data: { id: "keep" },
+  });
+  assert.deepEqual(normalizeRecord({ n: 1 }, 0), {
+    id: undefined,
+    path: undefined,
+    data: { n: 1 },
+  });
+});
+
+test("normalizeRecord: rejects non-objects and ids containing slashes", () => {
+  assert.throws(() => normalizeRecord([1], 3), /Record 3: expected an object/);
+  assert.throws(
+    () => normalizeRecord({ id: "a/b", n: 1 }, 4),
+    /Record 4: invalid document id "a\/b"/,
+  );
+});
@@ -0,0 +1,291 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  checkLocalIndexes,
+  indexFromErrorMessage,
+  isMissingIndexError,
+  loadLocalIndexes,
+  requiredIndex,
+  withIndexHint,
+} from "../../src/helpers/indexes.js";
+import { buildErrorResponse } from "../../src/helpers/response.js";
+
+// Minimal protobuf encoder for the Index message behind create_composite links.
+function varint(n) {
+  const bytes = [];
+  while (n > 0x7f) {
+    bytes.push((n & 0x7f) | 0x80);
+    n >>>= 7;
+  }
+  return [...bytes, n];
+}
+const bytesField = (number, bytes) => [
+  ...varint(number * 8 + 2),
+  ...varint(bytes.length),
+  ...bytes,
+];
+const varintField = (number, n) => [...varint(number * 8), ...varint(n)];
+const text = s => [...Buffer.from(s)];
+
+function indexLink({ group, scope = 1, fields }) {
+  const message = [
+    ...bytesField(
+      1,
+      text(`projects/demo/databases/(default)/collectionGroups/${group}/indexes/_`),
+    ),
+    ...varintField(2, scope),
+    ...fields.flatMap(([path, kind, value]) =>
+      bytesField(3, [...bytesField(1, text(path)), ...varintField(kind, value)]),
+    ),
+  ];
+  const encoded = encodeURIComponent(Buffer.from(message).toString("base64"));
+  return `https://console.firebase.google.com/v1/r/project/demo/firestore/indexes?create_composite=${encoded}`;
+}
+
+function missingIndexError(link) {
+  const error = new Error(
+    `9 FAILED_PRECONDITION: The query requires an index. You can create it here: ${link}`,
+  );
+  error.code = 9;
+  return error;
+}
+
+const ORDERS_LINK = indexLink({
+  group: "orders",
+  fields: [
+    ["tags", 3, 1],
+    ["status", 2, 1],
+    ["total", 2, 2],
+    ["__name__", 2, 1],
+  ],
+});
+
+test("isMissingIndexError: matches FAILED_PRECONDITION index errors only", () => {
+  assert.equal(isMissingIndexError(missingIndexError(ORDERS_LINK)), true);
+  const other = new Error("9 FAILED_PRECONDITION: too much contention");
+  other.code = 9;
+  assert.equal(isMissingIndexError(other), false);
+  assert.equal(isMissingIndexError(new Error("boom")), false);
+});
+
+test("indexFromErrorMessage: decodes the create_composite link", () => {
+  const { index, createUrl } = indexFromErrorMessage(
+    missingIndexError(ORDERS_LINK).message,
+  );
+
+  assert.equal(createUrl, ORDERS_LINK);
+  assert.deepEqual(index, {
+    collectionGroup: "orders",
+    queryScope: "COLLECTION",
+    fields: [
+      { fieldPath: "tags", arrayConfig: "CONTAINS" },
+      { fieldPath: "status", order: "ASCENDING" },
+      { fieldPath: "total", order: "DESCENDING" },
+    ],
+  });
+  assert.equal(indexFromErrorMessage("The query requires an index."), null);
+});
+
+test("indexFromErrorMessage: reads collection group scope", () => {
+  const link = indexLink({
+    group: "posts",
+    scope: 2,
+    fields: [
+      ["author", 2, 1],
+      ["at", 2, 2],
+    ],
+  });
+  assert.equal(indexFromErrorMessage(link).index.queryScope, "COLLECTION_GROUP");
+});
+
+test("requiredIndex: single-field indexes serve simple queries", () => {
+  const spec = { collectionGroup: "orders" };
+  assert.equal(
+    requiredIndex({
+      ...spec,
+      where: [
+        ["a", "==", 1],
+        ["b", "==", 2],
+      ],
+    }),
+    null,
+  );
+  assert.equal(requiredIndex({ ...spec, where: [["a", ">", 1]] }), null);
+  assert.equal(
+    requiredIndex({
+      ...spec,
+      where: [["a", ">", 1]],
+      orderBy: [{ field: "a", direction: "desc" }],
+    }),
+    null,
+  );
+  assert.equal(
+    requiredIndex({
+      ...spec,
+      where: [["a", "==", 1]],
+      orderBy: [{ field: "a", direction: "asc" }],
+    }),
+    null,
+  );
+  assert.equal(
+    requiredIndex({
+      ...spec,
+      filter: {
+        or: [
+          ["a", "==", 1],
+          ["b", ">", 2],
+        ],
+      },
+    }),
+    null,
+  );
+});
+
+test("requiredIndex: equality, then orderBy, then inequality fields", () => {
+  assert.deepEqual(
+    requiredIndex({
+      collectionGroup: "orders",
+      where: [
+        ["tags", "array-contains", "x"],
+        ["total", ">", 5],
+      ],
+      filter: { and: [["status", "==", "paid"]] },
+      orderBy: [
+        { field: "createdAt", direction: "desc" },
+        { field: "__name__", direction: "desc" },
+      ],
+    }),
+    {
+      collectionGroup: "orders",
+      queryScope: "COLLECTION",
+      fields: [
+        { fieldPath: "tags", arrayConfig: "CONTAINS" },
+        { fieldPath: "status", order: "ASCENDING" },
+        { fieldPath: "createdAt", order: "DESCENDING" },
+        { fieldPath: "total", order: "ASCENDING" },
+      ],
+    },
+  );
+  assert.equal(
+    requiredIndex({
+      collectionGroup: "orders",
+      orderBy: [
+        { field: "a", direction: "asc" },
+        { field: "b", direction: "asc" },
+      ],
+    }).fields.length,
+    2,
+  );
+});
+
+test("requiredIndex: ignores malformed where input", () => {
+  const orderBy = [
+    { field: "a", direction: "asc" },
+    { field: "b", direction: "asc" },
+  ];
+  assert.deepEqual(
+    requiredIndex({ collectionGroup: "c", where: { status: "paid" }, orderBy }).fields,
+    [
+      { fieldPath: "a", order: "ASCENDING" },
+      { fieldPath: "b", order: "ASCENDING" },
+    ],
+  );
+  assert.equal(requiredIndex({ collectionGroup: "c", where: [null, "x"] }), null);
+});
+
+test("checkLocalIndexes: reports indexes missing from the local file", () => {
+  const spec = {
+    collectionGroup: "orders",
+    where: [["status", "==", "paid"]],
+    orderBy: [{ field: "total", direction: "desc" }],
+  };
+  const entry = {
+    collectionGroup: "orders",
+    queryScope: "COLLECTION",
+    fields: [
+      { fieldPath: "status", order: "ASCENDING" },
+      { fieldPath: "total", order: "DESCENDING" },
+    ],
+  };
+
+  const missing = checkLocalIndexes(spec, {
+    path: "/p/firestore.indexes.json",
+    indexes: [],
+  });
+  assert.deepEqual(missing.fields, entry.fields);
+  assert.deepEqual(JSON.parse(missing.snippet), entry);
+  assert.equal(missing.indexesFile, "/p/firestore.indexes.json");
+  assert.equal(missing.inIndexesFile, false);
+  assert.match(missing.message, /fails in production/);
+
+  const present = { path: "/p/firestore.indexes.json", indexes: [entry] };
+  assert.equal(checkLocalIndexes(spec, present), null);
+  assert.equal(checkLocalIndexes(spec, null), null);
+});
+
+test("loadLocalIndexes: locates the file once per directory, re-reads it on change", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "indexes-test-"));
+  const file = join(dir, "firestore.indexes.json");
+  await writeFile(file, JSON.stringify({ indexes: [] }));
+  const cwd = process.cwd();
+  const prev = process.env.MCP_FIRESTORE_INDEXES_FILE;
+  delete process.env.MCP_FIRESTORE_INDEXES_FILE;
+  process.chdir(dir);
+  try {
+    assert.deepEqual(loadLocalIndexes(), { path: file, indexes: [] });
+
+    await writeFile(file, JSON.stringify({ indexes: [{ collectionGroup: "orders" }] }));
+    assert.deepEqual(loadLocalIndexes().indexes, [{ collectionGroup: "orders" }]);
+
+    // A firebase.json added later is not searched for again.
+    await writeFile(
+      join(dir, "firebase.json"),
+      JSON.stringify({ firestore: { indexes: "other.json" } }),
+    );
+    assert.equal(loadLocalIndexes().path, file);
+  } finally {
+    process.chdir(cwd);
+    if (prev !== undefined) process.env.MCP_FIRESTORE_INDEXES_FILE = prev;
+    await rm(dir, { recursive: true });
+  }
+});
+
+test("withIndexHint: wraps missing-index errors with a missingIndex", () => {
+  const error = missingIndexError(ORDERS_LINK);
+  const hinted = withIndexHint(error);
+
+  assert.equal(hinted.cause, error);
+  assert.match(hinted.message, /composite index on orders \(tags, status, total\)/);
+  assert.match(hinted.message, /firebase deploy --only firestore:indexes/);
+  assert.equal(hinted.missingIndex.createUrl, ORDERS_LINK);
+
+  const other = new Error("boom");
+  assert.equal(withIndexHint(other), other);
+});
+
+test("withIndexHint: falls back to the query shape without a link", () => {
+  const error = new Error("9 FAILED_PRECONDITION: The query requires an index.");
+  const hinted = withIndexHint(error, {
+    collectionGroup: "orders",
+    where: [["status", "==", "paid"]],
+    orderBy: [{ field: "total", direction: "asc" }],
+  });
+
+  assert.deepEqual(
+    hinted.missingIndex.fields.map(f => f.fieldPath),
+    ["status", "total"],
+  );
+  assert.equal(hinted.missingIndex.createUrl, undefined);
+});
+
+test("buildErrorResponse: includes missingIndex for index errors", () => {
+  const parsed = JSON.parse(
+    buildErrorResponse(missingIndexError(ORDERS_LINK)).content[0].text,
+  );
+  assert.match(parsed.error, /requires a composite index/);
+  assert.equal(parsed.missingIndex.collectionGroup, "orders");
+  assert.equal(typeof parsed.missingIndex.snippet, "string");
+});
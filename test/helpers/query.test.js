@@ -4,16 +4,21 @@ import {
   WHERE_OPERATORS,
   applyWhereClauses,
   applyOrderBy,
+  parseOrderBy,
   applyPagination,
+  applyPathPagination,
   executeQuery,
+  formatClauses,
   mapDocSnapshot,
 } from "../../src/helpers/query.js";
 import { makeDb } from "../fakes/firestore.js";
+import { Timestamp } from "firebase-admin/firestore";
 
 test("WHERE_OPERATORS lists the supported Firestore operators", () => {
   assert.ok(WHERE_OPERATORS.includes("=="));
   assert.ok(WHERE_OPERATORS.includes("array-contains-any"));
-  assert.equal(WHERE_OPERATORS.length, 9);
+  assert.ok(WHERE_OPERATORS.includes("not-in"));
+  assert.equal(WHERE_OPERATORS.length, 10);
 });
 
 test("applyWhereClauses: coerces values and chains where() calls", () => {
@@ -66,6 +71,81 @@ test("applyOrderBy: applies direction", async () => {
   );
 });
 
+test("parseOrderBy: accepts a field name or an array of { field, direction }", () => {
+  assert.deepEqual(parseOrderBy({ orderBy: "age", orderDirection: "desc" }), [
+    { field: "age", direction: "desc" },
+  ]);
+  assert.deepEqual(
+    parseOrderBy({ orderBy: [{ field: "status" }, { field: "at", direction: "desc" }] }),
+    [
+      { field: "status", direction: "asc" },
+      { field: "at", direction: "desc" },
+    ],
+  );
+  assert.deepEqual(parseOrderBy({}), []);
+});
+
+test("parseOrderBy: rejects bad directions, repeats and a non-final __name__", () => {
+  assert.throws(
+    () => parseOrderBy({ orderBy: [{ field: "a", direction: "up" }] }),
+    /Invalid orderBy\[0\]: direction must be one of asc, desc/,
+  );
+  assert.throws(
+    () => parseOrderBy({ orderBy: [{ field: "a" }, { field: "a" }] }),
+    /Invalid orderBy\[1\]: "a" is already ordered on/,
+  );
+  assert.throws(
+    () => parseOrderBy({ orderBy: [{ field: "__name__" }, { field: "a" }] }),
+    /"__name__" must be the last ordering/,
+  );
+  assert.throws(() => parseOrderBy({ orderBy: [] }), /Invalid orderBy/);
+  assert.throws(
+    () => parseOrderBy({ orderBy: [{ direction: "asc" }] }),
+    /Invalid orderBy\[0\]/,
+  );
+});
+
+test("applyOrderBy: orders by several fields and breaks ties by document id", async () => {
+  const db = makeDb({
+    tasks: [
+      { id: "d", status: "open", n: 1 },
+      { id: "a", status: "done", n: 1 },
+      { id: "c", status: "open", n: 2 },
+      { id: "b", status: "open", n: 2 },
+    ],
+  });
+  const q = applyOrderBy(db.collection("tasks"), {
+    orderBy: [{ field: "status" }, { field: "n", direction: "desc" }],
+  });
+  assert.deepEqual(
+    q._orderBys.map(o => [String(o.field), o.direction]),
+    [
+      ["status", "asc"],
+      ["n", "desc"],
+      ["__name__", "desc"],
+    ],
+  );
+  const snap = await q.get();
+  assert.deepEqual(
+    snap.docs.map(d => d.id),
+    ["a", "c", "b", "d"],
+  );
+});
+
+test("applyOrderBy: does not add a second document id ordering", () => {
+  const db = makeDb({ tasks: [] });
+  const q = applyOrderBy(db.collection("tasks"), {
+    orderBy: [{ field: "n" }, { field: "__name__", direction: "desc" }],
+  });
+  assert.deepEqual(
+    q._orderBys.map(o => [String(o.field), o.direction]),
+    [
+      ["n", "asc"],
+      ["__name__", "desc"],
+    ],
+  );
+});
+
 test("applyPagination: returns query unchanged when no startAfter", async () => {
   const db = makeDb({ users: [{ id: "a" }] });
   const q = db.collection("users");
@@ -144,3 +224,48 @@ test("mapDocSnapshot: missing document yields null data", () => {
     data: null,
   });
 });
+
+test("executeQuery and mapDocSnapshot: encode special Firestore values", async () => {
+  const createdAt = new Timestamp(1700000000, 0);
+  const db = makeDb({ items: [{ id: "a", createdAt }] });
+
+  const { docs } = await executeQuery(db.collection("items"), 10);
+  assert.deepEqual(docs[0].data.createdAt, {
+    __type: "timestamp",
+    value: "2023-11-14T22:13:20.000000000Z",
+  });
+
+  const mapped = mapDocSnapshot({ id: "a", exists: true, data: () => ({ createdAt }) });
+  assert.equal(mapped.data.createdAt.__type, "timestamp");
+});
+
+test("applyPathPagination: starts after a document identified by full path", async () => {
+  const db = makeDb({
+    "a/x/items": [{ id: "1", n: 1 }],
+    "a/y/items": [{ id: "1", n: 2 }],
+  });
+  const ordered = applyOrderBy(db.collectionGroup("items"), { orderBy: "n" });
+  const q = await applyPathPagination(ordered, db, "a/x/items/1");
+  const snap = await q.get();
+  assert.deepEqual(
+    snap.docs.map(d => d.ref.path),
+    ["a/y/items/1"],
+  );
+});
+
+test("executeQuery: withPath adds document paths and lastDocPath", async () => {
+  const db = makeDb({ items: [{ id: "a", n: 1 }] });
+  const res = await executeQuery(db.collection("items"), 10, { withPath: true });
+  assert.deepEqual(res.docs, [{ id: "a", path: "items/a", data: { n: 1 } }]);
+  assert.equal(res.lastDocPath, "items/a");
+});
+
+test("formatClauses: joins clauses with AND and JSON-quotes values", () => {
+  assert.equal(
+    formatClauses([
+      { field: "role", operator: "==", value: "admin" },
+      { field: "age", operator: ">", value: 35 },
+    ]),
+    'role == "admin" AND age > 35',
+  );
+});
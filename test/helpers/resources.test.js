@@ -0,0 +1,163 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Timestamp } from "firebase-admin/firestore";
+import {
+  COLLECTION_READ_LIMIT,
+  MAX_SUBSCRIPTIONS,
+  RESOURCE_TEMPLATES,
+  createResourceSubscriptions,
+  listResources,
+  parseResourceUri,
+  readResource,
+  resourceUri,
+} from "../../src/helpers/resources.js";
+import { makeDb } from "../fakes/firestore.js";
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+function setup() {
+  const db = makeDb({
+    users: [{ id: "a", name: "Ada", joined: new Timestamp(1, 0) }],
+    "users/a/posts": [{ id: "p1", title: "Hi" }],
+  });
+  return { db, getDb: target => ({ db, target }) };
+}
+
+function readJson(result) {
+  return JSON.parse(result.contents[0].text);
+}
+
+test("resources: URIs round-trip, with percent-encoded segments", () => {
+  const uri = resourceUri("emulator", "users/a b/posts");
+  assert.equal(uri, "firestore://emulator/users/a%20b/posts");
+  assert.deepEqual(parseResourceUri(uri), {
+    target: "emulator",
+    path: "users/a b/posts",
+    kind: "collection",
+  });
+  assert.equal(parseResourceUri("firestore://production/users/a").kind, "document");
+});
+
+test("resources: rejects other schemes, targets and bad paths", () => {
+  assert.throws(() => parseResourceUri("https://emulator/users"), /expected firestore:/);
+  assert.throws(() => parseResourceUri("firestore://staging/users"), /unknown target/);
+  assert.throws(
+    () => parseResourceUri("firestore://emulator/users//a"),
+    /empty segments/,
+  );
+  assert.throws(() => parseResourceUri("not a uri"), /Invalid resource URI/);
+});
+
+test("resources: lists top-level collections of every target", async () => {
+  const { getDb } = setup();
+  const resources = await listResources(["emulator"], getDb);
+
+  assert.deepEqual(
+    resources.map(r => r.uri),
+    ["firestore://emulator/users"],
+  );
+  assert.equal(resources[0].mimeType, "application/json");
+});
+
+test("resources: a target that fails to list is left out", async () => {
+  const { db } = setup();
+  const getDb = target => {
+    if (target === "production") throw new Error("Production target is not available.");
+    return { db, target };
+  };
+
+  const resources = await listResources(["emulator", "production"], getDb);
+  assert.equal(resources.length, 1);
+});
+
+test("resources: reads a document as typed JSON with its subcollections", async () => {
+  const { getDb } = setup();
+  const uri = "firestore://emulator/users/a";
+  const result = await readResource(uri, getDb);
+
+  assert.equal(result.contents[0].uri, uri);
+  assert.equal(result.contents[0].mimeType, "application/json");
+  assert.deepEqual(readJson(result), {
+    target: "emulator",
+    path: "users/a",
+    id: "a",
+    exists: true,
+    data: {
+      name: "Ada",
+      joined: { __type: "timestamp", value: "1970-01-01T00:00:01.000000000Z" },
+    },
+    collections: ["posts"],
+  });
+});
+
+test("resources: reads a collection's first documents", async () => {
+  const { db, getDb } = setup();
+  for (let i = 0; i < COLLECTION_READ_LIMIT + 1; i++) {
+    await db.collection("items").doc(`i${i}`).set({ i });
+  }
+
+  const body = readJson(await readResource("firestore://emulator/items", getDb));
+  assert.equal(body.count, COLLECTION_READ_LIMIT);
+  assert.equal(body.documents.length, COLLECTION_READ_LIMIT);
+  assert.equal(body.truncated, true);
+});
+
+test("resources: reading a missing document fails", async () => {
+  const { getDb } = setup();
+  await assert.rejects(
+    readResource("firestore://emulator/users/zz", getDb),
+    /Document not found: users\/zz/,
+  );
+});
+
+test("resources: subscriptions notify on changes until unsubscribed", async () => {
+  const { db, getDb } = setup();
+  const updated = [];
+  const subscriptions = createResourceSubscriptions(getDb, async uri =>
+    updated.push(uri),
+  );
+  const doc = "firestore://emulator/users/a";
+  const collection = "firestore://emulator/users/a/posts";
+
+  subscriptions.subscribe(doc);
+  subscriptions.subscribe(doc);
+  subscriptions.subscribe(collection);
+  await tick();
+  assert.deepEqual(updated, []);
+
+  await db.collection("users").doc("a").update({ name: "Ada L." });
+  await db.collection("users/a/posts").doc("p2").set({ title: "Again" });
+  await tick();
+  assert.deepEqual(updated, [doc, collection]);
+
+  subscriptions.unsubscribe(doc);
+  await db.collection("users").doc("a").update({ name: "Ada" });
+  await tick();
+  assert.equal(updated.length, 2);
+
+  assert.equal(subscriptions.unsubscribeAll(), 1);
+});
+
+test("resources: one template covers documents and collections", () => {
+  assert.deepEqual(
+    RESOURCE_TEMPLATES.map(t => t.uriTemplate),
+    ["firestore://{target}/{+path}"],
+  );
+});
+
+test("resources: subscriptions are capped", () => {
+  const { getDb } = setup();
+  const subscriptions = createResourceSubscriptions(getDb, async () => {});
+  for (let i = 0; i < MAX_SUBSCRIPTIONS; i++) {
+    subscriptions.subscribe(`firestore://emulator/users/u${i}`);
+  }
+  subscriptions.subscribe("firestore://emulator/users/u0");
+  assert.throws(
+    () => subscriptions.subscribe("firestore://emulator/users/extra"),
+    /Too many resource subscriptions: 20 are open/,
+  );
+
+  subscriptions.unsubscribe("firestore://emulator/users/u0");
+  subscriptions.subscribe("firestore://emulator/users/extra");
+  assert.equal(subscriptions.unsubscribeAll(), MAX_SUBSCRIPTIONS);
+});
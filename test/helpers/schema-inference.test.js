@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  collectFieldStats,
+  listFields,
+  toJsonSchema,
+  toTypeScript,
+} from "../../src/helpers/schema-inference.js";
+
+const ts = { __type: "timestamp", value: "2024-01-01T00:00:00.000000000Z" };
+
+const docs = [
+  { name: "Ada", age: 36, at: ts, address: { city: "Oslo" }, tags: ["a", "b"] },
+  { name: "Bob", age: "n/a", address: { city: "Rome", zip: "00100" }, tags: [] },
+  { name: "Cy", at: null, items: [{ sku: "x", qty: 1 }] },
+  { name: "Di" },
+];
+
+test("listFields: reports types, presence and examples per dotted path", () => {
+  const fields = listFields(collectFieldStats(docs, { maxExamples: 2 }));
+  const byPath = Object.fromEntries(fields.map(f => [f.path, f]));
+
+  assert.deepEqual(
+    fields.map(f => f.path),
+    [
+      "name",
+      "age",
+      "at",
+      "address",
+      "address.city",
+      "address.zip",
+      "tags",
+      "tags[]",
+      "items",
+      "items[]",
+      "items[].sku",
+      "items[].qty",
+    ],
+  );
+  assert.deepEqual(byPath.name, {
+    path: "name",
+    types: { string: 4 },
+    presence: 100,
+    examples: ["Ada", "Bob"],
+  });
+  assert.deepEqual(byPath.age.types, { number: 1, string: 1 });
+  assert.equal(byPath.age.presence, 50);
+  assert.deepEqual(byPath.at.types, { timestamp: 1, null: 1 });
+  assert.deepEqual(byPath.at.examples, [ts, null]);
+  // presence of nested fields is relative to the maps that hold them
+  assert.equal(byPath["address.city"].presence, 100);
+  assert.equal(byPath["address.zip"].presence, 50);
+  assert.deepEqual(byPath["tags[]"], {
+    path: "tags[]",
+    types: { string: 2 },
+    examples: ["a", "b"],
+  });
+  assert.equal(byPath.address.examples, undefined);
+});
+
+test("toJsonSchema: required fields, unions and typed values", () => {
+  const schema = toJsonSchema(collectFieldStats(docs), "User");
+  assert.equal(schema.title, "User");
+  assert.deepEqual(schema.required, ["name"]);
+  assert.deepEqual(schema.properties.age, {
+    anyOf: [{ type: "number" }, { type: "string" }],
+  });
+  assert.deepEqual(schema.properties.at, {
+    anyOf: [
+      {
+        type: "object",
+        properties: { __type: { const: "timestamp" } },
+        required: ["__type"],
+      },
+      { type: "null" },
+    ],
+  });
+  assert.deepEqual(schema.properties.address.required, ["city"]);
+  assert.deepEqual(schema.properties.items.items.properties.qty, { type: "number" });
+});
+
+test("toTypeScript: optional fields and firebase-admin types", () => {
+  assert.equal(
+    toTypeScript(collectFieldStats(docs), "User"),
+    `interface User {
+  name: string;
+  age?: number | string;
+  at?: Timestamp | null;
+  address?: {
+    city: string;
+    zip?: string;
+  };
+  tags?: string[];
+  items?: {
+    sku: string;
+    qty: number;
+  }[];
+}
+`,
+  );
+});
@@ -12,9 +12,12 @@ test("COLLECTION_PROPERTY is a described string", () => {
   assert.equal(typeof COLLECTION_PROPERTY.description, "string");
 });
 
-test("PAGINATION_PROPERTIES exposes limit/orderBy/orderDirection/startAfter", () => {
+test("PAGINATION_PROPERTIES exposes limit/orderBy/orderDirection/startAfter and cursors", () => {
   assert.deepEqual(Object.keys(PAGINATION_PROPERTIES).sort(), [
+    "cursor",
+    "cursorMode",
     "limit",
+    "limitToLast",
     "orderBy",
     "orderDirection",
     "startAfter",
@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { shapeDocuments } from "../../src/helpers/shape.js";
+
+const doc = (id, data) => ({ id, data });
+
+test("shapeDocuments: no options leaves documents untouched", () => {
+  const docs = [doc("a", { nested: { deep: [1, 2] }, s: "x".repeat(100) })];
+  assert.deepEqual(shapeDocuments(docs, {}), { docs, truncated: null });
+});
+
+test("shapeDocuments: maxDepth collapses nested maps and arrays into markers", () => {
+  const { docs, truncated } = shapeDocuments(
+    [
+      doc("a", {
+        name: "Ada",
+        address: { city: "London", geo: { lat: 1 } },
+        tags: [1, 2],
+      }),
+    ],
+    { maxDepth: 1 },
+  );
+  assert.deepEqual(docs[0].data, {
+    name: "Ada",
+    address: {
+      city: "London",
+      geo: { __type: "truncated", reason: "depth", kind: "map", size: 1 },
+    },
+    tags: [1, 2],
+  });
+  assert.deepEqual(truncated, { fields: 1 });
+});
+
+test("shapeDocuments: maxDepth 0 collapses every container field but not typed values", () => {
+  const at = { __type: "timestamp", value: "2024-01-01T00:00:00.000000000Z" };
+  const { docs } = shapeDocuments([doc("a", { list: [1, 2, 3], at })], { maxDepth: 0 });
+  assert.deepEqual(docs[0].data, {
+    list: { __type: "truncated", reason: "depth", kind: "array", size: 3 },
+    at,
+  });
+});
+
+test("shapeDocuments: maxStringLength shortens long strings with their length", () => {
+  const { docs, truncated } = shapeDocuments([doc("a", { bio: "abcdef", ok: "ab" })], {
+    maxStringLength: 3,
+  });
+  assert.deepEqual(docs[0].data.bio, {
+    __type: "truncated",
+    reason: "string",
+    value: "abc",
+    length: 6,
+  });
+  assert.equal(docs[0].data.ok, "ab");
+  assert.deepEqual(truncated, { fields: 1 });
+});
+
+test("shapeDocuments: maxBytes omits documents past the budget but keeps the first", () => {
+  const docs = ["a", "b", "c"].map(id => doc(id, { text: "x".repeat(50) }));
+  const one = Buffer.byteLength(JSON.stringify(docs[0]));
+
+  const res = shapeDocuments(docs, { maxBytes: one * 2 });
+  assert.deepEqual(
+    res.docs.map(d => d.id),
+    ["a", "b"],
+  );
+  assert.deepEqual(res.truncated, { omittedDocuments: 1 });
+
+  const tiny = shapeDocuments(docs, { maxBytes: 1 });
+  assert.deepEqual(
+    tiny.docs.map(d => d.id),
+    ["a"],
+  );
+});
+
+test("shapeDocuments: field stats only count the documents returned", () => {
+  const docs = ["a", "b", "c"].map(id =>
+    doc(id, { text: "x".repeat(50), bio: "y".repeat(50) }),
+  );
+  const res = shapeDocuments(docs, { maxStringLength: 5, maxBytes: 1 });
+
+  assert.deepEqual(
+    res.docs.map(d => d.id),
+    ["a"],
+  );
+  assert.deepEqual(res.truncated, { fields: 2, omittedDocuments: 2 });
+});
+
+test("shapeDocuments: rejects non-integer options", () => {
+  assert.throws(() => shapeDocuments([], { maxDepth: -1 }), /Invalid maxDepth/);
+  assert.throws(() => shapeDocuments([], { maxBytes: "10" }), /Invalid maxBytes/);
+});
+
+test("shapeDocuments: leaves missing documents (null data) alone", () => {
+  const missing = { id: "z", exists: false, data: null };
+  assert.deepEqual(shapeDocuments([missing], { maxDepth: 0 }).docs, [missing]);
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createToolContext } from "../../src/helpers/tool-context.js";
+
+function request(meta) {
+  return { params: { name: "export_collection", arguments: {}, _meta: meta } };
+}
+
+test("createToolContext: sends progress notifications for the request's token", async () => {
+  const sent = [];
+  const { reportProgress } = createToolContext(request({ progressToken: "t1" }), {
+    sendNotification: async n => sent.push(n),
+  });
+
+  await reportProgress(5, 10, "halfway");
+  await reportProgress(6);
+  assert.deepEqual(sent, [
+    {
+      method: "notifications/progress",
+      params: { progressToken: "t1", progress: 5, total: 10, message: "halfway" },
+    },
+    { method: "notifications/progress", params: { progressToken: "t1", progress: 6 } },
+  ]);
+});
+
+test("createToolContext: progress is a no-op without a progress token", async () => {
+  const sent = [];
+  const { reportProgress } = createToolContext(request(undefined), {
+    sendNotification: async n => sent.push(n),
+  });
+  await reportProgress(1);
+  assert.deepEqual(sent, []);
+});
+
+test("createToolContext: notification failures do not throw", async () => {
+  const { reportProgress } = createToolContext(request({ progressToken: 1 }), {
+    sendNotification: async () => {
+      throw new Error("closed");
+    },
+  });
+  const original = console.error;
+  console.error = () => {};
+  try {
+    await reportProgress(1);
+  } finally {
+    console.error = original;
+  }
+});
+
+test("createToolContext: passes server services through", () => {
+  const getDb = target => ({ db: {}, target });
+  const watches = {};
+  const context = createToolContext(request(undefined), {}, { getDb, watches });
+  assert.equal(context.getDb, getDb);
+  assert.equal(context.watches, watches);
+});
@@ -0,0 +1,135 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FieldValue, Firestore, GeoPoint, Timestamp } from "firebase-admin/firestore";
+import { decodeValue, encodeValue, TYPE_KEY } from "../../src/helpers/typed-values.js";
+
+// Constructing references does not open a connection.
+const realDb = new Firestore({ projectId: "test-project" });
+
+test("encodeValue: passes primitives, arrays and plain maps through", () => {
+  const data = { s: "x", n: 1, b: true, z: null, list: [1, "a"], nested: { k: "v" } };
+  assert.deepEqual(encodeValue(data), data);
+});
+
+test("encodeValue: Timestamp becomes a nanosecond-precision ISO string", () => {
+  const ts = new Timestamp(1700000000, 123456789);
+  assert.deepEqual(encodeValue(ts), {
+    [TYPE_KEY]: "timestamp",
+    value: "2023-11-14T22:13:20.123456789Z",
+  });
+});
+
+test("encodeValue: GeoPoint, DocumentReference, Bytes and Vector are tagged", () => {
+  assert.deepEqual(encodeValue(new GeoPoint(51.5, -0.12)), {
+    [TYPE_KEY]: "geopoint",
+    lat: 51.5,
+    lng: -0.12,
+  });
+  assert.deepEqual(encodeValue(realDb.doc("users/a")), {
+    [TYPE_KEY]: "reference",
+    path: "users/a",
+  });
+  assert.deepEqual(encodeValue(Buffer.from([0, 1, 2])), {
+    [TYPE_KEY]: "bytes",
+    base64: "AAEC",
+  });
+  assert.deepEqual(encodeValue(FieldValue.vector([0.5, 1])), {
+    [TYPE_KEY]: "vector",
+    values: [0.5, 1],
+  });
+});
+
+test("encodeValue: non-finite numbers are tagged instead of collapsing to null", () => {
+  assert.deepEqual(encodeValue(NaN), { [TYPE_KEY]: "number", value: "NaN" });
+  assert.deepEqual(encodeValue(-Infinity), { [TYPE_KEY]: "number", value: "-Infinity" });
+});
+
+test("encodeValue: walks nested maps and arrays", () => {
+  const encoded = encodeValue({
+    meta: { createdAt: new Timestamp(0, 0) },
+    refs: [realDb.doc("users/b")],
+  });
+  assert.deepEqual(encoded, {
+    meta: {
+      createdAt: { [TYPE_KEY]: "timestamp", value: "1970-01-01T00:00:00.000000000Z" },
+    },
+    refs: [{ [TYPE_KEY]: "reference", path: "users/b" }],
+  });
+});
+
+test("decodeValue: round-trips every encodeValue shape", () => {
+  const original = {
+    at: new Timestamp(1700000000, 123456789),
+    where: new GeoPoint(1, 2),
+    owner: realDb.doc("users/a"),
+    blob: Buffer.from([9, 8]),
+    weird: NaN,
+    nested: { list: [new Timestamp(5, 0)] },
+  };
+  const decoded = decodeValue(JSON.parse(JSON.stringify(encodeValue(original))), realDb);
+
+  assert.ok(decoded.at.isEqual(original.at));
+  assert.ok(decoded.where.isEqual(original.where));
+  assert.equal(decoded.owner.path, "users/a");
+  assert.deepEqual([...decoded.blob], [9, 8]);
+  assert.ok(Number.isNaN(decoded.weird));
+  assert.ok(decoded.nested.list[0].isEqual(new Timestamp(5, 0)));
+});
+
+test("decodeValue: accepts ISO timestamps with offsets and short fractions", () => {
+  const ts = decodeValue({
+    [TYPE_KEY]: "timestamp",
+    value: "2024-01-01T02:00:00.5+02:00",
+  });
+  assert.equal(ts.seconds, Date.UTC(2024, 0, 1) / 1000);
+  assert.equal(ts.nanoseconds, 500000000);
+});
+
+test("decodeValue: maps write sentinels to FieldValue transforms", () => {
+  const decoded = decodeValue(
+    {
+      updatedAt: { [TYPE_KEY]: "serverTimestamp" },
+      visits: { [TYPE_KEY]: "increment", value: 1 },
+      tags: { [TYPE_KEY]: "arrayUnion", values: ["a"] },
+      old: { [TYPE_KEY]: "arrayRemove", values: ["b"] },
+      gone: { [TYPE_KEY]: "delete" },
+    },
+    realDb,
+  );
+  assert.ok(decoded.updatedAt.isEqual(FieldValue.serverTimestamp()));
+  assert.ok(decoded.visits.isEqual(FieldValue.increment(1)));
+  assert.ok(decoded.tags.isEqual(FieldValue.arrayUnion("a")));
+  assert.ok(decoded.old.isEqual(FieldValue.arrayRemove("b")));
+  assert.ok(decoded.gone.isEqual(FieldValue.delete()));
+});
+
+test("encodeValue: maps with their own __type key round-trip as plain maps", () => {
+  const data = {
+    meta: { [TYPE_KEY]: "timestamp", value: "not a date", at: new Timestamp(1, 0) },
+  };
+  const encoded = encodeValue(data);
+  assert.equal(encoded.meta[TYPE_KEY], "map");
+  assert.equal(encoded.meta.value[TYPE_KEY], "timestamp");
+
+  const decoded = decodeValue(JSON.parse(JSON.stringify(encoded)));
+  assert.equal(decoded.meta[TYPE_KEY], "timestamp");
+  assert.equal(decoded.meta.value, "not a date");
+  assert.ok(decoded.meta.at.isEqual(new Timestamp(1, 0)));
+});
+
+test("decodeValue: rejects unknown tags and malformed values", () => {
+  assert.throws(
+    () => decodeValue({ x: { [TYPE_KEY]: "money" } }),
+    /Unknown __type "money"/,
+  );
+  assert.throws(
+    () => decodeValue({ [TYPE_KEY]: "timestamp", value: "yesterday" }),
+    /Invalid timestamp/,
+  );
+  assert.throws(
+    () => decodeValue({ [TYPE_KEY]: "increment", value: "1" }),
+    /Invalid increment/,
+  );
+  assert.throws(() => decodeValue({ [TYPE_KEY]: "arrayUnion" }), /"values" array/);
+  assert.throws(() => decodeValue({ [TYPE_KEY]: "map", value: [1] }), /Invalid map/);
+});
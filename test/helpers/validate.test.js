@@ -2,6 +2,10 @@ import { test } from "node:test";
 import assert from "node:assert/strict";
 import {
   validateCollectionPath,
+  validateDocumentPath,
+  validateCollectionId,
+  resolvePathKind,
+  readInteger,
   assertNonEmptyData,
   assertBatchSize,
   DEFAULT_MAX_BATCH,
@@ -23,6 +27,21 @@ test("validateCollectionPath: rejects blank, sliced, or document paths", () => {
   assert.throws(() => validateCollectionPath("users/uid"), /odd number of segments/);
 });
 
+test("validateDocumentPath: accepts even-segment paths only", () => {
+  assert.doesNotThrow(() => validateDocumentPath("users/uid"));
+  assert.doesNotThrow(() => validateDocumentPath("users/uid/posts/p1"));
+  assert.throws(() => validateDocumentPath(""), /non-empty/);
+  assert.throws(() => validateDocumentPath("/users/uid"), /slash/);
+  assert.throws(() => validateDocumentPath("users//uid"), /empty segments/);
+  assert.throws(() => validateDocumentPath("users"), /even number of segments/);
+});
+
+test("validateCollectionId: requires a single non-empty segment", () => {
+  assert.doesNotThrow(() => validateCollectionId("posts"));
+  assert.throws(() => validateCollectionId(" "), /non-empty/);
+  assert.throws(() => validateCollectionId("users/uid/posts"), /not a path/);
+});
+
 test("assertNonEmptyData: requires a non-empty plain object", () => {
   assert.doesNotThrow(() => assertNonEmptyData({ a: 1 }));
   assert.throws(() => assertNonEmptyData(null), /JSON object/);
@@ -39,3 +58,24 @@ test("assertBatchSize: requires a non-empty array within the limit", () => {
   const tooMany = Array.from({ length: DEFAULT_MAX_BATCH + 1 }, (_, i) => `id-${i}`);
   assert.throws(() => assertBatchSize(tooMany), /maximum is/);
 });
+
+test("resolvePathKind: classifies by segment count and validates", () => {
+  assert.equal(resolvePathKind("users"), "collection");
+  assert.equal(resolvePathKind("users/uid"), "document");
+  assert.equal(resolvePathKind("users/uid/posts"), "collection");
+  assert.throws(
+    () => resolvePathKind("", "source"),
+    /Invalid source: expected a document/,
+  );
+  assert.throws(() => resolvePathKind("users//posts"), /empty segments/);
+});
+
+test("readInteger: falls back to the default and checks the range", () => {
+  assert.equal(readInteger({}, "limit", 10, 1, 100), 10);
+  assert.equal(readInteger({ limit: 5 }, "limit", 10, 1, 100), 5);
+  assert.throws(
+    () => readInteger({ limit: 1.5 }, "limit", 10, 1, 100),
+    /Invalid limit: expected an integer from 1 to 100/,
+  );
+  assert.throws(() => readInteger({ limit: 0 }, "limit", 10, 1, 100), /Invalid limit/);
+});
@@ -0,0 +1,166 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_WATCHES,
+  WATCH_LOGGER,
+  createWatchRegistry,
+} from "../../src/helpers/watches.js";
+import { makeDb } from "../fakes/firestore.js";
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+function setup(seed = { users: [{ id: "a", name: "Ada" }] }) {
+  const db = makeDb(seed);
+  const sent = [];
+  const registry = createWatchRegistry(async params => sent.push(params));
+  return { db, sent, registry };
+}
+
+test("watches: start resolves with the first snapshot of a query", async () => {
+  const { db, registry } = setup();
+  const res = await registry.start({
+    kind: "query",
+    source: db.collection("users"),
+    target: "emulator",
+    path: "users",
+  });
+
+  assert.equal(res.id, "w1");
+  assert.equal(res.status, "active");
+  assert.equal(res.events, 0);
+  assert.deepEqual(res.initial, { count: 1, ids: ["a"] });
+});
+
+test("watches: later changes are sent as logging messages", async () => {
+  const { db, sent, registry } = setup();
+  await registry.start({
+    kind: "query",
+    source: db.collection("users"),
+    target: "emulator",
+    path: "users",
+  });
+
+  await db.collection("users").doc("b").set({ name: "Bo" });
+  await db.collection("users").doc("a").delete();
+  await tick();
+
+  assert.equal(sent.length, 2);
+  assert.equal(sent[0].level, "info");
+  assert.equal(sent[0].logger, WATCH_LOGGER);
+  assert.deepEqual(sent[0].data, {
+    watchId: "w1",
+    target: "emulator",
+    path: "users",
+    changes: [{ type: "added", id: "b", path: "users/b", data: { name: "Bo" } }],
+  });
+  assert.deepEqual(sent[1].data.changes, [{ type: "removed", id: "a", path: "users/a" }]);
+
+  const [info] = registry.list({ includeChanges: true });
+  assert.equal(info.events, 2);
+  assert.ok(info.lastEventAt);
+  assert.equal(info.recentChanges.length, 2);
+  assert.equal(registry.list()[0].recentChanges, undefined);
+});
+
+test("watches: a document watch reports create, update and delete", async () => {
+  const { db, sent, registry } = setup({ users: [] });
+  const ref = db.collection("users").doc("a");
+  const res = await registry.start({
+    kind: "document",
+    source: ref,
+    target: "emulator",
+    path: ref.path,
+  });
+  assert.deepEqual(res.initial, { exists: false });
+
+  await ref.set({ name: "Ada" });
+  await ref.update({ name: "Ada L." });
+  await ref.delete();
+  await tick();
+
+  assert.deepEqual(
+    sent.map(m => m.data.changes[0].type),
+    ["added", "modified", "removed"],
+  );
+  assert.deepEqual(sent[1].data.changes[0].data, { name: "Ada L." });
+});
+
+test("watches: stop ends the listener and unknown ids are rejected", async () => {
+  const { db, sent, registry } = setup();
+  const { id } = await registry.start({
+    kind: "query",
+    source: db.collection("users"),
+    target: "emulator",
+    path: "users",
+  });
+
+  assert.equal(registry.stop(id).status, "stopped");
+  await db.collection("users").doc("b").set({ name: "Bo" });
+  await tick();
+
+  assert.equal(sent.length, 0);
+  assert.deepEqual(registry.list(), []);
+  assert.throws(() => registry.stop(id), /No watch "w1"\. Open watches: none/);
+});
+
+test("watches: stopAll returns how many were open", async () => {
+  const { db, registry } = setup();
+  for (const path of ["users", "orders"]) {
+    await registry.start({
+      kind: "query",
+      source: db.collection(path),
+      target: "emulator",
+      path,
+    });
+  }
+
+  assert.equal(registry.stopAll(), 2);
+  assert.deepEqual(registry.list(), []);
+});
+
+test("watches: a listener failing before its first snapshot rejects start", async () => {
+  const { db, registry } = setup();
+  db.failListen = new Error("FAILED_PRECONDITION: The query requires an index.");
+
+  await assert.rejects(
+    registry.start({
+      kind: "query",
+      source: db.collection("users"),
+      target: "emulator",
+      path: "users",
+    }),
+    /Watch failed to start: FAILED_PRECONDITION/,
+  );
+  assert.deepEqual(registry.list(), []);
+});
+
+test("watches: a listener that throws synchronously is not registered", async () => {
+  const { registry } = setup();
+  const source = {
+    onSnapshot() {
+      throw new Error("Invalid query: orderBy on a missing field.");
+    },
+  };
+
+  await assert.rejects(
+    registry.start({ kind: "query", source, target: "emulator", path: "users" }),
+    /Watch failed to start: Invalid query/,
+  );
+  assert.deepEqual(registry.list(), []);
+  assert.equal(registry.stopAll(), 0);
+});
+
+test("watches: refuses more than MAX_WATCHES listeners", async () => {
+  const { db, registry } = setup();
+  const start = () =>
+    registry.start({
+      kind: "query",
+      source: db.collection("users"),
+      target: "emulator",
+      path: "users",
+    });
+  for (let i = 0; i < MAX_WATCHES; i++) await start();
+
+  assert.throws(start, /Too many watches/);
+  registry.stopAll();
+});
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getPromptDefinitions, getPrompt } from "../../src/prompts/index.js";
+
+const EXPECTED_PROMPTS = [
+  "explore_collection",
+  "debug_document",
+  "compare_targets",
+  "plan_migration",
+];
+
+const BOTH = { availableTargets: ["emulator", "production"], defaultTarget: "emulator" };
+const EMULATOR_ONLY = { availableTargets: ["emulator"], defaultTarget: "emulator" };
+
+function text(result) {
+  return result.messages[0].content.text;
+}
+
+test("getPromptDefinitions: returns all registered prompts", () => {
+  const defs = getPromptDefinitions();
+  assert.deepEqual(
+    defs.map(d => d.name),
+    EXPECTED_PROMPTS,
+  );
+  for (const def of defs) {
+    assert.ok(def.description, `${def.name} has a description`);
+    assert.ok(
+      def.arguments.some(a => a.required),
+      `${def.name} has a required argument`,
+    );
+  }
+});
+
+test("getPrompt: fills in the arguments and configured targets", () => {
+  const result = getPrompt("explore_collection", { collection: "users" }, BOTH);
+
+  assert.equal(result.messages.length, 1);
+  assert.equal(result.messages[0].role, "user");
+  assert.match(text(result), /"users" on the emulator target/);
+  assert.match(text(result), /Configured targets: emulator \(default\), production\./);
+  assert.match(text(result), /infer_schema/);
+});
+
+test("getPrompt: debug_document compares with the other target when configured", () => {
+  const args = { path: "users/uid", symptom: "blank profile", target: "production" };
+  const both = text(getPrompt("debug_document", args, BOTH));
+  assert.match(both, /collection "users", docId "uid"/);
+  assert.match(both, /Reported problem: blank profile/);
+  assert.match(both, /compareTarget "emulator"/);
+
+  const single = text(getPrompt("debug_document", { path: "users/uid" }, EMULATOR_ONLY));
+  assert.doesNotMatch(single, /diff/);
+});
+
+test("getPrompt: compare_targets warns when only one target is configured", () => {
+  assert.match(
+    text(getPrompt("compare_targets", { path: "users" }, EMULATOR_ONLY)),
+    /Only one target is configured/,
+  );
+  const both = text(
+    getPrompt(
+      "compare_targets",
+      { path: "users", ignoreFields: "updatedAt, etag" },
+      BOTH,
+    ),
+  );
+  assert.match(both, /ignoreFields \["updatedAt","etag"\]/);
+  assert.doesNotMatch(both, /Only one target/);
+});
+
+test("getPrompt: plan_migration includes the change and asks for approval", () => {
+  const result = text(
+    getPrompt(
+      "plan_migration",
+      { collection: "users", change: "rename fullName to name", target: "production" },
+      BOTH,
+    ),
+  );
+  assert.match(result, /on the production target: rename fullName to name/);
+  assert.match(result, /seed_emulator/);
+  assert.match(result, /wait for approval/);
+});
+
+test("getPrompt: rejects unknown prompts, missing arguments and targets", () => {
+  assert.throws(() => getPrompt("nope", {}, BOTH), /Unknown prompt: nope/);
+  assert.throws(
+    () => getPrompt("plan_migration", { collection: "users" }, BOTH),
+    /Missing required argument "change"/,
+  );
+  assert.throws(
+    () =>
+      getPrompt(
+        "explore_collection",
+        { collection: "users", target: "production" },
+        EMULATOR_ONLY,
+      ),
+    /Unknown target "production"/,
+  );
+});
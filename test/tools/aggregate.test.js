@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { handler } from "../../src/tools/aggregate.js";
+import { makeDb } from "../fakes/firestore.js";
+
+function seedDb() {
+  return makeDb({
+    orders: [
+      { id: "a", status: "paid", total: 100 },
+      { id: "b", status: "paid", total: 50 },
+      { id: "c", status: "pending", total: 999 },
+    ],
+  });
+}
+
+test("aggregate: computes count, sum and average with default aliases", async () => {
+  const res = await handler(
+    {
+      collection: "orders",
+      where: [["status", "==", "paid"]],
+      aggregations: [
+        { type: "count" },
+        { type: "sum", field: "total" },
+        { type: "average", field: "total" },
+      ],
+    },
+    seedDb(),
+  );
+
+  assert.equal(res.collection, "orders");
+  assert.equal(res.query, 'status == "paid"');
+  assert.deepEqual(res.aggregations, { count: 2, sum_total: 150, average_total: 75 });
+});
+
+test("aggregate: honors aliases and filter trees", async () => {
+  const res = await handler(
+    {
+      collection: "orders",
+      filter: {
+        or: [
+          ["status", "==", "pending"],
+          ["total", "<", "60"],
+        ],
+      },
+      aggregations: [{ type: "sum", field: "total", alias: "revenue" }],
+    },
+    seedDb(),
+  );
+  assert.deepEqual(res.aggregations, { revenue: 1049 });
+});
+
+test("aggregate: average over no matching documents is null", async () => {
+  const res = await handler(
+    {
+      collection: "orders",
+      where: [["status", "==", "refunded"]],
+      aggregations: [{ type: "average", field: "total" }],
+    },
+    seedDb(),
+  );
+  assert.deepEqual(res.aggregations, { average_total: null });
+});
+
+test("aggregate: validates the aggregation list", async () => {
+  const db = seedDb();
+  await assert.rejects(
+    () => handler({ collection: "orders", aggregations: [] }, db),
+    /non-empty array/,
+  );
+  await assert.rejects(
+    () => handler({ collection: "orders", aggregations: [{ type: "sum" }] }, db),
+    /'sum' requires a field/,
+  );
+  await assert.rejects(
+    () => handler({ collection: "orders", aggregations: [{ type: "count" }, null] }, db),
+    /Invalid aggregations\[1\]: expected an object/,
+  );
+  await assert.rejects(
+    () =>
+      handler({ collection: "orders", aggregations: [{ type: "max", field: "x" }] }, db),
+    /type must be one of count, sum, average/,
+  );
+  await assert.rejects(
+    () =>
+      handler(
+        { collection: "orders", aggregations: [{ type: "count" }, { type: "count" }] },
+        db,
+      ),
+    /duplicate alias "count"/,
+  );
+  await assert.rejects(
+    () =>
+      handler(
+        {
+          collection: "orders",
+          aggregations: Array.from({ length: 6 }, (_, i) => ({
+            type: "count",
+            alias: `c${i}`,
+          })),
+        },
+        db,
+      ),
+    /maximum is 5/,
+  );
+});
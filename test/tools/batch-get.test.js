@@ -25,3 +25,21 @@ test("batch_get: fetches multiple docs, marking missing ones", async () => {
   );
   assert.equal(res.documents[1].data, null);
 });
+
+test("batch_get: select projects every fetched document", async () => {
+  const db = makeDb({
+    users: [
+      { id: "a", name: "Ada", age: 30 },
+      { id: "b", name: "Bo", age: 25 },
+    ],
+  });
+  const res = await handler(
+    { collection: "users", docIds: ["a", "b"], select: ["name"], maxDepth: 0 },
+    db,
+  );
+  assert.deepEqual(
+    res.documents.map(d => d.data),
+    [{ name: "Ada" }, { name: "Bo" }],
+  );
+  assert.equal(res.truncated, undefined);
+});
@@ -0,0 +1,207 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Timestamp } from "firebase-admin/firestore";
+import { handler } from "../../src/tools/batch-write.js";
+import { makeDb } from "../fakes/firestore.js";
+import { TARGETS } from "../../src/constants.js";
+
+function seedDb() {
+  return makeDb({
+    users: [
+      { id: "a", name: "Ada", age: 30 },
+      { id: "b", name: "Bo", age: 25 },
+    ],
+  });
+}
+
+test("batch_write: applies mixed operations in order in one commit", async () => {
+  const db = seedDb();
+  const res = await handler(
+    {
+      operations: [
+        { op: "create", collection: "users", docId: "c", data: { name: "Cy" } },
+        { op: "set", collection: "users", docId: "a", data: { age: 31 }, merge: true },
+        { op: "update", collection: "users", docId: "b", data: { age: 26 } },
+        { op: "delete", collection: "users", docId: "c" },
+      ],
+    },
+    db,
+  );
+
+  assert.equal(res.count, 4);
+  assert.equal(res.batches, 1);
+  assert.equal(res.atomic, true);
+  assert.equal(db.commits, 1);
+  assert.deepEqual(
+    res.results.map(r => `${r.op}:${r.id}`),
+    ["create:c", "set:a", "update:b", "delete:c"],
+  );
+  assert.equal(res.results[1].merge, true);
+  assert.deepEqual(db.data.users.a, { name: "Ada", age: 31 });
+  assert.deepEqual(db.data.users.b, { name: "Bo", age: 26 });
+  assert.equal(db.data.users.c, undefined);
+});
+
+test("batch_write: create without docId gets a generated id", async () => {
+  const db = makeDb();
+  const res = await handler(
+    { operations: [{ op: "create", collection: "logs", data: { msg: "hi" } }] },
+    db,
+  );
+  assert.ok(res.results[0].id);
+  assert.deepEqual(db.data.logs[res.results[0].id], { msg: "hi" });
+});
+
+test("batch_write: decodes typed values in operation data", async () => {
+  const db = makeDb();
+  await handler(
+    {
+      operations: [
+        {
+          op: "set",
+          collection: "events",
+          docId: "e1",
+          data: { at: { __type: "timestamp", value: "2024-01-01T00:00:00Z" } },
+        },
+      ],
+    },
+    db,
+  );
+  assert.ok(db.data.events.e1.at instanceof Timestamp);
+});
+
+test("batch_write: validates every operation before committing anything", async () => {
+  const db = seedDb();
+  await assert.rejects(
+    () =>
+      handler(
+        {
+          operations: [
+            { op: "delete", collection: "users", docId: "a" },
+            { op: "update", collection: "users", data: { x: 1 } },
+          ],
+        },
+        db,
+      ),
+    /Operation 1: docId is required for update/,
+  );
+  assert.equal(db.commits, 0);
+  assert.ok(db.data.users.a, "nothing was deleted");
+});
+
+test("batch_write: prefixes typed-value errors with the operation index", async () => {
+  const db = seedDb();
+  await assert.rejects(
+    () =>
+      handler(
+        {
+          operations: [
+            { op: "set", collection: "users", docId: "a", data: { x: 1 } },
+            {
+              op: "set",
+              collection: "users",
+              docId: "b",
+              data: { v: { __type: "vector", values: "nope" } },
+            },
+          ],
+        },
+        db,
+      ),
+    /Operation 1: Invalid vector value/,
+  );
+  assert.equal(db.commits, 0);
+});
+
+test("batch_write: rejects empty and unknown operations", async () => {
+  const db = seedDb();
+  await assert.rejects(() => handler({ operations: [] }, db), /non-empty array/);
+  await assert.rejects(
+    () => handler({ operations: [{ op: "upsert", collection: "users" }] }, db),
+    /op must be one of/,
+  );
+});
+
+test("batch_write: splits more than 500 operations into chunks", async () => {
+  const db = makeDb();
+  const operations = Array.from({ length: 501 }, (_, i) => ({
+    op: "set",
+    collection: "items",
+    docId: `d${i}`,
+    data: { n: i },
+  }));
+  const res = await handler({ operations }, db);
+
+  assert.equal(res.batches, 2);
+  assert.equal(res.atomic, false);
+  assert.equal(db.commits, 2);
+  assert.equal(Object.keys(db.data.items).length, 501);
+});
+
+test("batch_write: SDK validation errors in a later chunk commit nothing", async () => {
+  const db = makeDb();
+  const batch = db.batch.bind(db);
+  db.batch = () => {
+    const b = batch();
+    const set = b.set.bind(b);
+    b.set = (ref, data, options) => {
+      if (ref.id === "d500") throw new Error('Value for argument "data" is not valid.');
+      return set(ref, data, options);
+    };
+    return b;
+  };
+  const operations = Array.from({ length: 501 }, (_, i) => ({
+    op: "set",
+    collection: "items",
+    docId: `d${i}`,
+    data: { n: i },
+  }));
+  await assert.rejects(
+    () => handler({ operations }, db),
+    /Operation 500: Value for argument "data" is not valid/,
+  );
+  assert.equal(db.commits, 0);
+  assert.equal(db.data.items, undefined);
+});
+
+test("batch_write: reports how far a chunked write got when a commit fails", async () => {
+  const db = makeDb();
+  db.failCommitAt = 1;
+  const operations = Array.from({ length: 600 }, (_, i) => ({
+    op: "set",
+    collection: "items",
+    docId: `d${i}`,
+    data: { n: i },
+  }));
+  await assert.rejects(
+    () => handler({ operations }, db),
+    /Batch 2\/2 failed; 1 batch\(es\) \(operations 0-499\) were already committed/,
+  );
+  assert.equal(Object.keys(db.data.items).length, 500);
+});
+
+test("batch_write: says nothing was committed when the first chunk fails", async () => {
+  const db = makeDb();
+  db.failCommitAt = 0;
+  await assert.rejects(
+    () =>
+      handler(
+        { operations: [{ op: "set", collection: "items", docId: "d0", data: { n: 0 } }] },
+        db,
+      ),
+    /Batch 1\/1 failed; no operations were committed: commit failed/,
+  );
+});
+
+test("batch_write: refuses production write without confirm", async () => {
+  const db = seedDb();
+  await assert.rejects(
+    () =>
+      handler(
+        { operations: [{ op: "delete", collection: "users", docId: "a" }] },
+        db,
+        TARGETS.PRODUCTION,
+      ),
+    /production/i,
+  );
+  assert.equal(db.commits, 0);
+});
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { handler } from "../../src/tools/collection-group-query.js";
+import { makeDb } from "../fakes/firestore.js";
+
+function seedDb() {
+  return makeDb({
+    "users/uid/posts": [
+      { id: "p1", status: "draft", n: 1 },
+      { id: "p2", status: "live", n: 2 },
+    ],
+    "users/uid2/posts": [{ id: "p3", status: "live", n: 3 }],
+    "teams/t1/posts": [{ id: "p4", status: "live", n: 4 }],
+    posts: [{ id: "p5", status: "live", n: 5 }],
+  });
+}
+
+test("collection_group_query: matches the collection name at every depth", async () => {
+  const res = await handler({ collectionId: "posts", orderBy: "n" }, seedDb());
+
+  assert.equal(res.collectionId, "posts");
+  assert.equal(res.count, 5);
+  assert.deepEqual(
+    res.documents.map(d => d.path),
+    [
+      "users/uid/posts/p1",
+      "users/uid/posts/p2",
+      "users/uid2/posts/p3",
+      "teams/t1/posts/p4",
+      "posts/p5",
+    ],
+  );
+  assert.equal(res.lastDocPath, "posts/p5");
+});
+
+test("collection_group_query: applies where clauses", async () => {
+  const res = await handler(
+    { collectionId: "posts", where: [["status", "==", "draft"]] },
+    seedDb(),
+  );
+  assert.equal(res.query, 'status == "draft"');
+  assert.deepEqual(
+    res.documents.map(d => d.id),
+    ["p1"],
+  );
+});
+
+test("collection_group_query: pathPrefix keeps only the subtree, not siblings", async () => {
+  const res = await handler({ collectionId: "posts", pathPrefix: "users/uid" }, seedDb());
+  assert.equal(res.pathPrefix, "users/uid");
+  assert.deepEqual(res.documents.map(d => d.path).sort(), [
+    "users/uid/posts/p1",
+    "users/uid/posts/p2",
+  ]);
+});
+
+test("collection_group_query: paginates with a full document path", async () => {
+  const db = seedDb();
+  const first = await handler({ collectionId: "posts", orderBy: "n", limit: 2 }, db);
+  assert.equal(first.lastDocPath, "users/uid/posts/p2");
+
+  const second = await handler(
+    { collectionId: "posts", orderBy: "n", limit: 2, startAfter: first.lastDocPath },
+    db,
+  );
+  assert.deepEqual(
+    second.documents.map(d => d.id),
+    ["p3", "p4"],
+  );
+});
+
+test("collection_group_query: rejects paths as collectionId and bad prefixes", async () => {
+  await assert.rejects(
+    () => handler({ collectionId: "users/uid/posts" }, seedDb()),
+    /single collection name/,
+  );
+  await assert.rejects(
+    () => handler({ collectionId: "posts", pathPrefix: "users" }, seedDb()),
+    /even number of segments/,
+  );
+});
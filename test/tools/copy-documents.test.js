@@ -0,0 +1,161 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Timestamp } from "firebase-admin/firestore";
+import { handler } from "../../src/tools/copy-documents.js";
+import { makeDb } from "../fakes/firestore.js";
+import { TARGETS } from "../../src/constants.js";
+
+function seedSource() {
+  const db = makeDb({
+    users: [
+      { id: "a", name: "Ada", plan: "pro", joined: new Timestamp(5, 0) },
+      { id: "b", name: "Bo", plan: "free" },
+    ],
+    "users/a/posts": [{ id: "p1", title: "Hi" }],
+  });
+  db.data.users.b.bestFriend = db.doc("users/a");
+  return db;
+}
+
+/** Context whose getDb resolves the other target to `other`. */
+function contextFor(other) {
+  return { getDb: target => ({ db: other, target }) };
+}
+
+test("copy_documents: copies a collection tree to another target", async () => {
+  const source = seedSource();
+  const dest = makeDb({});
+  const res = await handler(
+    {
+      source: "users",
+      destination: "users",
+      destinationTarget: TARGETS.EMULATOR,
+      recursive: true,
+    },
+    source,
+    TARGETS.PRODUCTION,
+    contextFor(dest),
+  );
+
+  assert.equal(res.operation, "copy_documents");
+  assert.deepEqual(res.source, { target: TARGETS.PRODUCTION, path: "users" });
+  assert.deepEqual(res.destination, { target: TARGETS.EMULATOR, path: "users" });
+  assert.equal(res.count, 3);
+  assert.equal(res.written, 3);
+  assert.equal(res.failed, 0);
+
+  assert.ok(dest.data.users.a.joined instanceof Timestamp);
+  assert.deepEqual(dest.data["users/a/posts"], { p1: { title: "Hi" } });
+  const ref = dest.data.users.b.bestFriend;
+  assert.equal(ref.path, "users/a");
+  assert.equal(ref.db, dest, "references point into the destination database");
+  assert.ok(source.data.users.a, "a copy keeps the source");
+});
+
+test("copy_documents: copies matching documents to another path", async () => {
+  const db = seedSource();
+  const res = await handler(
+    { source: "users", destination: "archive", where: [["plan", "==", "free"]] },
+    db,
+    TARGETS.EMULATOR,
+  );
+
+  assert.equal(res.query, 'plan == "free"');
+  assert.equal(res.written, 1);
+  assert.deepEqual(Object.keys(db.data.archive), ["b"]);
+});
+
+test("copy_documents: moves a document with its subcollections", async () => {
+  const db = seedSource();
+  const res = await handler(
+    { source: "users/a", destination: "people/ada", recursive: true, move: true },
+    db,
+    TARGETS.EMULATOR,
+  );
+
+  assert.equal(res.move, true);
+  assert.equal(res.written, 2);
+  assert.equal(res.deleted, 2);
+  assert.equal(db.data.people.ada.name, "Ada");
+  assert.deepEqual(db.data["people/ada/posts"], { p1: { title: "Hi" } });
+  assert.equal(db.data.users.a, undefined);
+  assert.deepEqual(db.data["users/a/posts"], {});
+});
+
+test("copy_documents: dry run reports the plan and existing destinations", async () => {
+  const db = seedSource();
+  db.data.archive = { a: { old: true } };
+  const res = await handler(
+    { source: "users", destination: "archive", dryRun: true },
+    db,
+    TARGETS.PRODUCTION,
+  );
+
+  assert.deepEqual(res.plan, { create: 1, conflict: 1 });
+  assert.deepEqual(res.existing, ["archive/a"]);
+  assert.deepEqual(res.sample[0], { from: "users/a", to: "archive/a" });
+  assert.equal(db.writes.length, 0);
+});
+
+test("copy_documents: conflict policies decide about existing documents", async () => {
+  const db = seedSource();
+  db.data.archive = { a: { old: true } };
+
+  await assert.rejects(
+    () => handler({ source: "users", destination: "archive" }, db, TARGETS.EMULATOR),
+    /1 destination document\(s\) already exist \(archive\/a\)\. Nothing was written/,
+  );
+  assert.equal(db.data.archive.b, undefined);
+
+  const skipped = await handler(
+    { source: "users", destination: "archive", conflict: "skip", move: true },
+    db,
+    TARGETS.EMULATOR,
+  );
+  assert.equal(skipped.written, 1);
+  assert.equal(skipped.skipped, 1);
+  assert.equal(skipped.deleted, 1, "only copied sources are deleted");
+  assert.deepEqual(db.data.archive.a, { old: true });
+  assert.ok(db.data.users.a, "the skipped source is kept");
+});
+
+test("copy_documents: refuses writes to production without confirm", async () => {
+  const source = seedSource();
+  const dest = makeDb({});
+  await assert.rejects(
+    () =>
+      handler(
+        { source: "users", destination: "users", destinationTarget: TARGETS.PRODUCTION },
+        source,
+        TARGETS.EMULATOR,
+        contextFor(dest),
+      ),
+    /production/i,
+  );
+  await assert.rejects(
+    () =>
+      handler(
+        { source: "users/a", destination: "users/a2", move: true },
+        source,
+        TARGETS.PRODUCTION,
+      ),
+    /production/i,
+  );
+  assert.equal(dest.writes.length + source.writes.length, 0);
+});
+
+test("copy_documents: validates paths", async () => {
+  const db = seedSource();
+  await assert.rejects(
+    () => handler({ source: "users", destination: "users/x" }, db, TARGETS.EMULATOR),
+    /collection source needs a collection path/,
+  );
+  await assert.rejects(
+    () => handler({ source: "users", destination: "users" }, db, TARGETS.EMULATOR),
+    /same path on the same target/,
+  );
+  await assert.rejects(
+    () => handler({ source: "users/zz", destination: "users/yy" }, db, TARGETS.EMULATOR),
+    /not found/,
+  );
+});
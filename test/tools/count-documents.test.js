@@ -26,3 +26,24 @@ test("count_documents: counts with a where filter and echoes the clause", async
   assert.equal(res.count, 2);
   assert.deepEqual(res.where, where);
 });
+
+test("count_documents: counts with an OR filter tree and echoes it", async () => {
+  const filter = {
+    or: [
+      ["role", "==", "admin"],
+      ["role", "==", "user"],
+    ],
+  };
+  const res = await handler({ collection: "users", filter }, seedDb());
+  assert.equal(res.count, 3);
+  assert.deepEqual(res.filter, filter);
+});
+
+test("count_documents: explain adds the plan and execution statistics", async () => {
+  const where = [["role", "==", "admin"]];
+  const res = await handler({ collection: "users", where, explain: true }, seedDb());
+  assert.equal(res.count, 2);
+  assert.equal(res.explain.resultsReturned, 1);
+  assert.equal(res.explain.indexesUsed[0].properties, "(role ASC, __name__ ASC)");
+  assert.equal((await handler({ collection: "users" }, seedDb())).explain, undefined);
+});
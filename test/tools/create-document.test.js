@@ -3,6 +3,7 @@ import assert from "node:assert/strict";
 import { handler } from "../../src/tools/create-document.js";
 import { makeDb } from "../fakes/firestore.js";
 import { TARGETS } from "../../src/constants.js";
+import { Timestamp } from "firebase-admin/firestore";
 
 test("create_document: writes with an explicit docId", async () => {
   const db = makeDb();
@@ -42,3 +43,23 @@ test("create_document: rejects empty data", async () => {
     /at least one field/,
   );
 });
+
+test("create_document: decodes tagged values before writing", async () => {
+  const db = makeDb({ users: [{ id: "a", name: "Ada" }] });
+  await handler(
+    {
+      collection: "posts",
+      docId: "p1",
+      data: {
+        createdAt: { __type: "timestamp", value: "2024-01-01T00:00:00Z" },
+        author: { __type: "reference", path: "users/a" },
+      },
+    },
+    db,
+  );
+
+  const written = db.data.posts.p1;
+  assert.ok(written.createdAt instanceof Timestamp);
+  assert.equal(written.createdAt.toMillis(), Date.UTC(2024, 0, 1));
+  assert.equal(written.author.id, "a");
+});
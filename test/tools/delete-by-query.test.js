@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { handler } from "../../src/tools/delete-by-query.js";
+import { makeDb } from "../fakes/firestore.js";
+import { TARGETS } from "../../src/constants.js";
+
+function seedOrders() {
+  return makeDb({
+    orders: [
+      { id: "o1", userId: "x", total: 10 },
+      { id: "o2", userId: "y", total: 20 },
+      { id: "o3", userId: "x", total: 30 },
+    ],
+  });
+}
+
+test("delete_by_query: dry run reports the matching count and sample ids", async () => {
+  const db = seedOrders();
+  const res = await handler(
+    { collection: "orders", where: [["userId", "==", "x"]], dryRun: true },
+    db,
+    TARGETS.PRODUCTION,
+  );
+
+  assert.equal(res.dryRun, true);
+  assert.equal(res.query, 'userId == "x"');
+  assert.equal(res.matching, 2);
+  assert.deepEqual(res.sampleIds, ["o1", "o3"]);
+  assert.equal(db.writes.length, 0);
+});
+
+test("delete_by_query: deletes only the matching documents", async () => {
+  const db = seedOrders();
+  const res = await handler(
+    { collection: "orders", where: [["userId", "==", "x"]] },
+    db,
+    TARGETS.EMULATOR,
+  );
+
+  assert.equal(res.operation, "delete_by_query");
+  assert.equal(res.matched, 2);
+  assert.equal(res.deleted, 2);
+  assert.equal(res.failed, 0);
+  assert.deepEqual(Object.keys(db.data.orders), ["o2"]);
+});
+
+test("delete_by_query: accepts a filter tree", async () => {
+  const db = seedOrders();
+  const res = await handler(
+    {
+      collection: "orders",
+      filter: {
+        or: [
+          ["userId", "==", "y"],
+          ["total", ">", "25"],
+        ],
+      },
+    },
+    db,
+    TARGETS.EMULATOR,
+  );
+  assert.equal(res.deleted, 2);
+  assert.deepEqual(Object.keys(db.data.orders), ["o1"]);
+});
+
+test("delete_by_query: refuses when more documents match than maxDocuments", async () => {
+  const db = seedOrders();
+  await assert.rejects(
+    () =>
+      handler(
+        { collection: "orders", where: [["total", ">", "0"]], maxDocuments: 2 },
+        db,
+        TARGETS.EMULATOR,
+      ),
+    /More than 2 documents match\. Nothing was written/,
+  );
+  assert.equal(Object.keys(db.data.orders).length, 3);
+});
+
+test("delete_by_query: reports per-document failures", async () => {
+  const db = seedOrders();
+  db.failDeletes = ["orders/o3"];
+  const res = await handler(
+    { collection: "orders", where: [["userId", "==", "x"]] },
+    db,
+    TARGETS.EMULATOR,
+  );
+  assert.equal(res.deleted, 1);
+  assert.equal(res.failed, 1);
+  assert.deepEqual(res.failures, [
+    { index: 1, path: "orders/o3", error: "delete failed: orders/o3" },
+  ]);
+});
+
+test("delete_by_query: requires conditions and production confirmation", async () => {
+  const db = seedOrders();
+  await assert.rejects(
+    () => handler({ collection: "orders" }, db, TARGETS.EMULATOR),
+    /Provide 'where' clauses or a 'filter'/,
+  );
+  await assert.rejects(
+    () =>
+      handler(
+        { collection: "orders", where: [["userId", "==", "x"]] },
+        db,
+        TARGETS.PRODUCTION,
+      ),
+    /production/i,
+  );
+  assert.equal(Object.keys(db.data.orders).length, 3);
+});
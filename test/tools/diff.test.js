@@ -0,0 +1,142 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Timestamp } from "firebase-admin/firestore";
+import { handler } from "../../src/tools/diff.js";
+import { makeDb } from "../fakes/firestore.js";
+import { TARGETS } from "../../src/constants.js";
+
+function seedBoth() {
+  const emulator = makeDb({
+    users: [
+      { id: "a", name: "Ada", plan: "pro", at: new Timestamp(1, 0) },
+      { id: "b", name: "Bo", plan: "free" },
+      { id: "c", name: "Cy", plan: "free" },
+    ],
+  });
+  const production = makeDb({
+    users: [
+      { id: "a", name: "Ada", plan: "pro", at: new Timestamp(2, 0) },
+      { id: "b", name: "Bo", plan: "free" },
+      { id: "d", name: "Di", plan: "free" },
+    ],
+  });
+  return { emulator, production };
+}
+
+function contextFor(other) {
+  return { getDb: target => ({ db: other, target }) };
+}
+
+test("diff: compares a collection against the other target", async () => {
+  const { emulator, production } = seedBoth();
+  const res = await handler(
+    { path: "users" },
+    emulator,
+    TARGETS.EMULATOR,
+    contextFor(production),
+  );
+
+  assert.deepEqual(res.base, { target: TARGETS.EMULATOR, path: "users" });
+  assert.deepEqual(res.compare, { target: TARGETS.PRODUCTION, path: "users" });
+  assert.equal(res.compared, 4);
+  assert.deepEqual(res.summary, { added: 1, removed: 1, changed: 1, unchanged: 1 });
+  assert.deepEqual(res.added, ["d"]);
+  assert.deepEqual(res.removed, ["c"]);
+  assert.deepEqual(res.changed, [
+    {
+      id: "a",
+      changes: [
+        {
+          op: "replace",
+          field: "at",
+          from: { __type: "timestamp", value: "1970-01-01T00:00:01.000000000Z" },
+          to: { __type: "timestamp", value: "1970-01-01T00:00:02.000000000Z" },
+        },
+      ],
+    },
+  ]);
+});
+
+test("diff: a query compares every id matching on either side", async () => {
+  const { emulator, production } = seedBoth();
+  production.data.users.b.plan = "pro";
+  const res = await handler(
+    { path: "users", where: [["plan", "==", "pro"]], ignoreFields: ["at"] },
+    emulator,
+    TARGETS.EMULATOR,
+    contextFor(production),
+  );
+
+  assert.equal(res.query, 'plan == "pro"');
+  assert.deepEqual(res.summary, { added: 0, removed: 0, changed: 1, unchanged: 1 });
+  assert.deepEqual(res.changed[0], {
+    id: "b",
+    changes: [{ op: "replace", field: "plan", from: "free", to: "pro" }],
+  });
+});
+
+test("diff: compares listed ids and flags a limit cut", async () => {
+  const { emulator, production } = seedBoth();
+  const byIds = await handler(
+    { path: "users", docIds: ["b", "c", "zz"] },
+    emulator,
+    TARGETS.EMULATOR,
+    contextFor(production),
+  );
+  assert.deepEqual(byIds.summary, { added: 0, removed: 1, changed: 0, unchanged: 1 });
+  assert.equal(byIds.truncated, undefined);
+
+  const limited = await handler(
+    { path: "users", limit: 1 },
+    emulator,
+    TARGETS.EMULATOR,
+    contextFor(production),
+  );
+  assert.equal(limited.truncated, true);
+
+  const exact = await handler(
+    { path: "users", limit: 3 },
+    emulator,
+    TARGETS.EMULATOR,
+    contextFor(production),
+  );
+  assert.equal(exact.truncated, undefined, "exactly `limit` documents is not a cut");
+  assert.equal(exact.summary.added + exact.summary.removed, 2);
+});
+
+test("diff: compares two documents on the same target", async () => {
+  const { emulator } = seedBoth();
+  const res = await handler(
+    { path: "users/b", comparePath: "users/c" },
+    emulator,
+    TARGETS.EMULATOR,
+  );
+  assert.deepEqual(res.compare, { target: TARGETS.EMULATOR, path: "users/c" });
+  assert.equal(res.status, "changed");
+  assert.deepEqual(res.changes, [{ op: "replace", field: "name", from: "Bo", to: "Cy" }]);
+
+  const added = await handler(
+    { path: "users/zz", comparePath: "users/a" },
+    emulator,
+    TARGETS.EMULATOR,
+  );
+  assert.equal(added.status, "added");
+  assert.equal(added.document.name, "Ada");
+});
+
+test("diff: rejects mismatched or identical sides", async () => {
+  const { emulator } = seedBoth();
+  await assert.rejects(
+    () => handler({ path: "users", comparePath: "users/a" }, emulator, TARGETS.EMULATOR),
+    /expected a collection path/,
+  );
+  await assert.rejects(
+    () =>
+      handler(
+        { path: "users", compareTarget: TARGETS.EMULATOR },
+        emulator,
+        TARGETS.EMULATOR,
+      ),
+    /Nothing to compare/,
+  );
+});
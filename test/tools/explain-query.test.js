@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { handler } from "../../src/tools/explain-query.js";
+import { makeDb } from "../fakes/firestore.js";
+
+function seed() {
+  return makeDb({
+    orders: [
+      { id: "o1", status: "paid", total: 5 },
+      { id: "o2", status: "open", total: 9 },
+      { id: "o3", status: "paid", total: 1 },
+    ],
+  });
+}
+
+test("explain_query: reports indexes and execution statistics", async () => {
+  const res = await handler(
+    { collection: "orders", where: [["status", "==", "paid"]], orderBy: "total" },
+    seed(),
+  );
+
+  assert.equal(res.analyze, true);
+  assert.equal(res.limit, 100, "analyze runs a limited query by default");
+  assert.ok(res.query);
+  assert.deepEqual(res.explain, {
+    indexesUsed: [
+      { query_scope: "Collection", properties: "(status ASC, total ASC, __name__ ASC)" },
+    ],
+    resultsReturned: 2,
+    documentsScanned: 3,
+    indexEntriesScanned: 3,
+    readOperations: 3,
+    executionTimeMs: 1.5,
+  });
+});
+
+test("explain_query: analyze false only plans the query", async () => {
+  const res = await handler({ collection: "orders", analyze: false, limit: 1 }, seed());
+
+  assert.equal(res.analyze, false);
+  assert.deepEqual(Object.keys(res.explain), ["indexesUsed"]);
+});
+
+test("explain_query: rejects a bad limit", async () => {
+  await assert.rejects(
+    handler({ collection: "orders", limit: 0 }, seed()),
+    /Invalid limit/,
+  );
+  await assert.rejects(
+    handler({ collection: "orders", limit: 1001 }, seed()),
+    /Invalid limit: expected an integer from 1 to 1000/,
+  );
+});
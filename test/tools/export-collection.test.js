@@ -0,0 +1,210 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  mkdir,
+  mkdtemp,
+  readFile,
+  readdir,
+  realpath,
+  symlink,
+  writeFile,
+} from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { Timestamp } from "firebase-admin/firestore";
+import { handler } from "../../src/tools/export-collection.js";
+import { makeDb } from "../fakes/firestore.js";
+
+function seedDb() {
+  return makeDb({
+    users: [
+      { id: "a", name: "Ada", role: "admin", joined: new Timestamp(0, 0) },
+      { id: "b", name: "Bob", role: "user", address: { city: "Oslo", zip: "0150" } },
+      { id: "c", name: 'Cy, "the" third', role: "admin", tags: ["x", "y"] },
+    ],
+    "users/a/posts": [{ id: "p1", title: "Hello" }],
+    "users/a/posts/p1/comments": [{ id: "c1", text: "Hi" }],
+  });
+}
+
+// Exports may only be written inside the export directory.
+const exportRoot = await realpath(await mkdtemp(join(tmpdir(), "export-test-")));
+process.env.MCP_FIRESTORE_EXPORT_DIR = exportRoot;
+
+async function tempPath(name) {
+  const dir = await mkdtemp(join(exportRoot, "run-"));
+  return join(dir, name);
+}
+
+async function readLines(path) {
+  return (await readFile(path, "utf8")).trim().split("\n");
+}
+
+test("export_collection: writes NDJSON with typed values and reports progress", async () => {
+  const path = await tempPath("users.ndjson");
+  const progress = [];
+  const res = await handler({ collection: "users", path }, seedDb(), "emulator", {
+    reportProgress: async (done, total, message) => progress.push([done, message]),
+  });
+
+  assert.equal(res.operation, "export_collection");
+  assert.equal(res.format, "ndjson");
+  assert.equal(res.path, path);
+  assert.equal(res.count, 3);
+  assert.equal(res.collections, 1);
+  assert.ok(res.bytes > 0);
+
+  const records = (await readLines(path)).map(line => JSON.parse(line));
+  assert.deepEqual(
+    records.map(r => r.path),
+    ["users/a", "users/b", "users/c"],
+  );
+  assert.deepEqual(records[0].data.joined, {
+    __type: "timestamp",
+    value: "1970-01-01T00:00:00.000000000Z",
+  });
+  assert.deepEqual(progress, [[3, "Exported 3 documents"]]);
+});
+
+test("export_collection: exports a filtered query as a JSON array", async () => {
+  const path = await tempPath("admins.json");
+  const res = await handler(
+    { collection: "users", path, format: "json", where: [["role", "==", "admin"]] },
+    seedDb(),
+  );
+
+  assert.equal(res.query, 'role == "admin"');
+  const records = JSON.parse(await readFile(path, "utf8"));
+  assert.deepEqual(
+    records.map(r => r.id),
+    ["a", "c"],
+  );
+});
+
+test("export_collection: writes an empty JSON array when nothing matches", async () => {
+  const path = await tempPath("none.json");
+  const res = await handler(
+    { collection: "users", path, format: "json", where: [["role", "==", "ghost"]] },
+    seedDb(),
+  );
+  assert.equal(res.count, 0);
+  assert.deepEqual(JSON.parse(await readFile(path, "utf8")), []);
+});
+
+test("export_collection: flattens maps into CSV columns and quotes cells", async () => {
+  const path = await tempPath("users.csv");
+  await handler({ collection: "users", path, format: "csv" }, seedDb());
+
+  const lines = await readLines(path);
+  assert.equal(lines[0], "__id,__path,name,role,joined,address.city,address.zip,tags");
+  assert.equal(
+    lines[1],
+    'a,users/a,Ada,admin,"{""__type"":""timestamp"",""value"":""1970-01-01T00:00:00.000000000Z""}",,,',
+  );
+  assert.equal(lines[2], 'b,users/b,Bob,user,,Oslo,"""0150""",');
+  assert.equal(lines[3], 'c,users/c,"Cy, ""the"" third",admin,,,,"[""x"",""y""]"');
+  // the row spool is cleaned up
+  assert.deepEqual(await readdir(join(path, "..")), ["users.csv"]);
+});
+
+test("export_collection: recurses into subcollections at any depth", async () => {
+  const path = await tempPath("tree.ndjson");
+  const res = await handler({ collection: "users", path, recursive: true }, seedDb());
+
+  assert.equal(res.count, 5);
+  assert.equal(res.collections, 3);
+  const paths = (await readLines(path)).map(line => JSON.parse(line).path);
+  assert.deepEqual(paths, [
+    "users/a",
+    "users/a/posts/p1",
+    "users/a/posts/p1/comments/c1",
+    "users/b",
+    "users/c",
+  ]);
+});
+
+test("export_collection: pages through large collections and honors limit", async () => {
+  const docs = Array.from({ length: 1200 }, (_, i) => ({
+    id: `d${String(i).padStart(4, "0")}`,
+    n: i,
+  }));
+  const db = makeDb({ items: docs });
+
+  const all = await handler(
+    { collection: "items", path: await tempPath("all.ndjson") },
+    db,
+  );
+  assert.equal(all.count, 1200);
+  const ids = (await readLines(all.path)).map(line => JSON.parse(line).id);
+  assert.equal(new Set(ids).size, 1200);
+
+  const some = await handler(
+    { collection: "items", path: await tempPath("some.ndjson"), limit: 700 },
+    db,
+  );
+  assert.equal(some.count, 700);
+});
+
+test("export_collection: refuses to overwrite unless asked", async () => {
+  const path = await tempPath("existing.ndjson");
+  await writeFile(path, "keep me");
+
+  await assert.rejects(
+    () => handler({ collection: "users", path }, seedDb()),
+    /already exists\. Pass overwrite: true/,
+  );
+  assert.equal(await readFile(path, "utf8"), "keep me");
+
+  const res = await handler({ collection: "users", path, overwrite: true }, seedDb());
+  assert.equal(res.count, 3);
+});
+
+test("export_collection: stops when the request is cancelled", async () => {
+  const path = await tempPath("cancelled.ndjson");
+
+  await assert.rejects(
+    () =>
+      handler({ collection: "users", path }, seedDb(), "emulator", {
+        signal: { aborted: true },
+      }),
+    /Export failed after 0 documents: Export cancelled\./,
+  );
+  assert.deepEqual(await readdir(join(path, "..")), []);
+});
+
+test("export_collection: rejects unknown formats", async () => {
+  const path = await tempPath("x.xml");
+  await assert.rejects(
+    () => handler({ collection: "users", path, format: "xml" }, seedDb()),
+    /Invalid format: expected one of ndjson, json, csv/,
+  );
+});
+
+test("export_collection: resolves relative paths against the export directory", async () => {
+  const res = await handler(
+    { collection: "users", path: "nested/dir/users.ndjson" },
+    seedDb(),
+  );
+  assert.equal(res.path, join(exportRoot, "nested/dir/users.ndjson"));
+  assert.equal((await readLines(res.path)).length, 3);
+});
+
+test("export_collection: refuses paths outside the export directory", async () => {
+  const outside = await mkdtemp(join(tmpdir(), "export-outside-"));
+  await mkdir(join(exportRoot, "links"), { recursive: true });
+  await symlink(outside, join(exportRoot, "links", "out"));
+
+  for (const path of [
+    "../escape.ndjson",
+    join(outside, "abs.ndjson"),
+    "links/out/via-link.ndjson",
+    ".",
+  ]) {
+    await assert.rejects(
+      () => handler({ collection: "users", path }, seedDb()),
+      /exports are restricted to .*MCP_FIRESTORE_EXPORT_DIR/,
+      path,
+    );
+  }
+  assert.deepEqual(await readdir(outside), []);
+});
@@ -21,3 +21,23 @@ test("get_document: supports subcollection paths", async () => {
   assert.equal(res.exists, true);
   assert.deepEqual(res.data, { title: "Hi" });
 });
+
+test("get_document: select uses a field mask and shaping marks truncation", async () => {
+  const db = makeDb({
+    users: [{ id: "a", name: "Ada", bio: "long text here", address: { city: "Oslo" } }],
+  });
+  const res = await handler(
+    {
+      collection: "users",
+      docId: "a",
+      select: ["bio", "address.city"],
+      maxStringLength: 4,
+    },
+    db,
+  );
+  assert.deepEqual(res.data, {
+    bio: { __type: "truncated", reason: "string", value: "long", length: 14 },
+    address: { city: "Oslo" },
+  });
+  assert.deepEqual(res.truncated, { fields: 1 });
+});
@@ -0,0 +1,185 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, realpath, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { Timestamp } from "firebase-admin/firestore";
+import { handler } from "../../src/tools/import-documents.js";
+import { handler as exportCollection } from "../../src/tools/export-collection.js";
+import { makeDb } from "../fakes/firestore.js";
+
+// The round-trip tests export into the temp directory.
+process.env.MCP_FIRESTORE_EXPORT_DIR = await realpath(tmpdir());
+
+async function tempFile(name, content) {
+  const dir = await mkdtemp(join(tmpdir(), "import-test-"));
+  const path = join(dir, name);
+  if (content !== undefined) await writeFile(path, content);
+  return path;
+}
+
+const USERS_NDJSON = [
+  {
+    id: "a",
+    name: "Ada",
+    joined: { __type: "timestamp", value: "1970-01-01T00:00:01Z" },
+  },
+  { id: "b", name: "Bob" },
+]
+  .map(r => JSON.stringify(r))
+  .join("\n");
+
+test("import_documents: creates documents and decodes typed values", async () => {
+  const db = makeDb({});
+  const path = await tempFile("users.ndjson", USERS_NDJSON);
+  const res = await handler({ path, collection: "users" }, db, "emulator");
+
+  assert.equal(res.operation, "import_documents");
+  assert.equal(res.format, "ndjson");
+  assert.equal(res.conflict, "fail");
+  assert.equal(res.count, 2);
+  assert.equal(res.written, 2);
+  assert.equal(res.failed, 0);
+  assert.ok(db.data.users.a.joined instanceof Timestamp);
+  assert.deepEqual(db.data.users.b, { name: "Bob" });
+});
+
+test("import_documents: round-trips an export, including subcollections", async () => {
+  const source = makeDb({
+    users: [{ id: "a", n: 1, at: new Timestamp(5, 0) }],
+    "users/a/posts": [{ id: "p1", title: "Hi" }],
+  });
+  const path = await tempFile("tree.ndjson");
+  await exportCollection({ collection: "users", path, recursive: true }, source);
+
+  const db = makeDb({});
+  const res = await handler({ path }, db, "emulator");
+  assert.equal(res.written, 2);
+  assert.deepEqual(db.data, source.data);
+});
+
+test("import_documents: round-trips a CSV export, keeping numeric-looking strings", async () => {
+  const source = makeDb({
+    users: [
+      {
+        id: "007",
+        zip: "02134",
+        flag: "true",
+        none: "null",
+        list: "[1]",
+        quoted: '"hi"',
+        blank: "",
+        n: 12,
+        tiny: 1e-7,
+        on: false,
+        address: { city: "Oslo", code: "0150" },
+        at: new Timestamp(5, 0),
+      },
+    ],
+  });
+  const path = await tempFile("users.csv");
+  await exportCollection({ collection: "users", path, format: "csv" }, source);
+
+  const db = makeDb({});
+  const res = await handler({ path }, db, "emulator");
+  assert.equal(res.written, 1);
+  assert.deepEqual(db.data, source.data);
+});
+
+test("import_documents: reads CSV with an id column", async () => {
+  const db = makeDb({});
+  const path = await tempFile("p.csv", "sku,name,price,dims.w\nx1,Lamp,12.5,30\n");
+  await handler({ path, collection: "products", idField: "sku" }, db, "emulator");
+  assert.deepEqual(db.data.products.x1, { name: "Lamp", price: 12.5, dims: { w: 30 } });
+});
+
+test("import_documents: dry run reports the plan without writing", async () => {
+  const db = makeDb({ users: [{ id: "a", name: "Old" }] });
+  const path = await tempFile("users.ndjson", USERS_NDJSON);
+
+  const res = await handler(
+    { path, collection: "users", conflict: "overwrite", dryRun: true },
+    db,
+    "production",
+  );
+  assert.equal(res.dryRun, true);
+  assert.deepEqual(res.plan, { create: 1, overwrite: 1 });
+  assert.deepEqual(res.existing, ["users/a"]);
+  assert.deepEqual(db.writes, []);
+});
+
+test("import_documents: 'fail' aborts before writing when documents exist", async () => {
+  const db = makeDb({ users: [{ id: "a", name: "Old" }] });
+  const path = await tempFile("users.ndjson", USERS_NDJSON);
+
+  await assert.rejects(
+    () => handler({ path, collection: "users" }, db, "emulator"),
+    /Import aborted: 1 document\(s\) already exist \(users\/a\)\. Nothing was written/,
+  );
+  assert.deepEqual(db.writes, []);
+});
+
+test("import_documents: 'skip', 'overwrite' and 'merge' handle existing documents", async () => {
+  const path = await tempFile("users.ndjson", USERS_NDJSON);
+  const seed = () => makeDb({ users: [{ id: "a", name: "Old", age: 40 }] });
+
+  let db = seed();
+  let res = await handler(
+    { path, collection: "users", conflict: "skip" },
+    db,
+    "emulator",
+  );
+  assert.deepEqual([res.written, res.skipped, res.failed], [1, 1, 0]);
+  assert.equal(db.data.users.a.name, "Old");
+
+  db = seed();
+  await handler({ path, collection: "users", conflict: "overwrite" }, db, "emulator");
+  assert.equal(db.data.users.a.age, undefined);
+  assert.equal(db.data.users.a.name, "Ada");
+
+  db = seed();
+  await handler({ path, collection: "users", conflict: "merge" }, db, "emulator");
+  assert.equal(db.data.users.a.age, 40);
+  assert.equal(db.data.users.a.name, "Ada");
+});
+
+test("import_documents: validates every record before writing", async () => {
+  const db = makeDb({});
+  const path = await tempFile("bad.ndjson", '{"id":"a","n":1}\n{"id":"a","n":2}\n');
+  await assert.rejects(
+    () => handler({ path, collection: "users" }, db, "emulator"),
+    /Record 1: duplicate document "users\/a" \(also record 0\)/,
+  );
+
+  const noPath = await tempFile("nopath.ndjson", '{"n":1}\n');
+  await assert.rejects(
+    () => handler({ path: noPath }, db, "emulator"),
+    /Record 0: no document path/,
+  );
+  assert.deepEqual(db.writes, []);
+});
+
+test("import_documents: production writes need confirm, dry runs do not", async () => {
+  const path = await tempFile("users.ndjson", USERS_NDJSON);
+  await assert.rejects(
+    () => handler({ path, collection: "users" }, makeDb({}), "production"),
+    /Refusing production write/,
+  );
+  const res = await handler(
+    { path, collection: "users", confirm: true },
+    makeDb({}),
+    "production",
+  );
+  assert.equal(res.written, 2);
+});
+
+test("import_documents: reports unreadable files", async () => {
+  await assert.rejects(
+    () =>
+      handler(
+        { path: join(tmpdir(), "missing-import.ndjson"), collection: "u" },
+        makeDb({}),
+      ),
+    /Cannot read ".*missing-import\.ndjson"/,
+  );
+});
@@ -10,8 +10,27 @@ const EXPECTED_TOOLS = [
   "create_document",
   "update_document",
   "delete_document",
+  "recursive_delete",
+  "delete_by_query",
+  "update_by_query",
   "count_documents",
+  "explain_query",
   "batch_get",
+  "batch_write",
+  "run_transaction",
+  "collection_group_query",
+  "aggregate",
+  "vector_search",
+  "export_collection",
+  "import_documents",
+  "copy_documents",
+  "diff",
+  "seed_emulator",
+  "watch_query",
+  "watch_document",
+  "list_watches",
+  "stop_watch",
+  "infer_schema",
 ];
 
 test("getToolDefinitions: returns all registered tools", () => {
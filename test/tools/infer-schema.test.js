@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Timestamp } from "firebase-admin/firestore";
+import { handler } from "../../src/tools/infer-schema.js";
+import { makeDb } from "../fakes/firestore.js";
+
+test("infer_schema: reads small collections whole and lists subcollections", async () => {
+  const db = makeDb({
+    "user-profiles": [
+      { id: "a", name: "Ada", joined: new Timestamp(0, 0) },
+      { id: "b", name: "Bob" },
+    ],
+    "user-profiles/a/posts": [{ id: "p1", title: "Hi" }],
+  });
+  const res = await handler(
+    { collection: "user-profiles", emit: ["jsonSchema", "typescript"] },
+    db,
+  );
+
+  assert.equal(res.totalDocuments, 2);
+  assert.equal(res.sampled, 2);
+  assert.equal(res.sampling, "all");
+  assert.deepEqual(res.fields[1], {
+    path: "joined",
+    types: { timestamp: 1 },
+    presence: 50,
+    examples: [{ __type: "timestamp", value: "1970-01-01T00:00:00.000000000Z" }],
+  });
+  assert.deepEqual(res.subcollections, [{ id: "posts", seenIn: 1 }]);
+  assert.equal(res.jsonSchema.title, "UserProfiles");
+  assert.match(
+    res.typescript,
+    /^interface UserProfiles \{\n {2}name: string;\n {2}joined\?: Timestamp;/,
+  );
+});
+
+test("infer_schema: samples distinct documents across the id range", async () => {
+  const docs = Array.from({ length: 300 }, (_, i) => ({
+    id: `${"0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz"[i % 62]}${i}`,
+    n: i,
+  }));
+  const db = makeDb({ items: docs });
+
+  const res = await handler({ collection: "items", sampleSize: 50, maxExamples: 0 }, db);
+  assert.equal(res.totalDocuments, 300);
+  assert.equal(res.sampling, "random-id-ranges");
+  assert.equal(res.sampled, 50);
+  assert.deepEqual(res.fields, [{ path: "n", types: { number: 50 }, presence: 100 }]);
+});
+
+test("infer_schema: validates options", async () => {
+  const db = makeDb({ items: [] });
+  await assert.rejects(
+    () => handler({ collection: "items", sampleSize: 5000 }, db),
+    /Invalid sampleSize: expected an integer from 1 to 1000/,
+  );
+  await assert.rejects(
+    () => handler({ collection: "items", emit: ["yaml"] }, db),
+    /Invalid emit/,
+  );
+});
@@ -46,3 +46,96 @@ test("query_collection: empty collection omits lastDocId", async () => {
   assert.equal(res.count, 0);
   assert.equal(res.lastDocId, undefined);
 });
+
+test("query_collection: select projects fields and maxBytes moves the cursor back", async () => {
+  const db = makeDb({
+    posts: [
+      { id: "p1", rank: 1, title: "one", body: "x".repeat(200) },
+      { id: "p2", rank: 2, title: "two", body: "y".repeat(200) },
+    ],
+  });
+  const projected = await handler(
+    { collection: "posts", orderBy: "rank", select: ["title"] },
+    db,
+  );
+  // the orderBy field is kept so the page cursor can be built
+  assert.deepEqual(projected.documents[0].data, { title: "one", rank: 1 });
+  assert.equal(projected.truncated, undefined);
+
+  const capped = await handler(
+    { collection: "posts", orderBy: "rank", maxBytes: 100 },
+    db,
+  );
+  assert.equal(capped.count, 1);
+  assert.equal(capped.lastDocId, "p1", "next page resumes after the last returned doc");
+  assert.deepEqual(capped.truncated, { omittedDocuments: 1 });
+});
+
+test("query_collection: rejects an empty select", async () => {
+  await assert.rejects(
+    () => handler({ collection: "posts", select: [] }, makeDb()),
+    /Invalid select/,
+  );
+});
+
+test("query_collection: nextCursor continues without re-reading the cursor document", async () => {
+  const db = makeDb({
+    posts: [
+      { id: "p1", rank: 1 },
+      { id: "p2", rank: 2 },
+      { id: "p3", rank: 3 },
+    ],
+  });
+  const first = await handler({ collection: "posts", orderBy: "rank", limit: 2 }, db);
+  delete db.data.posts.p2; // the legacy startAfter would silently restart here
+
+  const next = await handler(
+    { collection: "posts", orderBy: "rank", limit: 2, cursor: first.nextCursor },
+    db,
+  );
+  assert.deepEqual(
+    next.documents.map(d => d.id),
+    ["p3"],
+  );
+});
+
+test("query_collection: pages through a multi-field ordering with ties", async () => {
+  const db = makeDb({
+    tasks: [
+      { id: "t1", status: "open", n: 1 },
+      { id: "t2", status: "done", n: 5 },
+      { id: "t3", status: "open", n: 1 },
+      { id: "t4", status: "open", n: 3 },
+      { id: "t5", status: "done", n: 5 },
+    ],
+  });
+  const orderBy = [{ field: "status" }, { field: "n", direction: "desc" }];
+  const seen = [];
+  let cursor;
+  do {
+    const page = await handler({ collection: "tasks", orderBy, limit: 2, cursor }, db);
+    seen.push(...page.documents.map(d => d.id));
+    cursor = page.documents.length === 2 ? page.nextCursor : undefined;
+  } while (cursor);
+
+  assert.deepEqual(seen, ["t5", "t2", "t4", "t3", "t1"]);
+});
+
+test("query_collection: legacy startAfter follows the same id tiebreaker", async () => {
+  const db = makeDb({
+    posts: [
+      { id: "p1", rank: 1 },
+      { id: "p2", rank: 1 },
+      { id: "p3", rank: 1 },
+    ],
+  });
+  const first = await handler({ collection: "posts", orderBy: "rank", limit: 2 }, db);
+  const next = await handler(
+    { collection: "posts", orderBy: "rank", startAfter: first.lastDocId },
+    db,
+  );
+  assert.deepEqual(
+    [...first.documents, ...next.documents].map(d => d.id),
+    ["p1", "p2", "p3"],
+  );
+});
@@ -1,6 +1,10 @@
 import { test } from "node:test";
 import assert from "node:assert/strict";
 import { handler } from "../../src/tools/query-with-where.js";
+import { Timestamp } from "firebase-admin/firestore";
+import { mkdtemp, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
 import { makeDb } from "../fakes/firestore.js";
 
 function seedDb() {
@@ -72,3 +76,261 @@ test("query_with_where: empty result omits lastDocId", async () => {
   assert.equal(res.count, 0);
   assert.equal(res.lastDocId, undefined);
 });
+
+test("query_with_where: accepts an OR filter tree combined with where", async () => {
+  const db = seedDb();
+  const res = await handler(
+    {
+      collection: "users",
+      where: [["age", "<", "35"]],
+      filter: {
+        or: [
+          ["role", "==", "user"],
+          ["age", "==", "30"],
+        ],
+      },
+    },
+    db,
+  );
+  assert.equal(res.query, 'age < 35 AND (role == "user" OR age == 30)');
+  assert.deepEqual(res.documents.map(d => d.id).sort(), ["a", "b"]);
+});
+
+test("query_with_where: supports not-in", async () => {
+  const res = await handler(
+    { collection: "users", where: [["role", "not-in", '["admin"]']] },
+    seedDb(),
+  );
+  assert.deepEqual(
+    res.documents.map(d => d.id),
+    ["b"],
+  );
+});
+
+test("query_with_where: rejects filters over Firestore's limits before querying", async () => {
+  await assert.rejects(
+    () =>
+      handler(
+        {
+          collection: "users",
+          filter: {
+            or: [
+              ["role", "not-in", ["x"]],
+              ["age", "==", 1],
+            ],
+          },
+        },
+        seedDb(),
+      ),
+    /'not-in' cannot be combined with 'or'/,
+  );
+});
+
+test("query_with_where: pages forward and back with opaque cursors", async () => {
+  const db = makeDb({
+    users: Array.from({ length: 5 }, (_, i) => ({
+      id: `u${i}`,
+      role: "admin",
+      age: 20 + i,
+    })),
+  });
+  const base = {
+    collection: "users",
+    where: [["role", "==", "admin"]],
+    orderBy: "age",
+    limit: 2,
+  };
+
+  const first = await handler(base, db);
+  assert.deepEqual(
+    first.documents.map(d => d.id),
+    ["u0", "u1"],
+  );
+
+  const second = await handler({ ...base, cursor: first.nextCursor }, db);
+  assert.deepEqual(
+    second.documents.map(d => d.id),
+    ["u2", "u3"],
+  );
+
+  const back = await handler({ ...base, cursor: second.prevCursor }, db);
+  assert.deepEqual(
+    back.documents.map(d => d.id),
+    ["u0", "u1"],
+  );
+});
+
+test("query_with_where: limitToLast returns the final matches in order", async () => {
+  const res = await handler(
+    {
+      collection: "users",
+      where: [["age", ">", "0"]],
+      orderBy: "age",
+      limitToLast: true,
+      limit: 2,
+    },
+    seedDb(),
+  );
+  assert.deepEqual(
+    res.documents.map(d => d.id),
+    ["a", "c"],
+  );
+});
+
+test("query_with_where: rejects a cursor issued for a different filter", async () => {
+  const db = seedDb();
+  const first = await handler(
+    { collection: "users", where: [["role", "==", "admin"]], limit: 1 },
+    db,
+  );
+  await assert.rejects(
+    () =>
+      handler(
+        {
+          collection: "users",
+          where: [["role", "==", "user"]],
+          cursor: first.nextCursor,
+        },
+        db,
+      ),
+    /Cursor does not match this query/,
+  );
+});
+
+test("query_with_where: typed values match string zip codes and timestamps", async () => {
+  const db = makeDb({
+    places: [
+      { id: "a", zip: "02134", opened: new Timestamp(1704067200, 0) },
+      { id: "b", zip: "2134", opened: new Timestamp(1600000000, 0) },
+      { id: "c", zip: 2134 },
+    ],
+  });
+
+  const byZip = await handler(
+    { collection: "places", where: [["zip", "==", { type: "string", value: "2134" }]] },
+    db,
+  );
+  assert.deepEqual(
+    byZip.documents.map(d => d.id),
+    ["b"],
+  );
+  assert.equal(byZip.query, 'zip == "2134"');
+
+  const recent = await handler(
+    {
+      collection: "places",
+      where: [["opened", ">=", { type: "timestamp", value: "2024-01-01T00:00:00Z" }]],
+    },
+    db,
+  );
+  assert.deepEqual(
+    recent.documents.map(d => d.id),
+    ["a"],
+  );
+  assert.equal(
+    recent.query,
+    'opened >= {"__type":"timestamp","value":"2024-01-01T00:00:00.000000000Z"}',
+  );
+});
+
+test("query_with_where: typed reference values in filter trees and legacy clauses", async () => {
+  const db = makeDb({ posts: [{ id: "p1" }, { id: "p2" }] });
+  db.data.posts.p1.author = db.doc("users/a");
+  db.data.posts.p2.author = db.doc("users/b");
+
+  const res = await handler(
+    {
+      collection: "posts",
+      filter: { or: [["author", "==", { type: "reference", value: "users/b" }]] },
+    },
+    db,
+  );
+  assert.deepEqual(
+    res.documents.map(d => d.id),
+    ["p2"],
+  );
+  assert.equal(res.query, 'author == {"__type":"reference","path":"users/b"}');
+
+  const legacy = await handler(
+    {
+      collection: "posts",
+      field: "author",
+      operator: "==",
+      value: { type: "reference", value: "users/a" },
+    },
+    db,
+  );
+  assert.deepEqual(
+    legacy.documents.map(d => d.id),
+    ["p1"],
+  );
+});
+
+test("query_with_where: explain returns documents plus execution statistics", async () => {
+  const res = await handler(
+    { collection: "users", where: [["role", "==", "admin"]], explain: true },
+    seedDb(),
+  );
+
+  assert.equal(res.count, 2);
+  assert.equal(res.explain.resultsReturned, 2);
+  assert.equal(res.explain.documentsScanned, 3);
+  assert.equal(res.explain.readOperations, 3);
+});
+
+test("query_with_where: reports a composite index missing from firestore.indexes.json", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "indexes-test-"));
+  const file = join(dir, "firestore.indexes.json");
+  await writeFile(file, JSON.stringify({ indexes: [] }));
+  const args = {
+    collection: "users",
+    where: [["role", "==", "admin"]],
+    orderBy: "age",
+  };
+  const prev = process.env.MCP_FIRESTORE_INDEXES_FILE;
+  process.env.MCP_FIRESTORE_INDEXES_FILE = file;
+  try {
+    const res = await handler(args, seedDb());
+    assert.equal(res.count, 2);
+    assert.equal(res.missingIndex.indexesFile, file);
+    assert.deepEqual(res.missingIndex.fields, [
+      { fieldPath: "role", order: "ASCENDING" },
+      { fieldPath: "age", order: "ASCENDING" },
+    ]);
+
+    const entry = JSON.parse(res.missingIndex.snippet);
+    await writeFile(file, JSON.stringify({ indexes: [entry] }));
+    assert.equal((await handler(args, seedDb())).missingIndex, undefined);
+  } finally {
+    if (prev === undefined) delete process.env.MCP_FIRESTORE_INDEXES_FILE;
+    else process.env.MCP_FIRESTORE_INDEXES_FILE = prev;
+  }
+});
+
+test("query_with_where: derives the index from where when legacy fields are also set", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "indexes-test-"));
+  const file = join(dir, "firestore.indexes.json");
+  await writeFile(file, JSON.stringify({ indexes: [] }));
+  const prev = process.env.MCP_FIRESTORE_INDEXES_FILE;
+  process.env.MCP_FIRESTORE_INDEXES_FILE = file;
+  try {
+    const res = await handler(
+      {
+        collection: "users",
+        where: [["role", "==", "admin"]],
+        field: "age",
+        operator: ">",
+        value: 0,
+        orderBy: "age",
+      },
+      seedDb(),
+    );
+    assert.deepEqual(
+      res.missingIndex.fields.map(f => f.fieldPath),
+      ["role", "age"],
+    );
+  } finally {
+    if (prev === undefined) delete process.env.MCP_FIRESTORE_INDEXES_FILE;
+    else process.env.MCP_FIRESTORE_INDEXES_FILE = prev;
+  }
+});
@@ -0,0 +1,161 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { handler } from "../../src/tools/recursive-delete.js";
+import { makeDb } from "../fakes/firestore.js";
+import { TARGETS } from "../../src/constants.js";
+
+function seedTree() {
+  return makeDb({
+    users: [
+      { id: "a", name: "Ada" },
+      { id: "b", name: "Bo" },
+    ],
+    "users/a/posts": [
+      { id: "p1", title: "One" },
+      { id: "p2", title: "Two" },
+    ],
+    "users/a/posts/p1/comments": [{ id: "c1", text: "Hi" }],
+    // "ghost" has no document of its own, only a subcollection
+    "users/ghost/likes": [{ id: "l1" }],
+    teams: [{ id: "t", name: "Core" }],
+  });
+}
+
+test("recursive_delete: previews a collection tree without deleting", async () => {
+  const db = seedTree();
+  const res = await handler({ path: "users" }, db, TARGETS.EMULATOR);
+
+  assert.equal(res.preview, true);
+  assert.equal(res.kind, "collection");
+  assert.equal(res.totalDocuments, 6);
+  assert.deepEqual(res.collections, [
+    { path: "users", documents: 2 },
+    { path: "users/a/posts", documents: 2 },
+    { path: "users/a/posts/p1/comments", documents: 1 },
+    { path: "users/ghost/likes", documents: 1 },
+  ]);
+  assert.match(res.message, /execute: true/);
+  assert.equal(res.partial, undefined);
+  assert.equal(db.writes.length, 0);
+  assert.ok(db.data.users.a);
+});
+
+test("recursive_delete: previews a document with its subcollections", async () => {
+  const db = seedTree();
+  const res = await handler({ path: "users/a" }, db, TARGETS.EMULATOR);
+
+  assert.equal(res.kind, "document");
+  assert.equal(res.documentExists, true);
+  assert.equal(res.totalDocuments, 4);
+  assert.deepEqual(
+    res.collections.map(c => c.path),
+    ["users/a/posts", "users/a/posts/p1/comments"],
+  );
+});
+
+test("recursive_delete: deletes a document and everything beneath it", async () => {
+  const db = seedTree();
+  const res = await handler({ path: "users/a", execute: true }, db, TARGETS.EMULATOR);
+
+  assert.deepEqual(res, {
+    operation: "recursive_delete",
+    path: "users/a",
+    kind: "document",
+    deleted: 4,
+    failed: 0,
+  });
+  assert.deepEqual(Object.keys(db.data.users), ["b"]);
+  assert.deepEqual(db.data["users/a/posts"], {});
+  assert.deepEqual(db.data["users/a/posts/p1/comments"], {});
+  assert.ok(db.data["users/ghost/likes"].l1, "siblings are untouched");
+});
+
+test("recursive_delete: deletes a whole collection on production with confirm", async () => {
+  const db = seedTree();
+  const progress = [];
+  const res = await handler(
+    { path: "users", execute: true, confirm: true },
+    db,
+    TARGETS.PRODUCTION,
+    { reportProgress: async (...p) => progress.push(p) },
+  );
+
+  assert.equal(res.deleted, 6);
+  assert.deepEqual(db.data.users, {});
+  assert.deepEqual(db.data["users/ghost/likes"], {});
+  assert.ok(db.data.teams.t, "other collections are untouched");
+  assert.deepEqual(progress.at(-1), [6, undefined, "Deleted 6 documents"]);
+});
+
+test("recursive_delete: refuses production deletes without confirm", async () => {
+  const db = seedTree();
+  await assert.rejects(
+    () => handler({ path: "users", execute: true }, db, TARGETS.PRODUCTION),
+    /Refusing production write/,
+  );
+  assert.ok(db.data.users.a, "nothing was deleted");
+
+  const res = await handler({ path: "users", confirm: true }, db, TARGETS.PRODUCTION);
+  assert.equal(res.preview, true, "confirm alone only previews");
+  assert.ok(db.data.users.a);
+});
+
+test("recursive_delete: stops walking subcollections past the preview budget", async () => {
+  const db = makeDb({
+    big: Array.from({ length: 1001 }, (_, i) => ({ id: `d${i}` })),
+    "big/d0/sub": [{ id: "s1" }],
+  });
+  const res = await handler({ path: "big" }, db, TARGETS.EMULATOR);
+
+  assert.equal(res.partial, true);
+  assert.equal(res.totalDocuments, 1001);
+  assert.deepEqual(res.collections, [{ path: "big", documents: 1001 }]);
+  assert.match(res.message, /at least these 1001 documents/);
+});
+
+test("recursive_delete: reports documents that failed to delete", async () => {
+  const db = seedTree();
+  db.failDeletes = ["users/a/posts/p2"];
+  const res = await handler({ path: "users/a", execute: true }, db, TARGETS.EMULATOR);
+
+  assert.equal(res.deleted, 3);
+  assert.equal(res.failed, 1);
+  assert.equal(res.failures[0].path, "users/a/posts/p2");
+  assert.ok(db.data["users/a/posts"].p2, "the failed document remains");
+});
+
+test("recursive_delete: closes the BulkWriter when the delete fails", async () => {
+  const db = seedTree();
+  const writers = [];
+  const bulkWriter = db.bulkWriter.bind(db);
+  db.bulkWriter = () => {
+    writers.push(bulkWriter());
+    return writers.at(-1);
+  };
+  db.recursiveDelete = async () => {
+    throw new Error("listing failed");
+  };
+  await assert.rejects(
+    () => handler({ path: "users", execute: true }, db, TARGETS.EMULATOR),
+    /Recursive delete failed after 0 documents: listing failed/,
+  );
+  assert.equal(writers.length, 1);
+  assert.equal(writers[0].closed, true);
+});
+
+test("recursive_delete: an empty path previews nothing to delete", async () => {
+  const db = seedTree();
+  const res = await handler({ path: "missing" }, db, TARGETS.EMULATOR);
+  assert.equal(res.totalDocuments, 0);
+  assert.deepEqual(res.collections, []);
+  assert.equal(res.message, "Nothing to delete.");
+});
+
+test("recursive_delete: rejects malformed paths", async () => {
+  const db = seedTree();
+  await assert.rejects(() => handler({ path: "" }, db, TARGETS.EMULATOR), /Invalid path/);
+  await assert.rejects(
+    () => handler({ path: "users//posts" }, db, TARGETS.EMULATOR),
+    /empty segments/,
+  );
+});
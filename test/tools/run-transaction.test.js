@@ -0,0 +1,148 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Timestamp } from "firebase-admin/firestore";
+import { handler } from "../../src/tools/run-transaction.js";
+import { makeDb } from "../fakes/firestore.js";
+import { TARGETS } from "../../src/constants.js";
+
+function seedDb() {
+  return makeDb({
+    orders: [
+      { id: "o1", status: "paid", meta: { region: "eu" }, paidAt: new Timestamp(100, 0) },
+    ],
+    shipments: [{ id: "s1", state: "pending" }],
+  });
+}
+
+const shipWrite = {
+  op: "update",
+  collection: "shipments",
+  docId: "s1",
+  data: { state: "ready" },
+};
+
+test("run_transaction: commits writes when all preconditions hold", async () => {
+  const db = seedDb();
+  const res = await handler(
+    {
+      reads: [{ alias: "order", collection: "orders", docId: "o1" }],
+      preconditions: [
+        { read: "order", field: "status", check: "equals", value: "paid" },
+        { read: "order", field: "meta.region", check: "exists" },
+        { read: "order", field: "refundedAt", check: "not-exists" },
+        {
+          read: "order",
+          field: "paidAt",
+          check: "equals",
+          value: { __type: "timestamp", value: "1970-01-01T00:01:40Z" },
+        },
+      ],
+      writes: [shipWrite],
+    },
+    db,
+  );
+
+  assert.equal(res.status, "committed");
+  assert.equal(res.reads[0].alias, "order");
+  assert.equal(res.reads[0].data.status, "paid");
+  assert.deepEqual(res.writes, [
+    { index: 0, op: "update", collection: "shipments", id: "s1" },
+  ]);
+  assert.equal(db.data.shipments.s1.state, "ready");
+});
+
+test("run_transaction: skips writes and reports actual values on failure", async () => {
+  const db = seedDb();
+  const res = await handler(
+    {
+      reads: [{ alias: "order", collection: "orders", docId: "o1" }],
+      preconditions: [{ read: "order", field: "status", check: "equals", value: "new" }],
+      writes: [shipWrite],
+    },
+    db,
+  );
+
+  assert.equal(res.status, "precondition_failed");
+  assert.deepEqual(res.failedPreconditions, [
+    {
+      index: 0,
+      read: "order",
+      field: "status",
+      check: "equals",
+      expected: "new",
+      actual: "paid",
+    },
+  ]);
+  assert.equal(res.writes, undefined);
+  assert.equal(db.data.shipments.s1.state, "pending");
+});
+
+test("run_transaction: document-level existence checks use the default alias", async () => {
+  const db = seedDb();
+  const res = await handler(
+    {
+      reads: [{ collection: "orders", docId: "ghost" }],
+      preconditions: [{ read: "orders/ghost", check: "exists" }],
+      writes: [shipWrite],
+    },
+    db,
+  );
+  assert.equal(res.status, "precondition_failed");
+  assert.deepEqual(res.failedPreconditions, [
+    { index: 0, read: "orders/ghost", check: "exists", documentExists: false },
+  ]);
+});
+
+test("run_transaction: rejects preconditions on unknown reads", async () => {
+  await assert.rejects(
+    () =>
+      handler(
+        {
+          reads: [],
+          preconditions: [{ read: "nope", check: "exists" }],
+          writes: [shipWrite],
+        },
+        seedDb(),
+      ),
+    /Precondition 0: unknown read "nope"/,
+  );
+});
+
+test("run_transaction: prefixes every read, precondition and write error with its index", async () => {
+  const reads = [
+    { collection: "orders", docId: "o1" },
+    { collection: "orders/o1", docId: "x" },
+  ];
+  await assert.rejects(
+    () => handler({ reads, writes: [shipWrite] }, seedDb()),
+    /^Error: Read 1: /,
+  );
+
+  const preconditions = [
+    { read: "orders/o1", check: "exists" },
+    { read: "orders/o1", field: "at", check: "equals", value: { __type: "timestamp" } },
+  ];
+  await assert.rejects(
+    () =>
+      handler({ reads: reads.slice(0, 1), preconditions, writes: [shipWrite] }, seedDb()),
+    /^Error: Precondition 1: Invalid timestamp/,
+  );
+
+  await assert.rejects(
+    () => handler({ writes: [shipWrite, { op: "update", collection: "x" }] }, seedDb()),
+    /^Error: Operation 1: docId is required/,
+  );
+});
+
+test("run_transaction: requires at least one write", async () => {
+  await assert.rejects(() => handler({ writes: [] }, seedDb()), /non-empty array/);
+});
+
+test("run_transaction: refuses production write without confirm", async () => {
+  const db = seedDb();
+  await assert.rejects(
+    () => handler({ writes: [shipWrite] }, db, TARGETS.PRODUCTION),
+    /production/i,
+  );
+  assert.equal(db.data.shipments.s1.state, "pending");
+});
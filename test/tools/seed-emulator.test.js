@@ -0,0 +1,223 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Timestamp } from "firebase-admin/firestore";
+import { handler } from "../../src/tools/seed-emulator.js";
+import { makeDb } from "../fakes/firestore.js";
+import { TARGETS } from "../../src/constants.js";
+
+function setup() {
+  const users = Array.from({ length: 20 }, (_, i) => ({
+    id: `u${String(i).padStart(2, "0")}`,
+    email: `user${i}@corp.io`,
+    name: `User ${i}`,
+    plan: i % 2 ? "pro" : "free",
+    joined: new Timestamp(i, 0),
+  }));
+  const production = makeDb({
+    users,
+    "users/u01/orders": [
+      { id: "o1", total: 5 },
+      { id: "o2", total: 6 },
+    ],
+  });
+  production.data.users.u01.manager = production.doc("users/u00");
+  const emulator = makeDb({});
+  const context = {
+    getDb: target => ({
+      db: target === TARGETS.PRODUCTION ? production : emulator,
+      target,
+    }),
+  };
+  return { production, emulator, context };
+}
+
+test("seed_emulator: copies an anonymized query result with subcollections", async () => {
+  const { production, emulator, context } = setup();
+  const res = await handler(
+    {
+      collections: [{ collection: "users", where: [["plan", "==", "pro"]], limit: 2 }],
+      recursive: true,
+      anonymize: [
+        { field: "email", action: "hash" },
+        { field: "name", action: "fake", collection: "users" },
+      ],
+    },
+    emulator,
+    TARGETS.EMULATOR,
+    context,
+  );
+
+  assert.equal(res.operation, "seed_emulator");
+  assert.equal(res.count, 4);
+  assert.equal(res.written, 4);
+  assert.deepEqual(res.collections, [
+    { path: "users", documents: 2 },
+    { path: "users/u01/orders", documents: 2 },
+  ]);
+  assert.deepEqual(
+    res.anonymized.map(r => r.values),
+    [2, 2],
+  );
+
+  const seeded = emulator.data.users.u01;
+  assert.notEqual(seeded.email, "user1@corp.io");
+  assert.match(seeded.email, /@example\.com$/);
+  assert.notEqual(seeded.name, "User 1");
+  assert.ok(seeded.joined instanceof Timestamp);
+  assert.equal(seeded.manager.db, emulator, "references point into the emulator");
+  assert.deepEqual(emulator.data["users/u01/orders"].o1, { total: 5 });
+  assert.equal(production.writes.length, 0, "production is only read");
+});
+
+test("seed_emulator: samples a percentage at random", async () => {
+  const { emulator, context } = setup();
+  const res = await handler(
+    { collections: [{ collection: "users", percent: 25 }] },
+    emulator,
+    TARGETS.EMULATOR,
+    context,
+  );
+  assert.equal(res.written, 5);
+  assert.equal(Object.keys(emulator.data.users).length, 5);
+});
+
+test("seed_emulator: dry run shows anonymized samples without writing", async () => {
+  const { emulator, context } = setup();
+  const res = await handler(
+    {
+      collections: [{ collection: "users", limit: 3 }],
+      anonymize: [{ field: "email", action: "drop" }],
+      dryRun: true,
+    },
+    emulator,
+    TARGETS.EMULATOR,
+    context,
+  );
+  assert.equal(res.dryRun, true);
+  assert.match(res.salt, /^[0-9a-f]{32}$/);
+  assert.equal(res.sample.length, 3);
+  assert.ok(res.sample.every(s => !("email" in s.data)));
+  assert.equal(emulator.writes.length, 0);
+});
+
+test("seed_emulator: refuses a sample larger than maxDocuments", async () => {
+  const { emulator, context } = setup();
+  await assert.rejects(
+    () =>
+      handler(
+        { collections: [{ collection: "users", limit: 10 }], maxDocuments: 5 },
+        emulator,
+        TARGETS.EMULATOR,
+        context,
+      ),
+    /more than maxDocuments \(5\).*Nothing was written/,
+  );
+  assert.equal(emulator.writes.length, 0);
+});
+
+test("seed_emulator: reads no more than the maxDocuments budget", async () => {
+  const { emulator, context } = setup();
+  const query = Object.getPrototypeOf(makeDb({}).collection("users"));
+  const limits = [];
+  const limit = query.limit;
+  query.limit = function (n) {
+    limits.push(n);
+    return limit.call(this, n);
+  };
+  try {
+    await assert.rejects(
+      () =>
+        handler(
+          {
+            collections: [
+              { collection: "users", where: [["plan", "==", "pro"]], limit: 10 },
+            ],
+            maxDocuments: 3,
+          },
+          emulator,
+          TARGETS.EMULATOR,
+          context,
+        ),
+      /more than maxDocuments \(3\)/,
+    );
+    assert.deepEqual(limits, [4]);
+
+    limits.length = 0;
+    await assert.rejects(
+      () =>
+        handler(
+          { collections: [{ collection: "users", percent: 50 }], maxDocuments: 5 },
+          emulator,
+          TARGETS.EMULATOR,
+          context,
+        ),
+      /more than maxDocuments \(5\)/,
+    );
+    assert.deepEqual(limits, [], "a percent sample that cannot fit is not read");
+  } finally {
+    query.limit = limit;
+  }
+});
+
+test("seed_emulator: overlapping entries still fit within maxDocuments", async () => {
+  const { emulator, context } = setup();
+  const res = await handler(
+    {
+      collections: [
+        { collection: "users", where: [["plan", "==", "free"]], limit: 3 },
+        { collection: "users", where: [["plan", "==", "free"]], limit: 5 },
+      ],
+      maxDocuments: 5,
+      dryRun: true,
+    },
+    emulator,
+    TARGETS.EMULATOR,
+    context,
+  );
+  assert.equal(res.count, 5);
+});
+
+test("seed_emulator: the returned salt reproduces a dry run", async () => {
+  const { emulator, context } = setup();
+  const args = {
+    collections: [{ collection: "users", where: [["plan", "==", "free"]], limit: 2 }],
+    anonymize: [{ field: "email", action: "hash" }],
+  };
+  const dry = await handler(
+    { ...args, dryRun: true },
+    emulator,
+    TARGETS.EMULATOR,
+    context,
+  );
+  const res = await handler(
+    { ...args, salt: dry.salt },
+    emulator,
+    TARGETS.EMULATOR,
+    context,
+  );
+
+  assert.equal(res.salt, dry.salt);
+  for (const { path, data } of dry.sample) {
+    assert.equal(emulator.data.users[path.split("/")[1]].email, data.email);
+  }
+});
+
+test("seed_emulator: validates collection entries", async () => {
+  const { emulator, context } = setup();
+  await assert.rejects(
+    () => handler({ collections: [] }, emulator, TARGETS.EMULATOR, context),
+    /non-empty array/,
+  );
+  await assert.rejects(
+    () =>
+      handler(
+        {
+          collections: [{ collection: "users", percent: 10, where: [["a", "==", "b"]] }],
+        },
+        emulator,
+        TARGETS.EMULATOR,
+        context,
+      ),
+    /collections\[0\]: percent cannot be combined/,
+  );
+});
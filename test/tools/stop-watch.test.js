@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { handler as stopWatch } from "../../src/tools/stop-watch.js";
+import { handler as listWatches } from "../../src/tools/list-watches.js";
+import { createWatchRegistry } from "../../src/helpers/watches.js";
+import { makeDb } from "../fakes/firestore.js";
+
+async function setup() {
+  const db = makeDb({ users: [{ id: "a", name: "Ada" }] });
+  const watches = createWatchRegistry(async () => {});
+  for (const path of ["users", "orders"]) {
+    await watches.start({
+      kind: "query",
+      source: db.collection(path),
+      target: "emulator",
+      path,
+    });
+  }
+  return { db, context: { watches } };
+}
+
+test("list_watches / stop_watch: stop one watch by id", async () => {
+  const { db, context } = await setup();
+  assert.equal((await listWatches({}, db, "emulator", context)).count, 2);
+
+  const res = await stopWatch({ watchId: "w1" }, db, "emulator", context);
+  assert.equal(res.stopped, 1);
+  assert.equal(res.watch.status, "stopped");
+
+  const list = await listWatches({ includeChanges: true }, db, "emulator", context);
+  assert.deepEqual(
+    list.watches.map(w => [w.id, w.recentChanges]),
+    [["w2", []]],
+  );
+});
+
+test("stop_watch: all stops every watch", async () => {
+  const { db, context } = await setup();
+  assert.deepEqual(await stopWatch({ all: true }, db, "emulator", context), {
+    stopped: 2,
+  });
+  assert.equal((await listWatches({}, db, "emulator", context)).count, 0);
+});
+
+test("stop_watch: needs a watchId or all", async () => {
+  const { db, context } = await setup();
+  await assert.rejects(stopWatch({}, db, "emulator", context), /Provide a watchId/);
+  await assert.rejects(
+    stopWatch({ watchId: "w9" }, db, "emulator", context),
+    /No watch "w9"\. Open watches: w1, w2/,
+  );
+  context.watches.stopAll();
+});
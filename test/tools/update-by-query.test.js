@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Timestamp } from "firebase-admin/firestore";
+import { handler } from "../../src/tools/update-by-query.js";
+import { makeDb } from "../fakes/firestore.js";
+import { TARGETS } from "../../src/constants.js";
+
+function seedUsers() {
+  return makeDb({
+    users: [
+      { id: "a", plan: "free", name: "Ada" },
+      { id: "b", plan: "pro", name: "Bo" },
+      { id: "c", plan: "free", name: "Cy" },
+    ],
+  });
+}
+
+test("update_by_query: updates every matching document", async () => {
+  const db = seedUsers();
+  const res = await handler(
+    {
+      collection: "users",
+      where: [["plan", "==", "free"]],
+      data: {
+        tier: 1,
+        migratedAt: { __type: "timestamp", value: "2024-01-01T00:00:00Z" },
+      },
+    },
+    db,
+    TARGETS.EMULATOR,
+  );
+
+  assert.equal(res.operation, "update_by_query");
+  assert.equal(res.matched, 2);
+  assert.deepEqual(res.sampleIds, ["a", "c"]);
+  assert.equal(res.updated, 2);
+  assert.equal(res.failed, 0);
+  assert.equal(db.data.users.a.name, "Ada", "existing fields are kept");
+  assert.equal(db.data.users.a.tier, 1);
+  assert.ok(db.data.users.c.migratedAt instanceof Timestamp);
+  assert.equal(db.data.users.b.tier, undefined);
+  assert.ok(db.writes.every(w => w.op === "update"));
+});
+
+test("update_by_query: does not recreate documents deleted before the write", async () => {
+  const db = seedUsers();
+  const bulkWriter = db.bulkWriter.bind(db);
+  db.bulkWriter = () => {
+    delete db.data.users.c;
+    return bulkWriter();
+  };
+  const res = await handler(
+    { collection: "users", where: [["plan", "==", "free"]], data: { tier: 1 } },
+    db,
+    TARGETS.EMULATOR,
+  );
+
+  assert.equal(res.matched, 2);
+  assert.equal(res.updated, 1);
+  assert.equal(res.failed, 1);
+  assert.equal(res.failures[0].path, "users/c");
+  assert.equal(db.data.users.c, undefined);
+});
+
+test("update_by_query: dry run writes nothing", async () => {
+  const db = seedUsers();
+  const res = await handler(
+    {
+      collection: "users",
+      where: [["plan", "==", "free"]],
+      data: { tier: 1 },
+      dryRun: true,
+      maxDocuments: 1,
+    },
+    db,
+    TARGETS.EMULATOR,
+  );
+  assert.equal(res.matching, 2);
+  assert.deepEqual(res.sampleIds, ["a", "c"]);
+  assert.match(res.message, /more than maxDocuments \(1\)/);
+  assert.equal(db.writes.length, 0);
+});
+
+test("update_by_query: validates data and maxDocuments", async () => {
+  const db = seedUsers();
+  const where = [["plan", "==", "free"]];
+  await assert.rejects(
+    () => handler({ collection: "users", where, data: {} }, db, TARGETS.EMULATOR),
+    /at least one field/,
+  );
+  await assert.rejects(
+    () =>
+      handler(
+        { collection: "users", where, data: { a: 1 }, maxDocuments: 0 },
+        db,
+        TARGETS.EMULATOR,
+      ),
+    /Invalid maxDocuments/,
+  );
+});
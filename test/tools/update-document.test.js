@@ -3,6 +3,7 @@ import assert from "node:assert/strict";
 import { handler } from "../../src/tools/update-document.js";
 import { makeDb } from "../fakes/firestore.js";
 import { TARGETS } from "../../src/constants.js";
+import { FieldValue } from "firebase-admin/firestore";
 
 test("update_document: merges by default", async () => {
   const db = makeDb({ users: [{ id: "a", name: "Ada", age: 30 }] });
@@ -43,3 +44,16 @@ test("update_document: refuses production write without confirm", async () => {
   );
   assert.deepEqual(db.data.users.a, { name: "Ada", age: 30 }, "doc is unchanged");
 });
+
+test("update_document: passes decoded sentinels through to the write", async () => {
+  const db = makeDb({ users: [{ id: "a", name: "Ada", visits: 1 }] });
+  await handler(
+    {
+      collection: "users",
+      docId: "a",
+      data: { visits: { __type: "increment", value: 1 } },
+    },
+    db,
+  );
+  assert.ok(db.writes.at(-1).data.visits.isEqual(FieldValue.increment(1)));
+});
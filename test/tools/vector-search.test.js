@@ -0,0 +1,115 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FieldValue } from "firebase-admin/firestore";
+import { handler } from "../../src/tools/vector-search.js";
+import { makeDb } from "../fakes/firestore.js";
+
+function seed() {
+  return makeDb({
+    items: [
+      { id: "a", kind: "shoe", embedding: FieldValue.vector([1, 0]) },
+      { id: "b", kind: "shoe", embedding: FieldValue.vector([0.8, 0.6]) },
+      { id: "c", kind: "hat", embedding: FieldValue.vector([0, 1]) },
+      { id: "d", kind: "shoe", embedding: FieldValue.vector([1, 0, 0]) },
+      { id: "e", kind: "shoe" },
+    ],
+  });
+}
+
+test("vector_search: returns the nearest documents with their distance", async () => {
+  const db = seed();
+  const res = await handler(
+    { collection: "items", vectorField: "embedding", queryVector: [1, 0], limit: 2 },
+    db,
+  );
+
+  assert.equal(res.distanceMeasure, "cosine");
+  assert.deepEqual(
+    res.documents.map(d => d.id),
+    ["a", "b"],
+  );
+  assert.equal(res.documents[0].distance, 0);
+  assert.ok(Math.abs(res.documents[1].distance - 0.2) < 1e-9);
+  assert.deepEqual(res.documents[0].data, { kind: "shoe" });
+
+  const [options] = db.vectorQueries;
+  assert.equal(options.distanceMeasure, "COSINE");
+  assert.equal(options.limit, 2);
+});
+
+test("vector_search: pre-filters with where and applies a threshold", async () => {
+  const db = seed();
+  const res = await handler(
+    {
+      collection: "items",
+      vectorField: "embedding",
+      queryVector: [0, 1],
+      distanceMeasure: "euclidean",
+      distanceThreshold: 1.2,
+      where: [["kind", "==", "shoe"]],
+    },
+    db,
+  );
+
+  assert.deepEqual(
+    res.documents.map(d => d.id),
+    ["b"],
+  );
+  assert.ok(res.query);
+});
+
+test("vector_search: dot_product ranks larger first", async () => {
+  const res = await handler(
+    {
+      collection: "items",
+      vectorField: "embedding",
+      queryVector: [0, 2],
+      distanceMeasure: "dot_product",
+    },
+    seed(),
+  );
+
+  assert.deepEqual(
+    res.documents.map(d => [d.id, d.distance]),
+    [
+      ["c", 2],
+      ["b", 1.2],
+      ["a", 0],
+    ],
+  );
+});
+
+test("vector_search: includeVector returns the vector field", async () => {
+  const res = await handler(
+    {
+      collection: "items",
+      vectorField: "embedding",
+      queryVector: [1, 0],
+      limit: 1,
+      includeVector: true,
+    },
+    seed(),
+  );
+
+  assert.deepEqual(res.documents[0].data.embedding, { __type: "vector", values: [1, 0] });
+});
+
+test("vector_search: validates its arguments", async () => {
+  const db = seed();
+  const base = { collection: "items", vectorField: "embedding", queryVector: [1, 0] };
+  await assert.rejects(handler({ ...base, queryVector: [] }, db), /Invalid queryVector/);
+  await assert.rejects(
+    handler({ ...base, queryVector: [1, "x"] }, db),
+    /Invalid queryVector/,
+  );
+  await assert.rejects(
+    handler({ ...base, distanceMeasure: "manhattan" }, db),
+    /Invalid distanceMeasure/,
+  );
+  await assert.rejects(handler({ ...base, limit: 1001 }, db), /Invalid limit/);
+  await assert.rejects(handler({ ...base, vectorField: "" }, db), /Invalid vectorField/);
+  await assert.rejects(
+    handler({ ...base, distanceThreshold: "near" }, db),
+    /Invalid distanceThreshold/,
+  );
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { handler } from "../../src/tools/watch-document.js";
+import { createWatchRegistry } from "../../src/helpers/watches.js";
+import { makeDb } from "../fakes/firestore.js";
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test("watch_document: returns the current data and reports updates", async () => {
+  const db = makeDb({ users: [{ id: "a", name: "Ada" }] });
+  const sent = [];
+  const watches = createWatchRegistry(async params => sent.push(params));
+
+  const res = await handler({ collection: "users", docId: "a" }, db, "emulator", {
+    watches,
+  });
+  assert.equal(res.kind, "document");
+  assert.equal(res.path, "users/a");
+  assert.deepEqual(res.initial, { exists: true, data: { name: "Ada" } });
+
+  await db.collection("users").doc("a").update({ name: "Ada L." });
+  await tick();
+
+  assert.deepEqual(sent[0].data.changes, [
+    { type: "modified", id: "a", path: "users/a", data: { name: "Ada L." } },
+  ]);
+  watches.stopAll();
+});
+
+test("watch_document: rejects an empty docId", async () => {
+  const watches = createWatchRegistry(async () => {});
+  await assert.rejects(
+    handler({ collection: "users", docId: " " }, makeDb(), "emulator", { watches }),
+    /Invalid docId/,
+  );
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { handler } from "../../src/tools/watch-query.js";
+import { createWatchRegistry } from "../../src/helpers/watches.js";
+import { makeDb } from "../fakes/firestore.js";
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+function setup() {
+  const db = makeDb({
+    orders: [
+      { id: "o1", status: "open", total: 5 },
+      { id: "o2", status: "paid", total: 9 },
+    ],
+  });
+  const sent = [];
+  const watches = createWatchRegistry(async params => sent.push(params));
+  return { db, sent, watches };
+}
+
+test("watch_query: watches the documents matching a query", async () => {
+  const { db, sent, watches } = setup();
+  const res = await handler(
+    { collection: "orders", where: [["status", "==", "open"]] },
+    db,
+    "emulator",
+    { watches },
+  );
+
+  assert.equal(res.kind, "query");
+  assert.equal(res.path, "orders");
+  assert.ok(res.query);
+  assert.deepEqual(res.initial, { count: 1, ids: ["o1"] });
+
+  await db.collection("orders").doc("o3").set({ status: "open", total: 1 });
+  await db.collection("orders").doc("o4").set({ status: "paid", total: 2 });
+  await tick();
+
+  assert.equal(sent.length, 1);
+  assert.deepEqual(
+    sent[0].data.changes.map(c => c.id),
+    ["o3"],
+  );
+  watches.stopAll();
+});
+
+test("watch_query: rejects a bad limit", async () => {
+  const { db, watches } = setup();
+  await assert.rejects(
+    handler({ collection: "orders", limit: 0 }, db, "emulator", { watches }),
+    /Invalid limit/,
+  );
+});
+
+test("watch_query: needs the watch registry", async () => {
+  const { db } = setup();
+  await assert.rejects(
+    handler({ collection: "orders" }, db, "emulator", {}),
+    /Watches are not available/,
+  );
+});